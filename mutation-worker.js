@@ -6,14 +6,25 @@
 import { handleProductQueueMessage, handleInventoryUpdate, handleImageUpdate } from './src/product-mutations.js';
 import { handleLocationQueueMessage } from './src/location-mutations.js';
 import { handleCustomerQueueMessage } from './src/customer-mutations.js';
-import { pullAllData } from './src/data_pull.js';
-import { mapLocations } from './src/location-mapping.js';
-import { mapCustomers } from './src/customer-mapping.js';
-import { mapProducts } from './src/product-mapping.js';
-import { mutateLocationsViaQueue } from './src/location-mutations.js';
-import { mutateCustomersViaQueue } from './src/customer-mutations.js';
-import { mutateProductsViaQueue } from './src/product-mutations.js';
-import { getDefaultWarehouseCode } from './src/helpers.js';
+import { handleOrderQueueMessage, handleRefundQueueMessage } from './src/order-mutations.js';
+import { handleCustomerContactsQueueMessage } from './src/customer-contact-sync.js';
+import { runShipmentSync } from './src/shipment-sync.js';
+import { handleProductResyncMessage } from './src/product-resync.js';
+import { handleProductRollbackMessage } from './src/sync-rollback.js';
+import { handleInventoryQueueMessage } from './src/inventory-sync.js';
+import { recordSyncOperation } from './src/sync-runs.js';
+import {
+  handleComprehensiveSyncQueueMessage,
+  handleInventorySyncQueueMessage,
+  handleBuildSyncPlanMessage,
+  handleExecuteSyncPlanMessage,
+  handleSyncProductsMessage,
+  handleAwaitChildrenMessage,
+  handleSyncCompleteMessage
+} from './src/sync-orchestrator.js';
+
+// Cloudflare's default max_retries - none of the consumers override it
+const QUEUE_MAX_RETRIES = 3;
 
 // CORS headers for all responses
 const corsHeaders = {
@@ -45,121 +56,6 @@ function applyLogVerbosity(env) {
   }
 }
 
-// Helper function to get auth data from KV store
-async function getAuthData(env, domain) {
-  if (!env.AUTH_STORE) {
-    throw new Error('KV binding AUTH_STORE not found');
-  }
-  
-  try {
-    const authString = await env.AUTH_STORE.get(domain);
-    if (!authString) {
-      throw new Error(`No authentication data found for domain: ${domain}`);
-    }
-    return JSON.parse(authString);
-  } catch (error) {
-    console.error('Error getting auth data:', error);
-    throw new Error(`Failed to get authentication data: ${error.message}`);
-  }
-}
-
-/**
- * Handle comprehensive sync queue message
- * This performs the full sync workflow in the background
- */
-async function handleComprehensiveSyncQueueMessage(messageBody, env) {
-  const { syncId, domain } = messageBody;
-  const startTime = Date.now();
-  
-  try {
-    console.log(`🚀 [QUEUE] Starting comprehensive sync workflow for ${domain} (ID: ${syncId})`);
-
-    // Get authentication data
-    const authData = await getAuthData(env, domain);
-    if (!authData || !authData.unleashed || !authData.shopify) {
-      throw new Error('Invalid authentication data structure');
-    }
-
-    // STEP 1: Data Fetching
-    console.log('📊 [QUEUE] Step 1: Fetching data from Unleashed and Shopify...');
-    const dataFetchStart = Date.now();
-    const data = await pullAllData(domain, env);
-    const dataFetchDuration = ((Date.now() - dataFetchStart) / 1000).toFixed(2);
-    console.log(`✅ [QUEUE] Data fetch completed in ${dataFetchDuration}s:`, {
-      unleashed: {
-        warehouses: data.unleashed.warehouses.length,
-        customers: data.unleashed.customers.length,
-        products: data.unleashed.products.length
-      },
-      shopify: {
-        locations: data.shopify.locations.length,
-        customers: data.shopify.customers.length,
-        products: data.shopify.products.length
-      }
-    });
-
-    // STEP 2: Location Sync
-    console.log('🏢 [QUEUE] Step 2: Location Sync...');
-    const locationStart = Date.now();
-    const locationMappingResults = await mapLocations(data.unleashed.warehouses, data.shopify.locations);
-    const locationMutationResults = await mutateLocationsViaQueue(env, authData.shopify.shopDomain, locationMappingResults, domain);
-    const locationDuration = ((Date.now() - locationStart) / 1000).toFixed(2);
-    console.log(`✅ [QUEUE] Location sync completed in ${locationDuration}s:`, locationMutationResults.summary);
-
-    // STEP 3: Customer Sync
-    console.log('👥 [QUEUE] Step 3: Customer Sync...');
-    const customerStart = Date.now();
-    const customerMappingResults = await mapCustomers(data.unleashed.contacts, data.unleashed.customers, data.shopify.customers);
-    const customerMutationResults = await mutateCustomersViaQueue(env, authData.shopify.shopDomain, customerMappingResults, domain);
-    const customerDuration = ((Date.now() - customerStart) / 1000).toFixed(2);
-    console.log(`✅ [QUEUE] Customer sync completed in ${customerDuration}s:`, customerMutationResults.summary);
-
-    // STEP 4: Product Sync
-    console.log('📦 [QUEUE] Step 4: Product Sync...');
-    const productStart = Date.now();
-    const defaultWarehouseCode = getDefaultWarehouseCode(data.unleashed.warehouses);
-    const productMappingResults = await mapProducts(
-      data.unleashed.products,
-      data.shopify.products,
-      data.shopify.locations,
-      defaultWarehouseCode
-    );
-    const productMutationResults = await mutateProductsViaQueue(env, authData.shopify, productMappingResults, domain);
-    const productDuration = ((Date.now() - productStart) / 1000).toFixed(2);
-    console.log(`✅ [QUEUE] Product sync completed in ${productDuration}s:`, productMutationResults.summary);
-
-    // STEP 5: Post-sync operations (images, inventory) will be handled by individual queue messages
-
-    const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`🎉 [QUEUE] Comprehensive sync completed successfully in ${totalDuration}s for ${domain} (ID: ${syncId})`);
-    
-    return {
-      success: true,
-      syncId,
-      domain,
-      totalDuration: `${totalDuration}s`,
-      steps: {
-        dataFetch: { duration: `${dataFetchDuration}s`, status: 'completed' },
-        locationSync: { duration: `${locationDuration}s`, status: 'completed', ...locationMutationResults.summary },
-        customerSync: { duration: `${customerDuration}s`, status: 'completed', ...customerMutationResults.summary },
-        productSync: { duration: `${productDuration}s`, status: 'completed', ...productMutationResults.summary }
-      }
-    };
-
-  } catch (error) {
-    const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.error(`❌ [QUEUE] Comprehensive sync failed after ${totalDuration}s for ${domain} (ID: ${syncId}):`, error);
-    
-    return {
-      success: false,
-      syncId,
-      domain,
-      error: error.message,
-      totalDuration: `${totalDuration}s`
-    };
-  }
-}
-
 export default {
   async fetch(request, env, ctx) {
     // Apply log verbosity setting for this request
@@ -217,16 +113,52 @@ export default {
             result = await handleComprehensiveSyncQueueMessage(message.body, env);
             break;
             
+          case 'INVENTORY_SYNC':
+            result = await handleInventorySyncQueueMessage(message.body, env);
+            break;
+            
+          case 'BUILD_SYNC_PLAN':
+            result = await handleBuildSyncPlanMessage(message.body, env);
+            break;
+            
+          case 'EXECUTE_SYNC_PLAN':
+            result = await handleExecuteSyncPlanMessage(message.body, env);
+            break;
+            
+          case 'SYNC_PRODUCTS':
+            result = await handleSyncProductsMessage(message.body, env);
+            break;
+            
+          case 'SYNC_AWAIT_CHILDREN':
+            result = await handleAwaitChildrenMessage(message.body, env);
+            break;
+            
+          case 'SYNC_COMPLETE':
+            result = await handleSyncCompleteMessage(message.body, env);
+            break;
+            
           case 'CREATE_PRODUCT':
           case 'UPDATE_PRODUCT':
           case 'ARCHIVE_PRODUCT':
             result = await handleProductQueueMessage(message.body, env);
             break;
             
+          case 'ROLLBACK_PRODUCT':
+            result = await handleProductRollbackMessage(message.body, env);
+            break;
+            
+          case 'RESYNC_PRODUCT_GROUP':
+            result = await handleProductResyncMessage(message.body, env);
+            break;
+            
           case 'UPDATE_INVENTORY':
             result = await handleInventoryUpdate(message.body, env);
             break;
             
+          case 'SET_INVENTORY_QUANTITIES':
+            result = await handleInventoryQueueMessage(message.body, env);
+            break;
+            
           case 'UPDATE_IMAGE':
             result = await handleImageUpdate(message.body, env);
             break;
@@ -241,10 +173,26 @@ export default {
             result = await handleCustomerQueueMessage(message.body, env);
             break;
             
+          case 'FETCH_CUSTOMER_CONTACTS':
+            result = await handleCustomerContactsQueueMessage(message.body, env, {
+              finalAttempt: (message.attempts || 1) > QUEUE_MAX_RETRIES
+            });
+            break;
+            
+          case 'CREATE_SALES_ORDER':
+            result = await handleOrderQueueMessage(message.body, env);
+            break;
+            
+          case 'RECORD_REFUND':
+            result = await handleRefundQueueMessage(message.body, env);
+            break;
+            
           default:
             throw new Error(`Unknown message type: ${message.body.type}`);
         }
         
+        await recordSyncOperation(env.AUTH_STORE, message.body, message.id, result);
+        
         if (result.success) {
           results.successful++;
           console.log(`✅ [MUTATION-WORKER] Successfully processed ${message.body.type}`);
@@ -268,6 +216,13 @@ export default {
           error: error.message
         });
         
+        // Until its last attempt a retried message is still outstanding for its run
+        await recordSyncOperation(env.AUTH_STORE, message.body, message.id, {
+          success: false,
+          error: error.message,
+          retrying: (message.attempts || 1) <= QUEUE_MAX_RETRIES
+        });
+        
         // Retry the message (don't ack it)
         message.retry();
       }
@@ -283,5 +238,14 @@ export default {
     });
     
     return results;
+  },
+
+  /**
+   * Cron trigger: turn dispatched Unleashed shipments into Shopify fulfillments
+   */
+  async scheduled(event, env, ctx) {
+    applyLogVerbosity(env);
+    console.log(`⏰ [MUTATION-WORKER] Scheduled run (${event.cron})`);
+    ctx.waitUntil(runShipmentSync(env));
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * Attribute Metafields
+ * Rules that copy Unleashed AttributeSet attributes into Shopify metafields, kept in
+ * the domain's field mapping (`metafields`, see field-mapping.js):
+ *
+ *   { "attribute": "Material", "namespace": "custom", "key": "material", "type": "text", "level": "product" }
+ *
+ *   type   text, number, list (split on `separator`, default ","), boolean
+ *          (yes/no, true/false, 1/0) or dimension ("12 cm" - `unit` when the value has none)
+ *   level  product (read from the first product of the group) or variant
+ *
+ * Values that can't be read as the rule's type are skipped with a warning.
+ */
+
+import { shopifyGraphQLWithRetry } from './product-mutations.js';
+
+// Rule type -> Shopify metafield type
+const METAFIELD_TYPES = {
+  text: 'single_line_text_field',
+  number: 'number_decimal',
+  list: 'list.single_line_text_field',
+  boolean: 'boolean',
+  dimension: 'dimension'
+};
+const DIMENSION_UNITS = ['mm', 'cm', 'm', 'in', 'ft', 'yd'];
+const METAFIELD_LEVELS = { product: 'PRODUCT', variant: 'PRODUCTVARIANT' }; // level -> definition ownerType
+const RESERVED_VARIANT_KEY = /^custom\.price_tier_\d+$/; // written from SellPriceTier1-10
+
+// Validate rules from a request - throws with the first problem found
+function normalizeMetafieldRules(input = []) {
+  if (!Array.isArray(input)) {
+    throw new Error('metafields must be a list of rules');
+  }
+
+  const seen = new Set();
+  return input.map((rule, index) => {
+    const name = `metafields[${index}]`;
+    if (typeof rule?.attribute !== 'string' || rule.attribute.trim() === '') {
+      throw new Error(`${name}.attribute must be the name of an Unleashed attribute`);
+    }
+    const namespace = rule.namespace ?? 'custom';
+    if (!/^[a-zA-Z0-9_-]{3,255}$/.test(namespace)) {
+      throw new Error(`${name}.namespace must be 3-255 letters, digits, _ or -`);
+    }
+    if (!/^[a-zA-Z0-9_-]{2,64}$/.test(rule.key || '')) {
+      throw new Error(`${name}.key must be 2-64 letters, digits, _ or -`);
+    }
+    if (!METAFIELD_TYPES[rule.type]) {
+      throw new Error(`${name}.type must be one of ${Object.keys(METAFIELD_TYPES).join(', ')}`);
+    }
+    const level = rule.level ?? 'product';
+    if (!METAFIELD_LEVELS[level]) {
+      throw new Error(`${name}.level must be product or variant`);
+    }
+    if (level === 'variant' && RESERVED_VARIANT_KEY.test(`${namespace}.${rule.key}`)) {
+      throw new Error(`${name}: ${namespace}.${rule.key} is written from the sell price tiers`);
+    }
+    if (rule.type === 'dimension' && rule.unit !== undefined && !DIMENSION_UNITS.includes(rule.unit)) {
+      throw new Error(`${name}.unit must be one of ${DIMENSION_UNITS.join(', ')}`);
+    }
+    const id = `${level}:${namespace}.${rule.key}`;
+    if (seen.has(id)) {
+      throw new Error(`${name}: ${namespace}.${rule.key} is already mapped at ${level} level`);
+    }
+    seen.add(id);
+
+    return {
+      attribute: rule.attribute.trim(),
+      namespace,
+      key: rule.key,
+      type: rule.type,
+      level,
+      ...(rule.type === 'list' ? { separator: typeof rule.separator === 'string' && rule.separator ? rule.separator : ',' } : {}),
+      ...(rule.type === 'dimension' ? { unit: rule.unit || 'cm' } : {})
+    };
+  });
+}
+
+// Helper: an attribute value as the metafield value for the rule's type (null when it isn't one)
+function toMetafieldValue(rule, raw) {
+  const text = String(raw).trim();
+  if (rule.type === 'number') {
+    const number = Number(text);
+    return text !== '' && Number.isFinite(number) ? String(number) : null;
+  }
+  if (rule.type === 'list') {
+    const items = text.split(rule.separator).map(item => item.trim()).filter(Boolean);
+    return items.length > 0 ? JSON.stringify(items) : null;
+  }
+  if (rule.type === 'boolean') {
+    if (/^(true|yes|y|1)$/i.test(text)) return 'true';
+    if (/^(false|no|n|0)$/i.test(text)) return 'false';
+    return null;
+  }
+  if (rule.type === 'dimension') {
+    const match = text.match(/^(-?\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+    const unit = (match?.[2] || rule.unit).toLowerCase();
+    return match && DIMENSION_UNITS.includes(unit) ? JSON.stringify({ value: Number(match[1]), unit }) : null;
+  }
+  return text;
+}
+
+// Metafields for one Unleashed product at `level` ('product' or 'variant')
+function buildAttributeMetafields(rules = [], level, product) {
+  const attributes = product.AttributeSet?.Attributes || [];
+  return rules
+    .filter(rule => rule.level === level)
+    .map(rule => {
+      const raw = attributes.find(attr => attr.Name === rule.attribute)?.Value;
+      if (raw === undefined || raw === null || String(raw).trim() === '') return null;
+
+      const value = toMetafieldValue(rule, raw);
+      if (value === null) {
+        console.warn(`⚠️ ${product.ProductCode}: attribute "${rule.attribute}" = "${raw}" is not a valid ${rule.type} - ${rule.namespace}.${rule.key} skipped`);
+        return null;
+      }
+      return { namespace: rule.namespace, key: rule.key, type: METAFIELD_TYPES[rule.type], value };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Create the metafield definitions the rules need and Shopify doesn't have yet.
+ * Returns what already existed, what was created and what failed - a definition
+ * with the same namespace and key but another type counts as failed, since Shopify
+ * rejects values of the rule's type for it.
+ */
+async function ensureMetafieldDefinitions(baseUrl, headers, rules = []) {
+  const results = { existing: [], created: [], failed: [] };
+  const url = `${baseUrl}/graphql.json`;
+
+  for (const [level, ownerType] of Object.entries(METAFIELD_LEVELS)) {
+    const levelRules = rules.filter(rule => rule.level === level);
+    if (levelRules.length === 0) continue;
+
+    const existing = new Map();
+    let cursor = null;
+    do {
+      const { data } = await shopifyGraphQLWithRetry(url, headers, {
+        query: `
+          query MetafieldDefinitions($ownerType: MetafieldOwnerType!, $after: String) {
+            metafieldDefinitions(first: 250, ownerType: $ownerType, after: $after) {
+              nodes { namespace key type { name } }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        `,
+        variables: { ownerType, after: cursor }
+      });
+      if (data.errors) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(data.errors)}`);
+      const { nodes, pageInfo } = data.data.metafieldDefinitions;
+      nodes.forEach(definition => existing.set(`${definition.namespace}.${definition.key}`, definition.type.name));
+      cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (cursor);
+
+    for (const rule of levelRules) {
+      const id = `${rule.namespace}.${rule.key}`;
+      const type = METAFIELD_TYPES[rule.type];
+      const label = { level, namespace: rule.namespace, key: rule.key, type };
+      if (existing.has(id)) {
+        if (existing.get(id) === type) {
+          results.existing.push(label);
+        } else {
+          results.failed.push({ ...label, error: `Definition exists with type ${existing.get(id)}` });
+        }
+        continue;
+      }
+
+      const { data } = await shopifyGraphQLWithRetry(url, headers, {
+        query: `
+          mutation CreateMetafieldDefinition($definition: MetafieldDefinitionInput!) {
+            metafieldDefinitionCreate(definition: $definition) {
+              createdDefinition { id }
+              userErrors { field message code }
+            }
+          }
+        `,
+        variables: {
+          definition: { name: rule.attribute, namespace: rule.namespace, key: rule.key, type, ownerType }
+        }
+      });
+      const userErrors = data.errors || data.data?.metafieldDefinitionCreate?.userErrors || [];
+      if (userErrors.length > 0) {
+        results.failed.push({ ...label, error: JSON.stringify(userErrors) });
+      } else {
+        console.log(`🏷️ Created ${ownerType} metafield definition ${id} (${type})`);
+        results.created.push(label);
+      }
+    }
+  }
+
+  if (results.failed.length > 0) {
+    console.warn(`⚠️ ${results.failed.length} metafield definition(s) could not be provisioned:`, results.failed);
+  }
+  return results;
+}
+
+export {
+  METAFIELD_TYPES,
+  normalizeMetafieldRules,
+  buildAttributeMetafields,
+  ensureMetafieldDefinitions
+};
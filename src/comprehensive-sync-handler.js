@@ -4,6 +4,7 @@
  */
 
 import { getDefaultWarehouseCode } from './helpers.js';
+import { saveSyncRun } from './sync-runs.js';
 
 // Helper function to get auth data from KV store
 async function getAuthData(env, domain) {
@@ -41,6 +42,57 @@ function jsonResponse(data, status = 200) {
   });
 }
 
+// Run steps per sync scope - scheduled syncs can run a single entity
+const SCOPE_STEPS = {
+  comprehensive: ['dataFetch', 'locationSync', 'customerSync', 'productSync', 'postSync'],
+  locations: ['dataFetch', 'locationSync', 'postSync'],
+  customers: ['dataFetch', 'customerSync', 'postSync'],
+  products: ['dataFetch', 'productSync', 'postSync'],
+  inventory: ['dataFetch', 'inventorySync', 'postSync']
+};
+
+/**
+ * Create the run record and queue a comprehensive_sync message (INVENTORY_SYNC for
+ * the inventory scope). Used by the sync routes and by scheduled syncs (which pass
+ * `scope` and `trigger`).
+ */
+export async function queueComprehensiveSync(env, { domain, mode = 'full', scope = 'comprehensive', trigger = 'manual' }) {
+  if (!SCOPE_STEPS[scope]) {
+    throw new Error(`Unknown sync scope: ${scope}`);
+  }
+
+  // Generate a unique sync ID for tracking
+  const syncId = `sync_${domain}_${Date.now()}`;
+
+  // Queue the comprehensive sync work
+  const queueMessage = {
+    type: scope === 'inventory' ? 'INVENTORY_SYNC' : 'comprehensive_sync',
+    syncId,
+    domain,
+    mode,
+    scope,
+    timestamp: new Date().toISOString(),
+    priority: 'high'
+  };
+
+  console.log(`📋 Queuing ${scope} sync work with ID: ${syncId} (${trigger})`);
+
+  // Create the run record first so the queue consumer always finds it
+  await saveSyncRun(env.AUTH_STORE, syncId, {
+    domain,
+    type: scope === 'inventory' ? 'inventory_sync' : 'comprehensive_sync',
+    mode,
+    scope,
+    trigger,
+    status: 'queued',
+    steps: Object.fromEntries(SCOPE_STEPS[scope].map(step => [step, { status: 'queued' }]))
+  });
+
+  // Add to queue for background processing
+  await env.SYNC_QUEUE.send(queueMessage);
+  return queueMessage;
+}
+
 /**
  * Streamlined Comprehensive Sync: Queue-First Approach
  * This approach queues the sync work immediately and returns a response
@@ -52,6 +104,7 @@ export async function handleComprehensiveSync(request, env) {
   try {
     // Get domain from request
     let domain = null;
+    let incremental = false;
     
     try {
       const rawBody = await request.text();
@@ -64,6 +117,7 @@ export async function handleComprehensiveSync(request, env) {
       
       const requestBody = JSON.parse(rawBody);
       domain = requestBody.domain;
+      incremental = requestBody.incremental === true || requestBody.mode === 'incremental';
       
       if (!domain) {
         return jsonResponse({ 
@@ -89,22 +143,8 @@ export async function handleComprehensiveSync(request, env) {
       throw new Error('Invalid authentication data structure');
     }
 
-    // Generate a unique sync ID for tracking
-    const syncId = `sync_${domain}_${Date.now()}`;
-
-    // Queue the comprehensive sync work
-    const queueMessage = {
-      type: 'comprehensive_sync',
-      syncId,
-      domain,
-      timestamp: new Date().toISOString(),
-      priority: 'high'
-    };
-
-    console.log(`📋 Queuing comprehensive sync work with ID: ${syncId}`);
-    
-    // Add to queue for background processing
-    await env.SYNC_QUEUE.send(queueMessage);
+    const queueMessage = await queueComprehensiveSync(env, { domain, mode: incremental ? 'incremental' : 'full' });
+    const { syncId } = queueMessage;
 
     // Return immediate response
     const response = {
@@ -112,6 +152,7 @@ export async function handleComprehensiveSync(request, env) {
       syncId,
       domain,
       status: 'queued',
+      mode: queueMessage.mode,
       message: 'Comprehensive sync has been queued for background processing',
       workflow: 'comprehensive_sync_queued',
       timestamp: new Date().toISOString(),
@@ -122,10 +163,10 @@ export async function handleComprehensiveSync(request, env) {
         locationSync: { status: 'queued', description: 'Sync warehouses to Shopify locations' },
         customerSync: { status: 'queued', description: 'Sync contacts to Shopify customers' },
         productSync: { status: 'queued', description: 'Sync products with bulk operations' },
-        postSync: { status: 'queued', description: 'Update inventory and process images' }
+        postSync: { status: 'queued', description: 'Advance the sync checkpoint and summarise the run once every mutation has finished' }
       },
       monitoring: {
-        checkStatus: `Monitor queue processing in Worker logs`,
+        checkStatus: `/api/v2/sync-status/${syncId}`,
         expectedCompletion: new Date(Date.now() + 5 * 60 * 1000).toISOString()
       }
     };
@@ -145,6 +186,59 @@ export async function handleComprehensiveSync(request, env) {
   }
 }
 
+/**
+ * Inventory Sync: stock levels only
+ * Queues an INVENTORY_SYNC run - no product pull or mapping - and returns its syncId
+ */
+export async function handleInventorySync(request, env) {
+  try {
+    let domain = null;
+    try {
+      const requestBody = JSON.parse(await request.text() || '{}');
+      domain = requestBody.domain;
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid request body', details: error.message }, 400);
+    }
+
+    if (!domain) {
+      return jsonResponse({
+        error: 'Domain is required',
+        details: 'The request body must contain a domain field.'
+      }, 400);
+    }
+
+    // Clean the domain (remove protocol and path)
+    domain = domain.replace(/^https?:\/\//, '').split('/')[0];
+
+    // Validate authentication data exists
+    const authData = await getAuthData(env, domain);
+    if (!authData || !authData.unleashed || !authData.shopify) {
+      throw new Error('Invalid authentication data structure');
+    }
+
+    const { syncId } = await queueComprehensiveSync(env, { domain, scope: 'inventory' });
+    console.log(`✅ Inventory sync queued successfully: ${syncId}`);
+    return jsonResponse({
+      success: true,
+      syncId,
+      domain,
+      status: 'queued',
+      message: 'Inventory sync has been queued for background processing',
+      monitoring: {
+        checkStatus: `/api/v2/sync-status/${syncId}`
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error queuing inventory sync:', error);
+    return jsonResponse({
+      success: false,
+      error: 'Failed to queue inventory sync',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    }, 500);
+  }
+}
+
 /**
  * Optimized Sync Handler (alternative approach)
  * This performs minimal essential operations quickly
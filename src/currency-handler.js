@@ -0,0 +1,40 @@
+/**
+ * Currency Handler
+ * Read and replace a domain's currency settings (currency.js)
+ */
+
+import { getCurrencySettings, normalizeCurrencySettings, saveCurrencySettings, resolveCurrency } from './currency.js';
+import { fetchShopifyShop } from './data_pull.js';
+import { settingsRoutes } from './settings-route.js';
+
+const routes = settingsRoutes({
+  key: 'currency',
+  label: 'currency settings',
+  invalidError: 'Invalid currency settings',
+  get: getCurrencySettings,
+  normalize: normalizeCurrencySettings,
+  save: saveCurrencySettings,
+  // Prices would go out unconverted until the missing rate is added
+  check: async (normalized, shopify) => {
+    const shop = await fetchShopifyShop(shopify.baseUrl, shopify.headers);
+    const resolved = resolveCurrency(normalized, shop.currencyCode);
+    if (resolved.error) {
+      return { error: 'Missing exchange rate', details: resolved.error };
+    }
+    return { shopCurrency: shop.currencyCode, rate: resolved.rate };
+  },
+  log: ({ domain, saved, extras }) => console.log(`💱 Currency settings updated for ${domain}: ${saved.baseCurrency || extras.shopCurrency} → ${extras.shopCurrency} at ${extras.rate}`)
+});
+
+/**
+ * GET /api/v2/currency?domain=example.com
+ * The domain's currency settings (the default when none are set)
+ */
+export const handleGetCurrencySettings = routes.handleGet;
+
+/**
+ * POST /api/v2/currency
+ * Body: { domain, currency: { baseCurrency, rates: { NZD: 1.09 } } } - replaces the
+ * domain's settings. Rejected when the shop's currency needs a rate the table lacks.
+ */
+export const handleSaveCurrencySettings = routes.handleSave;
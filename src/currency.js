@@ -0,0 +1,99 @@
+/**
+ * Currency
+ * Per-domain currency settings for prices written to Shopify (`currency_settings:{domain}`).
+ * Money metafields (price tiers) are written in the shop's currency, read from
+ * `shop { currencyCode }` on every pull. When the Unleashed base currency differs
+ * from it, variant prices and price tiers are converted with the rate table:
+ *
+ *   { "baseCurrency": "AUD", "rates": { "NZD": 1.09, "USD": 0.66 } }
+ *
+ * A rate is how much of that currency one unit of the base currency buys. Without a
+ * baseCurrency, Unleashed prices are taken to be in the shop's currency already.
+ */
+
+const CURRENCY_SETTINGS_PREFIX = 'currency_settings:'; // KV key prefix for per-domain currency settings
+
+const DEFAULT_CURRENCY_SETTINGS = { baseCurrency: null, rates: {} };
+
+// Money metafields of product data that carries no currency_code (queued before the
+// shop's currency was read)
+const DEFAULT_CURRENCY_CODE = 'AUD';
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+// Validate settings from a request - throws with the first problem found
+function normalizeCurrencySettings(input = {}) {
+  const baseCurrency = input.baseCurrency ? String(input.baseCurrency).toUpperCase() : null;
+  if (baseCurrency && !CURRENCY_CODE.test(baseCurrency)) {
+    throw new Error('baseCurrency must be a 3-letter currency code, e.g. AUD');
+  }
+
+  const rates = {};
+  Object.entries(input.rates || {}).forEach(([code, rate]) => {
+    const currencyCode = code.toUpperCase();
+    const number = Number(rate);
+    if (!CURRENCY_CODE.test(currencyCode)) {
+      throw new Error(`rates.${code}: not a 3-letter currency code`);
+    }
+    if (!Number.isFinite(number) || number <= 0) {
+      throw new Error(`rates.${code} must be a positive number`);
+    }
+    rates[currencyCode] = number;
+  });
+
+  return { baseCurrency, rates };
+}
+
+async function getCurrencySettings(kvStore, domain) {
+  const raw = await kvStore.get(`${CURRENCY_SETTINGS_PREFIX}${domain}`);
+  return raw ? JSON.parse(raw) : DEFAULT_CURRENCY_SETTINGS;
+}
+
+// Replace a domain's settings with ones from normalizeCurrencySettings
+async function saveCurrencySettings(kvStore, domain, normalized) {
+  const settings = { ...normalized, updatedAt: new Date().toISOString() };
+  await kvStore.put(`${CURRENCY_SETTINGS_PREFIX}${domain}`, JSON.stringify(settings));
+  return settings;
+}
+
+/**
+ * The currency to write prices in and the rate from the Unleashed base currency.
+ * `error` is set when the base currency differs from the shop's and the table has no
+ * rate for it - mapProducts then maps nothing rather than send unconverted prices.
+ */
+function resolveCurrency(settings = DEFAULT_CURRENCY_SETTINGS, shopCurrency = null) {
+  const currencyCode = shopCurrency || settings.baseCurrency || null;
+  const baseCurrency = settings.baseCurrency || currencyCode;
+  if (!baseCurrency || baseCurrency === currencyCode) {
+    return { currencyCode, baseCurrency, rate: 1, error: null };
+  }
+
+  const rate = settings.rates?.[currencyCode];
+  if (!rate) {
+    return {
+      currencyCode,
+      baseCurrency,
+      rate: 1,
+      error: `No ${baseCurrency} → ${currencyCode} rate configured - products are not synced until one is added`
+    };
+  }
+  return { currencyCode, baseCurrency, rate, error: null };
+}
+
+// Helper: an Unleashed price in the shop's currency, rounded to cents. Missing or
+// non-numeric prices are passed through untouched.
+function convertPrice(amount, currency) {
+  if (!currency || currency.rate === 1 || amount === null || amount === undefined || amount === '') return amount;
+  const number = parseFloat(amount);
+  return isNaN(number) ? amount : Math.round(number * currency.rate * 100) / 100;
+}
+
+export {
+  DEFAULT_CURRENCY_SETTINGS,
+  DEFAULT_CURRENCY_CODE,
+  normalizeCurrencySettings,
+  getCurrencySettings,
+  saveCurrencySettings,
+  resolveCurrency,
+  convertPrice
+};
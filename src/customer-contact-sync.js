@@ -0,0 +1,225 @@
+/**
+ * Customer Contact Sync
+ * Unleashed only exposes contacts per customer (one request each), so contacts are
+ * fetched by a chain of FETCH_CUSTOMER_CONTACTS queue jobs, each handling a chunk of
+ * customers small enough to stay inside a Worker's subrequest budget. Fetched contacts
+ * are staged in KV; the last job maps them and queues the customer mutations (or,
+ * for a dry run, stores the customer section of the plan).
+ */
+
+import { fetchCustomerContacts, fetchShopifyCustomers } from './data_pull.js';
+import { mapCustomers } from './customer-mapping.js';
+import { getFieldMapping } from './field-mapping.js';
+import { mutateCustomersViaQueue } from './customer-mutations.js';
+import { recordQueuedOperations, recordSyncOperation } from './sync-runs.js';
+import { saveSyncPlanSection, buildEntityPlan } from './sync-plans.js';
+
+const CONTACT_FETCH_CHUNK_SIZE = 40; // Customers (= Unleashed requests) per queue job
+const CONTACT_SYNC_PREFIX = 'contact_sync:'; // KV key prefix for job state and staged contacts
+const CONTACT_SYNC_TTL = 60 * 60 * 24; // Staged data expires after a day
+
+// Helper: KV keys for a contact sync job
+const jobKey = syncId => `${CONTACT_SYNC_PREFIX}${syncId}`;
+const chunkKey = (syncId, chunk) => `${CONTACT_SYNC_PREFIX}${syncId}:contacts:${chunk}`;
+
+// The chain stopped at `chunk`, so the jobs after it never run. Count them as failed
+// so the run can finish instead of waiting on them.
+async function recordUnrunChunks(env, job, chunk, reason) {
+  for (let next = chunk + 1; next < job.totalChunks; next++) {
+    await recordSyncOperation(env.AUTH_STORE, { type: 'FETCH_CUSTOMER_CONTACTS', syncId: job.syncId }, `unrun-${next}`, {
+      success: false,
+      error: `Not run - job ${chunk + 1} failed: ${reason}`
+    });
+  }
+}
+
+async function saveJob(env, job) {
+  await env.AUTH_STORE.put(jobKey(job.syncId), JSON.stringify({
+    ...job,
+    updatedAt: new Date().toISOString()
+  }), { expirationTtl: CONTACT_SYNC_TTL });
+}
+
+/**
+ * Start a contact sync for the given (processed) Unleashed customers.
+ * Stores the job in KV and queues the first chunk. Pass the syncId of the run it
+ * belongs to; the customer mutations it ends with are tracked under the same run.
+ * With options.planId nothing is mutated - the mapping goes into that sync plan.
+ */
+async function queueCustomerContactSync(env, shopDomain, unleashedCustomers, originalDomain, syncId = crypto.randomUUID(), { planId = null } = {}) {
+  console.log('🚀 Queueing customer contact fetch via CUSTOMER_QUEUE');
+  const totalChunks = Math.ceil(unleashedCustomers.length / CONTACT_FETCH_CHUNK_SIZE);
+  const results = {
+    method: 'queue_based',
+    syncId,
+    queued: { customers: unleashedCustomers.length, chunks: totalChunks },
+    summary: '',
+    errors: []
+  };
+
+  if (totalChunks === 0) {
+    results.summary = 'No Unleashed customers - nothing to fetch contacts for';
+    console.log(`⏭️ ${results.summary}`);
+    return results;
+  }
+
+  try {
+    await saveJob(env, {
+      syncId,
+      originalDomain,
+      shopDomain,
+      customers: unleashedCustomers,
+      totalChunks,
+      completedChunks: 0,
+      failedCustomers: [],
+      planId,
+      status: 'running',
+      startedAt: new Date().toISOString()
+    });
+
+    await env.CUSTOMER_QUEUE.send({
+      type: 'FETCH_CUSTOMER_CONTACTS',
+      syncId,
+      originalDomain,
+      shopDomain,
+      chunk: 0,
+      timestamp: new Date().toISOString()
+    });
+
+    // Jobs are chained, so all of them count as queued up front (dry runs have no run)
+    if (!planId) {
+      await recordQueuedOperations(env.AUTH_STORE, { syncId, domain: originalDomain, entity: 'contacts', queued: totalChunks });
+    }
+
+    results.summary = `Queued contact fetch for ${unleashedCustomers.length} customers across ${totalChunks} job(s)`;
+    console.log(`✅ ${results.summary} – Sync ID: ${syncId}`);
+  } catch (err) {
+    console.error('🚨 Failed to queue customer contact fetch', err);
+    results.errors.push(err.message);
+  }
+  return results;
+}
+
+/**
+ * Process one FETCH_CUSTOMER_CONTACTS job: fetch contacts for this chunk of
+ * customers, then either queue the next chunk or run the mapping + mutations.
+ * Failures are thrown back to the queue for a retry; on the last attempt (or
+ * without a job or auth data to retry with) the chain ends and the run is told.
+ */
+async function handleCustomerContactsQueueMessage(message, env, { finalAttempt = false } = {}) {
+  const { syncId, chunk } = message;
+  console.log(`👥 Fetching customer contacts for sync ${syncId} (job ${chunk + 1})`);
+
+  let job = null;
+  let authData = null;
+  try {
+    const jobString = await env.AUTH_STORE.get(jobKey(syncId));
+    if (!jobString) throw new Error(`Contact sync job ${syncId} not found (expired?)`);
+    job = JSON.parse(jobString);
+
+    const authString = await env.AUTH_STORE.get(job.originalDomain);
+    if (!authString) throw new Error(`Auth not found for domain ${job.originalDomain}`);
+    authData = JSON.parse(authString);
+
+    // Fetch this chunk's contacts one customer at a time (the client paces/retries)
+    const customers = job.customers.slice(chunk * CONTACT_FETCH_CHUNK_SIZE, (chunk + 1) * CONTACT_FETCH_CHUNK_SIZE);
+    const contacts = [];
+    for (const customer of customers) {
+      try {
+        contacts.push(...await fetchCustomerContacts(customer, authData.unleashed));
+      } catch (error) {
+        console.error(`❌ Failed to fetch contacts for customer ${customer.customerCode}: ${error.message}`);
+        job.failedCustomers.push({ customerCode: customer.customerCode, error: error.message });
+      }
+    }
+    console.log(`✅ Job ${chunk + 1}/${job.totalChunks}: ${contacts.length} contacts from ${customers.length} customers`);
+
+    await env.AUTH_STORE.put(chunkKey(syncId, chunk), JSON.stringify(contacts), { expirationTtl: CONTACT_SYNC_TTL });
+    job.completedChunks = chunk + 1;
+
+    // More customers left - hand over to the next job
+    if (chunk + 1 < job.totalChunks) {
+      await saveJob(env, job);
+      await env.CUSTOMER_QUEUE.send({
+        type: 'FETCH_CUSTOMER_CONTACTS',
+        syncId,
+        originalDomain: job.originalDomain,
+        shopDomain: job.shopDomain,
+        chunk: chunk + 1,
+        timestamp: new Date().toISOString()
+      });
+      return { success: true };
+    }
+
+    // Last job - gather every staged chunk and run the existing mapping
+    const allContacts = [];
+    for (let i = 0; i < job.totalChunks; i++) {
+      const staged = await env.AUTH_STORE.get(chunkKey(syncId, i));
+      if (staged) allContacts.push(...JSON.parse(staged));
+    }
+
+    const baseUrl = `https://${job.shopDomain}/admin/api/2025-04`;
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': authData.shopify.accessToken
+    };
+    const shopifyCustomers = await fetchShopifyCustomers(baseUrl, headers);
+
+    const customerMappingResults = await mapCustomers(allContacts, job.customers, shopifyCustomers, {
+      fieldMapping: await getFieldMapping(env.AUTH_STORE, job.originalDomain)
+    });
+
+    // Dry run - record what would change and stop there
+    if (job.planId) {
+      await saveSyncPlanSection(env.AUTH_STORE, job.planId, 'customers', {
+        ...buildEntityPlan(customerMappingResults, shopifyCustomers),
+        contacts: allContacts.length,
+        failedCustomers: job.failedCustomers
+      });
+      await saveJob(env, { ...job, status: 'completed', contacts: allContacts.length, completedAt: new Date().toISOString() });
+      console.log(`📝 Contact sync ${syncId} planned: ${customerMappingResults.toCreate.length} creates, ${customerMappingResults.toUpdate.length} updates`);
+      return { success: true };
+    }
+
+    const mutationResults = await mutateCustomersViaQueue(env, job.shopDomain, customerMappingResults, job.originalDomain, syncId);
+
+    await saveJob(env, {
+      ...job,
+      status: 'completed',
+      contacts: allContacts.length,
+      mapping: {
+        toCreate: customerMappingResults.toCreate.length,
+        toUpdate: customerMappingResults.toUpdate.length,
+        errors: customerMappingResults.errors.length,
+        processed: customerMappingResults.processed
+      },
+      mutations: mutationResults.summary,
+      completedAt: new Date().toISOString()
+    });
+
+    console.log(`🎉 Contact sync ${syncId} complete: ${allContacts.length} contacts mapped – ${mutationResults.summary}`);
+    return { success: true };
+  } catch (error) {
+    if (job && authData && !finalAttempt) {
+      console.warn(`🔁 Contact sync ${syncId} job ${chunk + 1} failed, retrying: ${error.message}`);
+      throw error;
+    }
+
+    console.error('🚨 Customer contact fetch failed:', error);
+    if (job && !job.planId) {
+      await recordUnrunChunks(env, job, chunk, error.message).catch(() => {});
+    }
+    if (job) {
+      await saveJob(env, { ...job, status: 'failed', error: error.message }).catch(() => {});
+    }
+    if (job?.planId) {
+      await saveSyncPlanSection(env.AUTH_STORE, job.planId, 'customers', { error: error.message }).catch(() => {});
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+export {
+  queueCustomerContactSync,
+  handleCustomerContactsQueueMessage
+};
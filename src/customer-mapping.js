@@ -1,6 +1,9 @@
 import { slugify, validateEmail } from './helpers.js';
+import { DEFAULT_FIELD_MAPPING, mapFields } from './field-mapping.js';
 
-async function mapCustomers(unleashedContacts, unleashedCustomers, shopifyCustomers) {
+// options.fieldMapping: the domain's field mapping (field-mapping.js) for customer fields
+async function mapCustomers(unleashedContacts, unleashedCustomers, shopifyCustomers, options = {}) {
+  const { fieldMapping = DEFAULT_FIELD_MAPPING } = options;
   console.log('👥 === STARTING CUSTOMER MAPPING ===');
   console.log(`📊 Input data: ${unleashedContacts.length} Unleashed contacts, ${unleashedCustomers.length} Unleashed customers, ${shopifyCustomers.length} Shopify customers`);
 
@@ -21,8 +24,8 @@ async function mapCustomers(unleashedContacts, unleashedCustomers, shopifyCustom
   // Create a lookup map for Unleashed customers by their ID/code for efficient lookup
   const customerLookup = new Map();
   unleashedCustomers.forEach(customer => {
-    customerLookup.set(customer.Guid, customer);
-    customerLookup.set(customer.CustomerCode, customer);
+    customerLookup.set(customer.guid, customer);
+    customerLookup.set(customer.customerCode, customer);
   });
 
   try {
@@ -48,9 +51,13 @@ async function mapCustomers(unleashedContacts, unleashedCustomers, shopifyCustom
         console.log(`   🏢 Associated customer: "${unleashedContact.CustomerName}" (${unleashedContact.CustomerCode})`);
 
         // Extract primary matching fields from contact
-        const email = unleashedContact.EmailAddress || `contact-${unleashedContact.Guid}@placeholder.com`;
-        const firstName = unleashedContact.FirstName || 'Unknown';
-        const lastName = unleashedContact.LastName || 'Contact';
+        const customerFields = mapFields(fieldMapping, 'customer', {
+          ...unleashedContact,
+          Customer: customerLookup.get(unleashedContact.CustomerGuid) || null
+        });
+        const email = String(customerFields.email ?? '');
+        const firstName = String(customerFields.firstName ?? '');
+        const lastName = String(customerFields.lastName ?? '');
 
         console.log(`   📧 Generated email: "${email}"`);
         console.log(`   👤 Generated name: "${firstName} ${lastName}"`);
@@ -76,7 +83,7 @@ async function mapCustomers(unleashedContacts, unleashedCustomers, shopifyCustom
           firstName,
           lastName,
           email: validateEmail(email),
-          phone: unleashedContact.OfficePhone || unleashedContact.MobilePhone,
+          phone: customerFields.phone ?? undefined,
           metafields: [
             {
               namespace: 'unleashed',
@@ -110,7 +117,7 @@ async function mapCustomers(unleashedContacts, unleashedCustomers, shopifyCustom
                          customerData.metafields.push({
                namespace: 'unleashed',
                key: 'sell_price_tier',
-               value: fullCustomerData.SellPriceTier || 'Default',
+               value: fullCustomerData.sellPriceTier || 'Default',
                type: 'single_line_text_field'
              });
           }
@@ -4,8 +4,7 @@
  */
 
 import { pullAllData } from './data_pull.js';
-import { mapCustomers } from './customer-mapping.js';
-import { mutateCustomersViaQueue } from './customer-mutations.js';
+import { queueCustomerContactSync } from './customer-contact-sync.js';
 
 // Helper function to get auth data from KV store
 async function getAuthData(env, domain) {
@@ -93,34 +92,23 @@ export async function handleCustomerMutations(request, env) {
     
     console.log('Data pulled successfully for mutations:', {
       unleashed: {
-        customers: data.unleashed.customers.length,
-        contacts: data.unleashed.contacts.length
+        customers: data.unleashed.customers.length
       },
       shopify: {
         customers: data.shopify.customers.length
       }
     });
 
-    // Perform customer mapping
-    console.log('🗺️ Starting customer mapping for mutations...');
-    const customerMappingResults = await mapCustomers(data.unleashed.contacts, data.unleashed.customers, data.shopify.customers);
-    
-    // Queue customer mutations
-    console.log('📋 Queueing customer mutations...');
-    const mutationResults = await mutateCustomersViaQueue(env, authData.shopify.shopDomain, customerMappingResults, domain);
+    // Contacts are fetched per customer by queued jobs, which then map and queue the mutations
+    console.log('📋 Queueing customer contact sync...');
+    const contactSyncResults = await queueCustomerContactSync(env, authData.shopify.shopDomain, data.unleashed.customers, domain);
 
-    console.log('✅ Customer mutations completed successfully');
+    console.log('✅ Customer contact sync queued successfully');
 
     return jsonResponse({
       success: true,
       domain,
-      mappingResults: {
-        toCreate: customerMappingResults.toCreate.length,
-        toUpdate: customerMappingResults.toUpdate.length,
-        errors: customerMappingResults.errors.length,
-        processed: customerMappingResults.processed
-      },
-      queueResults: mutationResults,
+      queueResults: contactSyncResults,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -183,30 +171,19 @@ export async function handleCustomerSync(request, env) {
     
     console.log('Data pulled successfully:', {
       unleashed: {
-        customers: data.unleashed.customers.length,
-        contacts: data.unleashed.contacts.length
+        customers: data.unleashed.customers.length
       },
       shopify: {
         customers: data.shopify.customers.length
       }
     });
 
-    // Step 2: Map customers from Unleashed to Shopify format
-    console.log('🗺️ Step 2: Mapping customers from Unleashed to Shopify format...');
-    const customerMappingResults = await mapCustomers(data.unleashed.contacts, data.unleashed.customers, data.shopify.customers);
-    
-    console.log('Customer mapping completed:', {
-      toCreate: customerMappingResults.toCreate.length,
-      toUpdate: customerMappingResults.toUpdate.length,
-      errors: customerMappingResults.errors.length,
-      processed: customerMappingResults.processed
-    });
-
-    // Step 3: Execute mutations on Shopify
-    console.log('🔄 Step 3: Executing customer mutations on Shopify...');
-    const mutationResults = await mutateCustomersViaQueue(env, authData.shopify.shopDomain, customerMappingResults, domain);
+    // Step 2: Queue contact fetching - the jobs map contacts to Shopify customers
+    // and queue the mutations once every customer's contacts are in
+    console.log('📋 Step 2: Queueing customer contact sync...');
+    const contactSyncResults = await queueCustomerContactSync(env, authData.shopify.shopDomain, data.unleashed.customers, domain);
 
-    console.log('✅ Complete customer sync workflow completed successfully');
+    console.log('✅ Complete customer sync workflow queued successfully');
 
     return jsonResponse({
       success: true,
@@ -215,22 +192,15 @@ export async function handleCustomerSync(request, env) {
       steps: {
         dataFetch: {
           unleashed: {
-            customers: data.unleashed.customers.length,
-            contacts: data.unleashed.contacts.length
+            customers: data.unleashed.customers.length
           },
           shopify: {
             customers: data.shopify.customers.length
           }
         },
-        mapping: {
-          toCreate: customerMappingResults.toCreate.length,
-          toUpdate: customerMappingResults.toUpdate.length,
-          errors: customerMappingResults.errors.length,
-          processed: customerMappingResults.processed
-        },
-        mutations: {
-          queueResults: mutationResults,
-          debugErrors: mutationResults.debugErrors || []
+        contactSync: {
+          status: contactSyncResults.errors.length > 0 ? 'failed' : 'queued',
+          queueResults: contactSyncResults
         }
       },
       timestamp: new Date().toISOString()
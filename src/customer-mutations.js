@@ -3,6 +3,8 @@
  * Efficiently creates and updates customers using GraphQL mutations with batching
  */
 
+import { recordQueuedOperations } from './sync-runs.js';
+
 const MAX_BATCH_SIZE = 10; // GraphQL batch limit for customer operations
 const MUTATION_DELAY = 100; // Small delay between batches to avoid rate limits
 
@@ -353,9 +355,9 @@ async function mutateCustomersIndividual(authData, mappingResults) {
 }
 
 // === QUEUE-BASED CUSTOMER MUTATIONS ===
-async function mutateCustomersViaQueue(env, shopDomain, mappingResults, originalDomain) {
+// Pass the syncId of the run these mutations belong to (a new run is started otherwise)
+async function mutateCustomersViaQueue(env, shopDomain, mappingResults, originalDomain, syncId = crypto.randomUUID()) {
   console.log('🚀 Queueing customer mutations via CUSTOMER_QUEUE');
-  const syncId = crypto.randomUUID();
   const results = {
     method: 'queue_based',
     syncId,
@@ -394,6 +396,12 @@ async function mutateCustomersViaQueue(env, shopDomain, mappingResults, original
     console.error('🚨 Failed to queue customer operations', err);
     results.errors.push(err.message);
   }
+  await recordQueuedOperations(env.AUTH_STORE, {
+    syncId,
+    domain: originalDomain,
+    entity: 'customers',
+    queued: results.queued.creates + results.queued.updates
+  });
   return results;
 }
 
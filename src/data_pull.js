@@ -1,7 +1,17 @@
 // src/data_pull.js
+import { unleashedFetch, unleashedRequest } from './unleashed-client.js';
 
 const BATCH_SIZE = 100;
 const PAGE_SIZE = 100; // Conservative page size for reliable pagination (API supports up to 1000)
+const SYNC_CHECKPOINT_PREFIX = 'sync_checkpoint:'; // KV key prefix for per-domain incremental sync watermarks
+const MAX_INCREMENTAL_LOOKUPS = 40; // Per-SKU product lookups (MAX_PARALLEL_PAGES at a time) allowed before an incremental pull falls back to a full pull
+const MAX_PARALLEL_PAGES = 4; // Unleashed pages fetched concurrently once the page count is known
+const SHOPIFY_VARIANTS_PAGE_SIZE = 20; // Variants per page in paginated product queries (follow-up pages fetch the rest)
+const SHOPIFY_MEDIA_PAGE_SIZE = 50; // Media per page in paginated product queries
+const SHOPIFY_INVENTORY_LEVELS_PAGE_SIZE = 5; // Inventory levels per variant in product queries (keeps query cost down)
+const SHOPIFY_INVENTORY_VARIANTS_PAGE_SIZE = 50; // Variants per page in the inventory-only query
+const SHOPIFY_INVENTORY_LOCATIONS_PAGE_SIZE = 10; // Inventory levels per variant in the inventory-only query
+const SHOPIFY_SKU_SEARCH_SIZE = 50; // SKUs OR-ed into one variant search
 
 // Helper function to get auth data from KV store
 async function getAuthData(kvStore, domain) {
@@ -17,35 +27,30 @@ async function getAuthData(kvStore, domain) {
   }
 }
 
-// Helper: Generate HMAC-SHA256 signature for Unleashed API authentication
-async function generateUnleashedSignature(queryString, apiKey) {
-  const encoder = new TextEncoder();
-  const keyBuffer = encoder.encode(apiKey);
-  const dataBuffer = encoder.encode(queryString);
-  const cryptoKey = await crypto.subtle.importKey(
-    'raw',
-    keyBuffer,
-    { name: 'HMAC', hash: 'SHA-256' },
-    false,
-    ['sign']
-  );
-  const signature = await crypto.subtle.sign('HMAC', cryptoKey, dataBuffer);
-  const base64Signature = btoa(String.fromCharCode(...new Uint8Array(signature)));
-  return base64Signature;
+// Helper: Format a timestamp the way Unleashed expects for modifiedSince (UTC, no milliseconds)
+function formatUnleashedDate(value) {
+  return new Date(value).toISOString().slice(0, 19);
 }
 
-// Helper: Create headers for Unleashed API requests
-async function createUnleashedHeaders(endpoint, apiKey, apiId) {
-  const url = new URL(endpoint);
-  const queryString = url.search ? url.search.substring(1) : '';
-  const signature = await generateUnleashedSignature(queryString, apiKey);
-  return {
-    'Content-Type': 'application/json',
-    'Accept': 'application/json',
-    'api-auth-id': apiId,
-    'api-auth-signature': signature,
-    'Client-Type': 'kilr/unleashedshopify'
-  };
+// Read the last successful sync watermark for a domain (null when none has been recorded)
+async function getSyncCheckpoint(kvStore, domain) {
+  const raw = await kvStore.get(`${SYNC_CHECKPOINT_PREFIX}${domain}`);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring unreadable sync checkpoint for ${domain}:`, error.message);
+    return null;
+  }
+}
+
+// Record the watermark of a successful sync. Callers pass the time the pull STARTED
+// so records modified while the sync was running are picked up by the next delta.
+async function saveSyncCheckpoint(kvStore, domain, checkpoint) {
+  await kvStore.put(`${SYNC_CHECKPOINT_PREFIX}${domain}`, JSON.stringify({
+    ...checkpoint,
+    savedAt: new Date().toISOString()
+  }));
 }
 
 // Helper functions for processing data
@@ -57,6 +62,7 @@ function processCustomer(customer) {
     customerCode: customer.CustomerCode,
     customerName: customer.CustomerName,
     guid: customer.Guid,
+    sellPriceTier: customer.SellPriceTier || null,
     // Add other fields as needed
   };
 }
@@ -65,24 +71,38 @@ function processStockOnHand(stockItem) {
   if (!stockItem) {
     return null;
   }
+  // Keep Unleashed field names - product mapping reads ProductCode/WarehouseCode/AvailableQty directly
   return {
-    productCode: stockItem.ProductCode,
-    availableQty: stockItem.AvailableQty,
-    warehouseCode: stockItem.WarehouseCode,
+    ProductCode: stockItem.ProductCode,
+    WarehouseCode: stockItem.WarehouseCode,
+    AvailableQty: stockItem.AvailableQty,
+    QtyOnHand: stockItem.QtyOnHand,
+    AllocatedQty: stockItem.AllocatedQty,
     // Add other fields as needed
   };
 }
 
+// Attach bulk Stock On Hand rows to their products (by ProductCode)
+function attachStockOnHand(products, stockItems) {
+  const stockMap = {};
+  stockItems.forEach(item => {
+    const prodCode = item.ProductCode || item.Product?.ProductCode;
+    if (!prodCode) return;
+    if (!stockMap[prodCode]) stockMap[prodCode] = [];
+    stockMap[prodCode].push(item);
+  });
+
+  products.forEach(product => {
+    product.StockOnHand = stockMap[product.ProductCode] || [];
+  });
+}
+
 // Fetch stock on hand for a product
 async function fetchStockOnHand(productCode, authData) {
   try {
     console.log(`📦 Fetching stock on hand for product ${productCode}`);
     
-    const stockUrl = `https://api.unleashedsoftware.com/StockOnHand?productCode=${productCode}`;
-    const response = await fetch(stockUrl, {
-      method: 'GET',
-      headers: await createUnleashedHeaders(stockUrl, authData.apiKey, authData.apiId)
-    });
+    const response = await unleashedFetch(`StockOnHand?productCode=${productCode}`, authData);
 
     if (!response.ok) {
       console.error(`❌ Error fetching stock for product ${productCode}: ${response.status} ${response.statusText}`);
@@ -112,232 +132,300 @@ async function fetchStockOnHand(productCode, authData) {
   }
 }
 
-// Fetch ALL stock on hand records in bulk (paginated)
-async function fetchAllStockOnHand(authData) {
-  const allStock = [];
-  let currentStockPage = 1;
-  
-  do {
-    const stockUrl = `https://api.unleashedsoftware.com/StockOnHand/${currentStockPage}?pageSize=${PAGE_SIZE}`;
-    console.log(`📄 Fetching stock page ${currentStockPage}...`);
-    
-    const stockResponse = await fetch(stockUrl, {
-      method: 'GET',
-      headers: await createUnleashedHeaders(stockUrl, authData.apiKey, authData.apiId)
-    });
+// Fetch every page of a paged Unleashed endpoint. Page 1 tells us how many pages
+// exist (Pagination.NumberOfPages); the rest are fetched MAX_PARALLEL_PAGES at a time.
+// A failed page doesn't abort the pull - the result is flagged incomplete instead so
+// callers can refuse destructive steps (archiving) on a partial dataset.
+async function fetchAllUnleashedPages(resource, query, authData, label = resource) {
+  const pageUrl = page => `${resource}/${page}?pageSize=${PAGE_SIZE}${query}`;
 
-    if (!stockResponse.ok) {
-      throw new Error(`Failed to fetch stock page ${currentStockPage}: ${stockResponse.status} ${stockResponse.statusText}`);
-    }
-    
-    const stockData = await stockResponse.json();
-    const stock = stockData.Items || [];
-    
-    // Log pagination info
-    console.log(`📊 Stock page ${currentStockPage} - Got ${stock.length} stock items`);
-    
-    // Break if no stock returned
-    if (stock.length === 0) {
-      console.log(`✅ No more stock found on page ${currentStockPage} - pagination complete`);
-      break;
+  let firstPage;
+  try {
+    firstPage = await unleashedRequest(pageUrl(1), authData);
+  } catch (error) {
+    throw new Error(`Failed to fetch ${label} page 1: ${error.message}`);
+  }
+
+  const pagination = firstPage.Pagination || null;
+  const numberOfPages = pagination?.NumberOfPages ?? 1;
+  const expectedItems = pagination?.NumberOfItems ?? null;
+  const pages = [firstPage.Items || []];
+  const failedPages = [];
+
+  console.log(`📄 ${label}: ${numberOfPages} page(s), ${expectedItems ?? 'unknown'} item(s) reported`);
+
+  for (let batchStart = 2; batchStart <= numberOfPages; batchStart += MAX_PARALLEL_PAGES) {
+    const batchPages = [];
+    for (let page = batchStart; page < batchStart + MAX_PARALLEL_PAGES && page <= numberOfPages; page++) {
+      batchPages.push(page);
     }
-    
-    // Process stock
-    for (const stockItem of stock) {
-      const processedStock = processStockOnHand(stockItem);
-      if (processedStock) {
-        allStock.push(processedStock);
+
+    const settled = await Promise.allSettled(batchPages.map(page => unleashedRequest(pageUrl(page), authData)));
+    settled.forEach((outcome, index) => {
+      const page = batchPages[index];
+      if (outcome.status === 'fulfilled') {
+        pages[page - 1] = outcome.value.Items || [];
+      } else {
+        failedPages.push(page);
+        console.error(`❌ Failed to fetch ${label} page ${page}: ${outcome.reason?.message || outcome.reason}`);
       }
-    }
-    
-    currentStockPage++;
-    
-    // Safety break to prevent infinite loops
-    if (currentStockPage > 50) {
-      console.log(`🛑 Safety break at page ${currentStockPage} to prevent infinite loop`);
-      break;
-    }
-    
-  } while (true); // Continue until we get 0 results
-  
-  console.log(`✅ Successfully fetched ${allStock.length} stock items across ${currentStockPage - 1} pages`);
-  return allStock;
+    });
+  }
+
+  const items = pages.filter(Boolean).flat();
+
+  // Without pagination metadata a full first page means we can't know what we missed
+  const missingMetadata = !pagination && items.length >= PAGE_SIZE;
+  const complete = failedPages.length === 0 &&
+    !missingMetadata &&
+    (expectedItems === null || items.length >= expectedItems);
+
+  if (complete) {
+    console.log(`✅ ${label}: fetched ${items.length} items across ${numberOfPages} page(s)`);
+  } else {
+    console.warn(`⚠️ ${label}: INCOMPLETE pull - ${items.length}/${expectedItems ?? '?'} items, failed pages: [${failedPages.join(', ')}]${missingMetadata ? ', no pagination metadata' : ''}`);
+  }
+
+  return {
+    items,
+    pagination: { complete, numberOfPages, expectedItems, fetchedItems: items.length, failedPages }
+  };
+}
+
+// Fetch ALL stock on hand records in bulk (paginated). Pass modifiedSince to only
+// return rows that changed after that time.
+async function fetchAllStockOnHand(authData, modifiedSince = null) {
+  const deltaParam = modifiedSince ? `&modifiedSince=${formatUnleashedDate(modifiedSince)}` : '';
+  const { items, pagination } = await fetchAllUnleashedPages('StockOnHand', deltaParam, authData, 'StockOnHand');
+  const allStock = items.map(processStockOnHand).filter(Boolean);
+  return { items: allStock, pagination };
 }
 
-// Note: Product attachments endpoint is not available in the Unleashed API
-// The /Products/{productCode}/Attachments endpoint returns 404 errors
-// This functionality is disabled until a valid endpoint is found
+// Fetch the image attachments of one product. The attachments endpoint is keyed by
+// the product Guid (/Products/{productCode}/Attachments returns 404) and its
+// download URLs need signed requests, so callers download through unleashedFetch.
+async function fetchProductAttachments(productGuid, authData) {
+  const data = await unleashedRequest(`Products/${productGuid}/Attachments`, authData);
+  return (data.Items || [])
+    .filter(att => (att.MimeType || '').startsWith('image/') || /\.(jpe?g|png|gif|webp)$/i.test(att.FileName || ''))
+    .map(att => ({
+      guid: att.Guid,
+      fileName: att.FileName,
+      mimeType: att.MimeType || null,
+      description: att.Description || null,
+      downloadUrl: att.DownloadUrl || att.Url
+    }));
+}
+
+// List the image attachments of sellable products, MAX_PARALLEL_PAGES at a time, as
+// product.AttachmentImages so mapping can spot attachments Shopify doesn't have yet.
+// A listing that fails leaves null (unknown) and that product isn't compared.
+async function attachProductAttachments(products, authData) {
+  const sellable = products.filter(product => product.Guid && product.IsSellable);
+  let failed = 0;
+  for (let start = 0; start < sellable.length; start += MAX_PARALLEL_PAGES) {
+    const batch = sellable.slice(start, start + MAX_PARALLEL_PAGES);
+    const settled = await Promise.allSettled(batch.map(product => fetchProductAttachments(product.Guid, authData)));
+    settled.forEach((outcome, index) => {
+      batch[index].AttachmentImages = outcome.status === 'fulfilled' ? outcome.value : null;
+      if (outcome.status === 'rejected') failed++;
+    });
+  }
+  console.log(`📎 Listed attachments for ${sellable.length - failed}/${sellable.length} sellable product(s)`);
+}
+
+// Fetch a single product (with AttributeSet) by exact product code
+async function fetchUnleashedProductByCode(productCode, authData) {
+  let data;
+  try {
+    data = await unleashedRequest(`Products?productCode=${encodeURIComponent(productCode)}&includeAttributeSet=true&includeAttributes=true&includeObsolete=true`, authData);
+  } catch (error) {
+    throw new Error(`Failed to fetch product ${productCode}: ${error.message}`);
+  }
+
+  // productCode is a partial-match filter in Unleashed - keep the exact match only
+  return (data.Items || []).find(item => item.ProductCode === productCode) || null;
+}
+
+// Fetch sales shipments modified since a given time (all pages)
+async function fetchSalesShipments(authData, modifiedSince) {
+  return fetchAllUnleashedPages(
+    'SalesShipments',
+    `&modifiedSince=${formatUnleashedDate(modifiedSince)}`,
+    authData,
+    'SalesShipments'
+  );
+}
+
+// Fetch a single sales order by its Unleashed order number (null when not found)
+async function fetchSalesOrderByNumber(orderNumber, authData) {
+  const data = await unleashedRequest(`SalesOrders?orderNumber=${encodeURIComponent(orderNumber)}`, authData);
+  return (data.Items || []).find(item => item.OrderNumber === orderNumber) || null;
+}
 
-// Fetch Unleashed data
-async function fetchUnleashedData(authData) {
+// Fetch the contacts of one (processed) Unleashed customer. Each contact is tagged
+// with its customer so mapCustomers can attach the customer metafields.
+async function fetchCustomerContacts(customer, authData) {
+  const data = await unleashedRequest(`Customers/${customer.guid}/Contacts`, authData);
+  return (data.Items || []).map(contact => ({
+    ...contact,
+    CustomerGuid: customer.guid,
+    CustomerCode: customer.customerCode,
+    CustomerName: customer.customerName
+  }));
+}
+
+// Fetch Unleashed data. With modifiedSince, products and customers are limited to
+// records changed since then (delta mode); warehouses and stock levels stay complete.
+async function fetchUnleashedData(authData, { modifiedSince = null } = {}) {
   const results = {};
+  const deltaParam = modifiedSince ? `&includeObsolete=true&modifiedSince=${formatUnleashedDate(modifiedSince)}` : '';
   
   // Products - Fetch ALL products with AttributeSet data using proper endpoint
-  console.log(`\n🔍 FETCHING ALL PRODUCTS WITH ATTRIBUTESET DATA...`);
+  console.log(modifiedSince
+    ? `\n🔍 FETCHING PRODUCTS MODIFIED SINCE ${formatUnleashedDate(modifiedSince)}...`
+    : `\n🔍 FETCHING ALL PRODUCTS WITH ATTRIBUTESET DATA...`);
   
   const allProducts = [];
-  let currentPage = 1;
-  const pageSize = PAGE_SIZE;
   const seenProductCodes = new Set(); // Track seen product codes to detect duplicates
-  
-  do {
-    const productsUrl = `https://api.unleashedsoftware.com/Products/${currentPage}?pageSize=${pageSize}&includeAttributeSet=true&includeAttributes=true`;
-    console.log(`📄 Fetching page ${currentPage} - URL: ${productsUrl}`);
-    
-    const productsResponse = await fetch(productsUrl, {
-      method: 'GET',
-      headers: await createUnleashedHeaders(productsUrl, authData.apiKey, authData.apiId)
-    });
-    
-    if (!productsResponse.ok) {
-      throw new Error(`Failed to fetch products page ${currentPage}: ${productsResponse.status} ${productsResponse.statusText}`);
-    }
-    
-    const productsData = await productsResponse.json();
-    const products = productsData.Items || [];
-    
-    // Log pagination info and first product to detect duplicates
-    console.log(`📊 Page ${currentPage} - Got ${products.length} products - First product: ${products[0]?.ProductCode || 'NONE'}`);
-    
-    // Break if no products returned
-    if (products.length === 0) {
-      console.log(`✅ No more products found on page ${currentPage} - pagination complete`);
-      break;
-    }
-    
-    // Track duplicates
-    let duplicateCount = 0;
-    for (const product of products) {
-      if (seenProductCodes.has(product.ProductCode)) {
-        duplicateCount++;
-      } else {
-        seenProductCodes.add(product.ProductCode);
-        // Attachments placeholder (stock fetched in bulk later)
-        product.Attachments = [];
-        allProducts.push(product);
-      }
-    }
-    
-    if (duplicateCount > 0) {
-      console.log(`⚠️ Found ${duplicateCount} duplicate products on page ${currentPage}`);
-    }
-    
-    // Debug first product's data structure on first page
-    if (currentPage === 1 && products.length > 0) {
-      console.log(`📊 Sample product: ${products[0].ProductCode}, AttributeSet: ${!!products[0].AttributeSet}`);
-    }
-    
-    currentPage++;
-    
-    // Safety break to prevent infinite loops
-    if (currentPage > 50) {
-      console.log(`🛑 Safety break at page ${currentPage} to prevent infinite loop`);
-      break;
+  const productPages = await fetchAllUnleashedPages(
+    'Products',
+    `&includeAttributeSet=true&includeAttributes=true${deltaParam}`,
+    authData,
+    'Products'
+  );
+  results.pagination = { products: productPages.pagination };
+
+  let duplicateCount = 0;
+  for (const product of productPages.items) {
+    if (seenProductCodes.has(product.ProductCode)) {
+      duplicateCount++;
+    } else {
+      seenProductCodes.add(product.ProductCode);
+      allProducts.push(product);
     }
-    
-    // Add small delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 100));
-  
-  } while (true); // Continue until we get 0 results
+  }
+
+  if (duplicateCount > 0) {
+    console.log(`⚠️ Found ${duplicateCount} duplicate products across pages`);
+  }
+
+  if (allProducts.length > 0) {
+    console.log(`📊 Sample product: ${allProducts[0].ProductCode}, AttributeSet: ${!!allProducts[0].AttributeSet}`);
+  }
   
   console.log(`✅ Retrieved ${allProducts.length} total products, ${seenProductCodes.size} unique products`);
 
-  // Fetch all stock on hand in bulk and attach to products
+  // Fetch all stock on hand in bulk and attach to products. Stock levels are always
+  // pulled in full so every product we touch carries complete per-warehouse quantities.
+  // Delta mode also pulls the rows changed since modifiedSince, alongside the full pull.
   console.log(`\n📊 Fetching bulk Stock On Hand data for all products...`);
-  try {
-    const bulkStock = await fetchAllStockOnHand(authData);
-    const stockMap = {};
-    bulkStock.forEach(item => {
-      const prodCode = item.ProductCode || item.Product?.ProductCode;
-      if (!prodCode) return;
-      if (!stockMap[prodCode]) stockMap[prodCode] = [];
-      stockMap[prodCode].push(item);
-    });
-
-    allProducts.forEach(product => {
-      product.StockOnHand = stockMap[product.ProductCode] || [];
-    });
-  } catch (error) {
-    console.error('⚠️ Failed bulk StockOnHand fetch:', error);
+  const [stockOutcome, changedStockOutcome] = await Promise.allSettled([
+    fetchAllStockOnHand(authData),
+    modifiedSince ? fetchAllStockOnHand(authData, modifiedSince) : null
+  ]);
+  let bulkStock = [];
+  if (stockOutcome.status === 'fulfilled') {
+    bulkStock = stockOutcome.value.items;
+    results.pagination.stockOnHand = stockOutcome.value.pagination;
+    attachStockOnHand(allProducts, bulkStock);
+  } else {
+    console.error('⚠️ Failed bulk StockOnHand fetch:', stockOutcome.reason);
     // Fallback: products keep empty StockOnHand
+    results.pagination.stockOnHand = { complete: false, error: stockOutcome.reason?.message };
   }
 
   results.products = allProducts;
+  results.stockOnHand = bulkStock;
+
+  // Delta mode: stock movements don't touch the product record, so collect the
+  // product codes whose stock changed separately.
+  if (modifiedSince) {
+    if (changedStockOutcome.status === 'rejected') throw changedStockOutcome.reason;
+    const changedStock = changedStockOutcome.value;
+    results.pagination.changedStock = changedStock.pagination;
+    results.changedStockCodes = [...new Set(changedStock.items.map(item => item.ProductCode).filter(Boolean))];
+    console.log(`📊 ${results.changedStockCodes.length} products have stock changes since ${formatUnleashedDate(modifiedSince)}`);
+  }
 
   // Customers (company entities) - Fetch ALL customers with proper pagination
   console.log(`\n👥 FETCHING ALL CUSTOMERS...`);
-  const allCustomers = [];
-  let currentCustomerPage = 1;
-  
-  do {
-    const customersUrl = `https://api.unleashedsoftware.com/Customers/${currentCustomerPage}?pageSize=${PAGE_SIZE}&includeObsolete=false`;
-    console.log(`📄 Fetching customers page ${currentCustomerPage}...`);
-    
-  const customersResponse = await fetch(customersUrl, {
-    method: 'GET',
-    headers: await createUnleashedHeaders(customersUrl, authData.apiKey, authData.apiId)
-  });
-    
-    if (!customersResponse.ok) {
-      throw new Error(`Failed to fetch customers page ${currentCustomerPage}: ${customersResponse.status} ${customersResponse.statusText}`);
-    }
-    
-  const customersData = await customersResponse.json();
-    const customers = customersData.Items || [];
-    
-    // Log pagination info
-    console.log(`📊 Customers page ${currentCustomerPage} - Got ${customers.length} customers`);
-    
-    // Break if no customers returned
-    if (customers.length === 0) {
-      console.log(`✅ No more customers found on page ${currentCustomerPage} - pagination complete`);
-      break;
-    }
-    
-    // Process customers
-    for (const customer of customers) {
-      const processedCustomer = processCustomer(customer);
-      if (processedCustomer) {
-        allCustomers.push(processedCustomer);
-      }
-    }
-    
-    currentCustomerPage++;
-    
-    // Safety break to prevent infinite loops
-    if (currentCustomerPage > 50) {
-      console.log(`🛑 Safety break at customer page ${currentCustomerPage} to prevent infinite loop`);
-      break;
-    }
-    
-  } while (true); // Continue until we get 0 results
+  const customerPages = await fetchAllUnleashedPages(
+    'Customers',
+    `&includeObsolete=false${modifiedSince ? `&modifiedSince=${formatUnleashedDate(modifiedSince)}` : ''}`,
+    authData,
+    'Customers'
+  );
+  results.pagination.customers = customerPages.pagination;
+  const allCustomers = customerPages.items.map(processCustomer).filter(Boolean);
   
-  console.log(`✅ Successfully fetched ${allCustomers.length} customers across ${currentCustomerPage - 1} pages`);
   results.customers = allCustomers;
 
-  // Skip contact fetching to avoid subrequest limit in main worker
-  // Contacts can be synced separately if needed
-  console.log(`⏭️  Skipping contact fetching to avoid subrequest limit`);
+  // Contacts need one request per customer, so they're fetched by dedicated
+  // FETCH_CUSTOMER_CONTACTS queue jobs (see customer-contact-sync.js) instead of here
+  console.log(`⏭️  Contacts are fetched by queued contact sync jobs`);
   results.contacts = [];
 
   // Warehouses
   console.log(`\n🏭 FETCHING WAREHOUSES...`);
-  const warehousesUrl = 'https://api.unleashedsoftware.com/Warehouses';
-  const warehousesResponse = await fetch(warehousesUrl, {
-    method: 'GET',
-    headers: await createUnleashedHeaders(warehousesUrl, authData.apiKey, authData.apiId)
-  });
-  const warehousesData = await warehousesResponse.json();
+  const warehousesData = await unleashedRequest('Warehouses', authData);
   results.warehouses = warehousesData.Items || [];
   console.log(`✅ Retrieved ${results.warehouses.length} warehouses`);
 
-  console.log(`\n📦 FETCHING ALL STOCK ON HAND...`);
-  const allStock = await fetchAllStockOnHand(authData);
-  results.stockOnHand = allStock;
+  // The pull is only complete when every paged resource came back in full
+  results.complete = Object.values(results.pagination).every(p => p.complete);
+  if (!results.complete) {
+    console.warn('⚠️ Unleashed pull is INCOMPLETE - destructive steps (archiving) will be blocked');
+  }
 
   return results;
 }
 
+// Delta mode: a changed SKU is only mapped correctly when its whole Shopify product
+// is present, otherwise productSet would drop the unchanged sibling variants. Pull in
+// the products for stock-only changes and for unchanged siblings of changed SKUs.
+// Returns false when too many lookups are needed and a full pull is cheaper.
+async function completeIncrementalProducts(authData, unleashedData, shopifyProducts) {
+  const haveCodes = new Set(unleashedData.products.map(p => p.ProductCode));
+  const neededCodes = new Set(
+    (unleashedData.changedStockCodes || []).filter(code => !haveCodes.has(code))
+  );
+
+  const touchedCodes = new Set([...haveCodes, ...neededCodes]);
+  shopifyProducts.forEach(product => {
+    const skus = (product.variants || []).map(v => v.sku).filter(Boolean);
+    if (!skus.some(sku => touchedCodes.has(sku))) return;
+    skus.forEach(sku => {
+      if (!haveCodes.has(sku)) neededCodes.add(sku);
+    });
+  });
+
+  if (neededCodes.size > MAX_INCREMENTAL_LOOKUPS) {
+    console.log(`⚠️ Incremental pull needs ${neededCodes.size} product lookups (limit ${MAX_INCREMENTAL_LOOKUPS})`);
+    return false;
+  }
+
+  console.log(`🔍 Fetching ${neededCodes.size} unchanged products needed to complete the delta...`);
+  const codes = [...neededCodes];
+  const extraProducts = [];
+  for (let start = 0; start < codes.length; start += MAX_PARALLEL_PAGES) {
+    const batch = codes.slice(start, start + MAX_PARALLEL_PAGES);
+    const products = await Promise.all(batch.map(code => fetchUnleashedProductByCode(code, authData)));
+    products.forEach((product, index) => {
+      if (product) {
+        extraProducts.push(product);
+      } else {
+        console.log(`⚠️ Product ${batch[index]} not found in Unleashed`);
+      }
+    });
+  }
+
+  attachStockOnHand(extraProducts, unleashedData.stockOnHand || []);
+  unleashedData.products.push(...extraProducts);
+  console.log(`✅ Incremental product set: ${unleashedData.products.length} products (${extraProducts.length} fetched individually)`);
+  return true;
+}
+
 // ---------------------------------------------------------------------------
 // Helper: perform Shopify GraphQL request with exponential-backoff retry when
 // the platform responds with THROTTLED errors. This prevents data fetching
@@ -568,11 +656,249 @@ async function parseShopifyBulkQueryResults(resultUrl, operationType = 'data') {
   }
 }
 
+// Variant metafields read with every product: the price tiers the sync compares
+const PRICE_TIER_KEYS = Array.from({ length: 10 }, (_, i) => `"custom.price_tier_${i + 1}"`).join(', ');
+const PRICE_TIER_METAFIELDS_ARGS = `first: 10, keys: [${PRICE_TIER_KEYS}]`;
+
+// Variant fields shared by the product queries and their variant follow-up queries.
+// `metafieldsArgs` selects the variant metafields (snapshots read all of them).
+function shopifyVariantFields(metafieldsArgs = PRICE_TIER_METAFIELDS_ARGS) {
+  return `
+  inventoryItem {
+    id
+    tracked
+    inventoryLevels(first: ${SHOPIFY_INVENTORY_LEVELS_PAGE_SIZE}) {
+      nodes {
+        quantities(names: "available") {
+          quantity
+        }
+        location {
+          id
+          name
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+    sku
+  }
+  displayName
+  id
+  image {
+    id
+    url
+    altText
+    width
+    height
+  }
+  price
+  compareAtPrice
+  inventoryPolicy
+  selectedOptions {
+    name
+    value
+  }
+  metafields(${metafieldsArgs}) {
+    edges {
+      node {
+        namespace
+        key
+        type
+        value
+      }
+    }
+  }
+  title
+  sku
+`;
+}
+const SHOPIFY_VARIANT_FIELDS = shopifyVariantFields();
+
+// Metafield keys the domain's attribute rules (field mapping `metafields`) write at
+// `level`, quoted for a `keys:` argument - pulled so mapping can compare the values
+function attributeMetafieldKeys(metafieldRules, level) {
+  return metafieldRules.filter(rule => rule.level === level).map(rule => `"${rule.namespace}.${rule.key}"`);
+}
+
+// Variant fields with the rules' variant metafields next to the price tiers
+function shopifyVariantFieldsFor(metafieldRules) {
+  const keys = attributeMetafieldKeys(metafieldRules, 'variant');
+  if (keys.length === 0) return SHOPIFY_VARIANT_FIELDS;
+  return shopifyVariantFields(`first: ${10 + keys.length}, keys: [${[PRICE_TIER_KEYS, ...keys].join(', ')}]`);
+}
+
+// Flatten a variant's metafields from edges/node structure to an array
+function normalizeShopifyVariant(variant) {
+  if (variant.metafields && variant.metafields.edges) {
+    variant.metafields = variant.metafields.edges.map(mfEdge => mfEdge.node);
+  }
+  return variant;
+}
+
+// Media nodes that aren't images (video, 3D models) come back empty - keep images as {id, url}
+function normalizeShopifyMedia(nodes) {
+  return nodes
+    .filter(node => node && node.image)
+    .map(node => ({ id: node.id, url: node.image.url || node.image.originalSrc }));
+}
+
+// Fetch the remaining pages of a nested connection, starting after `after`.
+// selectConnection picks the connection out of the response data.
+async function fetchRemainingShopifyNodes(baseUrl, headers, query, id, after, selectConnection) {
+  const nodes = [];
+  let cursor = after;
+  while (cursor) {
+    const { data } = await shopifyGraphQLWithRetry(
+      `${baseUrl}/graphql.json`,
+      headers,
+      { query, variables: { id, after: cursor } },
+      { maxRetries: 15, baseDelayMs: 2000, maxDelayMs: 120000 }
+    );
+    if (data.errors) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(data.errors)}`);
+
+    const connection = selectConnection(data.data);
+    if (!connection) throw new Error(`${id} not found`);
+    nodes.push(...connection.nodes);
+    cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  }
+  return nodes;
+}
+
+// A product query only returns the first page of each nested connection. Fetch the
+// rest for variants, media and inventory levels so comparisons see complete data.
+// Whatever can't be completed is recorded on product.truncated (null when complete).
+async function completeShopifyProduct(baseUrl, headers, product, variantsPageInfo, mediaPageInfo, variantFields = SHOPIFY_VARIANT_FIELDS) {
+  const truncated = [];
+
+  if (variantsPageInfo?.hasNextPage) {
+    try {
+      const moreVariants = await fetchRemainingShopifyNodes(baseUrl, headers, `
+        query ProductVariantsPage($id: ID!, $after: String) {
+          product(id: $id) {
+            variants(first: ${SHOPIFY_VARIANTS_PAGE_SIZE}, after: $after) {
+              nodes { ${variantFields} }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        }
+      `, product.id, variantsPageInfo.endCursor, data => data.product?.variants);
+      product.variants.push(...moreVariants.map(normalizeShopifyVariant));
+      console.log(`   ➕ ${product.handle}: fetched ${moreVariants.length} more variant(s)`);
+    } catch (error) {
+      console.error(`   ⚠️ ${product.handle}: could not fetch remaining variants: ${error.message}`);
+      truncated.push('variants');
+    }
+  }
+
+  if (mediaPageInfo?.hasNextPage) {
+    try {
+      const moreMedia = await fetchRemainingShopifyNodes(baseUrl, headers, `
+        query ProductMediaPage($id: ID!, $after: String) {
+          product(id: $id) {
+            media(first: ${SHOPIFY_MEDIA_PAGE_SIZE}, after: $after) {
+              nodes {
+                ... on MediaImage {
+                  id
+                  image { url originalSrc }
+                }
+              }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        }
+      `, product.id, mediaPageInfo.endCursor, data => data.product?.media);
+      product.media.push(...normalizeShopifyMedia(moreMedia));
+    } catch (error) {
+      console.error(`   ⚠️ ${product.handle}: could not fetch remaining media: ${error.message}`);
+      truncated.push('media');
+    }
+  }
+
+  for (const variant of product.variants) {
+    const levels = variant.inventoryItem?.inventoryLevels;
+    if (!levels?.pageInfo?.hasNextPage) continue;
+    try {
+      const moreLevels = await fetchRemainingShopifyNodes(baseUrl, headers, `
+        query InventoryLevelsPage($id: ID!, $after: String) {
+          inventoryItem(id: $id) {
+            inventoryLevels(first: 50, after: $after) {
+              nodes {
+                quantities(names: "available") {
+                  quantity
+                }
+                location {
+                  id
+                  name
+                }
+              }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        }
+      `, variant.inventoryItem.id, levels.pageInfo.endCursor, data => data.inventoryItem?.inventoryLevels);
+      levels.nodes.push(...moreLevels);
+      levels.pageInfo = { hasNextPage: false, endCursor: null };
+    } catch (error) {
+      console.error(`   ⚠️ ${product.handle}: could not fetch remaining inventory levels for ${variant.sku}: ${error.message}`);
+      if (!truncated.includes('inventoryLevels')) truncated.push('inventoryLevels');
+    }
+  }
+
+  product.truncated = truncated.length > 0 ? truncated : null;
+  return product;
+}
+
+// Rebuild products from bulk query JSONL. Bulk operations return every nested object
+// (no page limits) as its own line, linked to its parent by __parentId: variants,
+// media and product metafields point at the product, inventory levels and variant
+// metafields at the variant.
+function assembleBulkProducts(lines) {
+  const products = new Map();
+  const variants = new Map();
+
+  lines.forEach(line => {
+    const { __parentId: parentId, ...node } = line;
+    const id = node.id || '';
+
+    if (!parentId) {
+      products.set(id, { ...node, metafields: [], variants: [], media: [], truncated: null });
+    } else if (id.includes('/ProductVariant/')) {
+      const variant = {
+        ...node,
+        metafields: [],
+        inventoryItem: { ...node.inventoryItem, inventoryLevels: { nodes: [] } }
+      };
+      variants.set(id, variant);
+      products.get(parentId)?.variants.push(variant);
+    } else if (id.includes('/InventoryLevel/')) {
+      variants.get(parentId)?.inventoryItem.inventoryLevels.nodes.push(node);
+    } else if (id.includes('/Metafield/')) {
+      (variants.get(parentId) || products.get(parentId))?.metafields.push({ namespace: node.namespace, key: node.key, type: node.type, value: node.value });
+    } else if (node.image) {
+      products.get(parentId)?.media.push(...normalizeShopifyMedia([node]));
+    }
+  });
+
+  return Array.from(products.values());
+}
+
+// List products a fetch couldn't complete, for the pull report
+function summarizeShopifyTruncation(products) {
+  return products
+    .filter(product => product.truncated)
+    .map(product => ({ id: product.id, handle: product.handle, truncated: product.truncated }));
+}
+
 // Bulk fetch Shopify products
-async function fetchShopifyProductsBulk(baseUrl, headers) {
+async function fetchShopifyProductsBulk(baseUrl, headers, metafieldRules = []) {
   console.log('🚀 === STARTING BULK PRODUCTS QUERY ===');
+  const productKeys = attributeMetafieldKeys(metafieldRules, 'product');
+  const variantKeys = [PRICE_TIER_KEYS, ...attributeMetafieldKeys(metafieldRules, 'variant')];
   
-  // Bulk query for all products with comprehensive data
+  // Bulk query for all products with comprehensive data. Nested connections take no
+  // page size here - bulk operations return all of them as separate JSONL lines.
   const productsQuery = `
     {
       products {
@@ -581,6 +907,7 @@ async function fetchShopifyProductsBulk(baseUrl, headers) {
             id
             handle
             title
+            updatedAt
             tracksInventory
             totalInventory
             featuredImage {
@@ -590,7 +917,7 @@ async function fetchShopifyProductsBulk(baseUrl, headers) {
               width
               height
             }
-            media(first: 50) {
+            media {
               edges {
                 node {
                   ... on MediaImage {
@@ -600,19 +927,23 @@ async function fetchShopifyProductsBulk(baseUrl, headers) {
                 }
               }
             }
-            variants(first: 20) {
+            variants {
               edges {
                 node {
                   inventoryItem {
+                    id
                     tracked
-                    inventoryLevels(first: 5) {
-                      nodes {
-                        quantities(names: "available") {
-                          quantity
-                        }
-                        location {
+                    inventoryLevels {
+                      edges {
+                        node {
                           id
-                          name
+                          quantities(names: "available") {
+                            quantity
+                          }
+                          location {
+                            id
+                            name
+                          }
                         }
                       }
                     }
@@ -628,10 +959,18 @@ async function fetchShopifyProductsBulk(baseUrl, headers) {
                     height
                   }
                   price
-                  metafields(first: 3, keys: ["custom.price_tier_1", "custom.price_tier_2", "custom.price_tier_3"]) {
+                  compareAtPrice
+                  selectedOptions {
+                    name
+                    value
+                  }
+                  metafields(keys: [${variantKeys.join(', ')}]) {
                     edges {
                       node {
+                        id
+                        namespace
                         key
+                        type
                         value
                       }
                     }
@@ -640,8 +979,20 @@ async function fetchShopifyProductsBulk(baseUrl, headers) {
                   sku
                 }
               }
-            }
+            }${productKeys.length > 0 ? `
+            metafields(keys: [${productKeys.join(', ')}]) {
+              edges {
+                node {
+                  id
+                  namespace
+                  key
+                  type
+                  value
+                }
+              }
+            }` : ''}
             description
+            tags
             productType
             vendor
             status
@@ -666,45 +1017,19 @@ async function fetchShopifyProductsBulk(baseUrl, headers) {
       throw new Error(`Bulk products query failed: ${operationResult.error}`);
     }
 
-    // Parse results
+    // Parse results and put the child lines back under their products
     const bulkResults = await parseShopifyBulkQueryResults(operationResult.resultUrl, 'products');
-    
-    // Transform bulk results to match the expected format
-    const products = bulkResults.map(result => {
-      const product = result;
-      
-      // Transform variants from GraphQL edges/node structure to flat array
-      if (product.variants && product.variants.edges) {
-        product.variants = product.variants.edges.map(variantEdge => {
-          const variant = variantEdge.node;
-          
-          // Transform metafields from edges/node structure to flat array
-          if (variant.metafields && variant.metafields.edges) {
-            variant.metafields = variant.metafields.edges.map(mfEdge => mfEdge.node);
-          }
-          
-          return variant;
-        });
-      }
-      
-      // Flatten media into an array of {id, url}
-      if (product.media && product.media.edges) {
-        product.media = product.media.edges.map(mEdge => ({
-          id: mEdge.node.id,
-          url: mEdge.node.image.url || mEdge.node.image.originalSrc
-        }));
-      }
+    const products = assembleBulkProducts(bulkResults);
 
-      // DEBUG: list media filenames so we can compare later
-      if (product.media && product.media.length) {
+    // DEBUG: list media filenames so we can compare later
+    products.forEach(product => {
+      if (product.media.length) {
         console.log(`\n🖼️ EXISTING MEDIA for ${product.handle} (${product.id}):`);
         product.media.forEach(m => {
           const filename = m.url.split('/').pop().split('?')[0];
           console.log(`   - ${filename} (${m.id})`);
         });
       }
-      
-      return product;
     });
 
     console.log(`✅ Bulk products query completed: ${products.length} products fetched`);
@@ -712,7 +1037,7 @@ async function fetchShopifyProductsBulk(baseUrl, headers) {
 
   } catch (error) {
     console.error('❌ Bulk products query failed, falling back to paginated approach:', error);
-    return await fetchShopifyProducts(baseUrl, headers);
+    return await fetchShopifyProducts(baseUrl, headers, { metafieldRules });
   }
 }
 
@@ -727,6 +1052,7 @@ async function fetchShopifyCustomersBulk(baseUrl, headers) {
         edges {
           node {
             id
+            updatedAt
             firstName
             lastName
             email
@@ -794,18 +1120,24 @@ async function fetchShopifyCustomersBulk(baseUrl, headers) {
 }
 
 // Original paginated fetch functions (kept as fallbacks)
-async function fetchShopifyProducts(baseUrl, headers) {
+// Pass searchQuery (Shopify search syntax, e.g. `sku:"ABC-1"`) to fetch a subset.
+// Variants, media and inventory levels beyond the first page are fetched per product,
+// products that still couldn't be completed carry product.truncated.
+async function fetchShopifyProducts(baseUrl, headers, { searchQuery = null, metafieldRules = [] } = {}) {
   const allProducts = [];
   let hasNextPage = true;
   let cursor = null;
+  const productKeys = attributeMetafieldKeys(metafieldRules, 'product');
+  const variantFields = shopifyVariantFieldsFor(metafieldRules);
   const query = `
-    query GetProducts($first: Int!, $after: String) {
-      products(first: $first, after: $after) {
+    query GetProducts($first: Int!, $after: String, $query: String) {
+      products(first: $first, after: $after, query: $query) {
         edges {
           node {
             id
             handle
             title
+            updatedAt
             tracksInventory
             totalInventory
             featuredImage {
@@ -815,7 +1147,7 @@ async function fetchShopifyProducts(baseUrl, headers) {
               width
               height
             }
-            media(first: 50) {
+            media(first: ${SHOPIFY_MEDIA_PAGE_SIZE}) {
               edges {
                 node {
                   ... on MediaImage {
@@ -824,49 +1156,25 @@ async function fetchShopifyProducts(baseUrl, headers) {
                   }
                 }
               }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
             }
-            variants(first: 20) {
+            variants(first: ${SHOPIFY_VARIANTS_PAGE_SIZE}) {
               edges {
-                node {
-                  inventoryItem {
-                    tracked
-                    inventoryLevels(first: 5) {
-                      nodes {
-                        quantities(names: "available") {
-                          quantity
-                        }
-                        location {
-                          id
-                          name
-                        }
-                      }
-                    }
-                    sku
-                  }
-                  displayName
-                  id
-                  image {
-                    id
-                    url
-                    altText
-                    width
-                    height
-                  }
-                  price
-                  metafields(first: 3, keys: ["custom.price_tier_1", "custom.price_tier_2", "custom.price_tier_3"]) {
-                    edges {
-                      node {
-                        key
-                        value
-                      }
-                    }
-                  }
-                  title
-                  sku
-                }
+                node { ${variantFields} }
               }
-            }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }${productKeys.length > 0 ? `
+            metafields(first: ${productKeys.length}, keys: [${productKeys.join(', ')}]) {
+              nodes { namespace key type value }
+            }` : ''}
             description
+            tags
             productType
             vendor
             status
@@ -885,7 +1193,7 @@ async function fetchShopifyProducts(baseUrl, headers) {
   `;
   
   while (hasNextPage) {
-    const variables = { first: 5, after: cursor }; // Ultra-conservative batch size for heavy product queries
+    const variables = { first: 5, after: cursor, query: searchQuery }; // Ultra-conservative batch size for heavy product queries
     
     // Use throttling helper to handle rate limits during data fetching
     const { data } = await shopifyGraphQLWithRetry(
@@ -898,26 +1206,19 @@ async function fetchShopifyProducts(baseUrl, headers) {
     if (data.errors) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(data.errors)}`);
     
     // Transform products and flatten variant data structure
-    const products = data.data.products.edges.map(edge => {
+    for (const edge of data.data.products.edges) {
       const product = edge.node;
+      const variantsPageInfo = product.variants.pageInfo;
+      const mediaPageInfo = product.media?.pageInfo;
       
       // Transform variants from GraphQL edges/node structure to flat array
-      product.variants = product.variants.edges.map(variantEdge => {
-        const variant = variantEdge.node;
-        
-        // Transform metafields from edges/node structure to flat array
-        if (variant.metafields && variant.metafields.edges) {
-          variant.metafields = variant.metafields.edges.map(mfEdge => mfEdge.node);
-        }
-        
-        return variant;
-      });
+      product.variants = product.variants.edges.map(variantEdge => normalizeShopifyVariant(variantEdge.node));
       
       // Flatten media into an array of {id, url}
-      product.media = (product.media?.edges || []).map(mEdge => ({
-        id: mEdge.node.id,
-        url: mEdge.node.image.url || mEdge.node.image.originalSrc
-      }));
+      product.media = normalizeShopifyMedia((product.media?.edges || []).map(mEdge => mEdge.node));
+      product.metafields = product.metafields?.nodes || [];
+
+      await completeShopifyProduct(baseUrl, headers, product, variantsPageInfo, mediaPageInfo, variantFields);
 
       // DEBUG: list media filenames so we can compare later
       if (product.media.length) {
@@ -928,10 +1229,9 @@ async function fetchShopifyProducts(baseUrl, headers) {
         });
       }
       
-      return product;
-    });
+      allProducts.push(product);
+    }
     
-    allProducts.push(...products);
     hasNextPage = data.data.products.pageInfo.hasNextPage;
     cursor = data.data.products.pageInfo.endCursor;
     
@@ -940,6 +1240,11 @@ async function fetchShopifyProducts(baseUrl, headers) {
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
   }
+
+  const truncated = summarizeShopifyTruncation(allProducts);
+  if (truncated.length > 0) {
+    console.warn(`⚠️ ${truncated.length} Shopify product(s) have INCOMPLETE variant/media/inventory data - they will not be updated or archived this run`);
+  }
   return allProducts;
 }
 
@@ -953,6 +1258,7 @@ async function fetchShopifyCustomers(baseUrl, headers) {
         edges {
           node {
             id
+            updatedAt
             firstName
             lastName
             email
@@ -1023,6 +1329,194 @@ async function fetchShopifyCustomers(baseUrl, headers) {
   return allCustomers;
 }
 
+// Current updatedAt of Shopify products, customers and locations by GID (ids that no
+// longer exist are left out of the map)
+async function fetchShopifyUpdatedAt(baseUrl, headers, ids) {
+  const query = `
+    query GetUpdatedAt($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product { id updatedAt }
+        ... on Customer { id updatedAt }
+        ... on Location { id updatedAt }
+      }
+    }
+  `;
+  const stamps = new Map();
+  for (let i = 0; i < ids.length; i += 250) {
+    const { data } = await shopifyGraphQLWithRetry(
+      `${baseUrl}/graphql.json`,
+      headers,
+      { query, variables: { ids: ids.slice(i, i + 250) } },
+      { maxRetries: 15, baseDelayMs: 2000, maxDelayMs: 120000 }
+    );
+    if (data.errors) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(data.errors)}`);
+    data.data.nodes.filter(Boolean).forEach(node => stamps.set(node.id, node.updatedAt));
+  }
+  return stamps;
+}
+
+// Variants that already hold any of the given SKUs, as SKU -> { variantId, productId }.
+// Shopify's sku: search is a token match - only exact SKUs are kept.
+async function fetchShopifyVariantsBySku(baseUrl, headers, skus) {
+  const query = `
+    query GetVariantsBySku($first: Int!, $query: String!, $after: String) {
+      productVariants(first: $first, query: $query, after: $after) {
+        nodes {
+          id
+          sku
+          product { id }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+  const wanted = new Set(skus);
+  const variants = new Map();
+  for (let i = 0; i < skus.length; i += SHOPIFY_SKU_SEARCH_SIZE) {
+    const search = skus.slice(i, i + SHOPIFY_SKU_SEARCH_SIZE)
+      .map(sku => `sku:"${sku.replace(/"/g, '\\"')}"`)
+      .join(' OR ');
+    let cursor = null;
+    do {
+      const { data } = await shopifyGraphQLWithRetry(
+        `${baseUrl}/graphql.json`,
+        headers,
+        { query, variables: { first: 250, query: search, after: cursor } },
+        { maxRetries: 15, baseDelayMs: 2000, maxDelayMs: 120000 }
+      );
+      if (data.errors) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(data.errors)}`);
+
+      data.data.productVariants.nodes
+        .filter(variant => wanted.has(variant.sku))
+        .forEach(variant => variants.set(variant.sku, { variantId: variant.id, productId: variant.product.id }));
+      const { pageInfo } = data.data.productVariants;
+      cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (cursor);
+  }
+  return variants;
+}
+
+// Every variant's inventory item and its current "available" quantity per location.
+// Much cheaper than the product query - no media, options or metafields.
+async function fetchShopifyInventoryItems(baseUrl, headers) {
+  const query = `
+    query GetInventoryItems($first: Int!, $after: String) {
+      productVariants(first: $first, after: $after) {
+        nodes {
+          id
+          sku
+          inventoryItem {
+            id
+            tracked
+            inventoryLevels(first: ${SHOPIFY_INVENTORY_LOCATIONS_PAGE_SIZE}) {
+              nodes {
+                location { id }
+                quantities(names: "available") { quantity }
+              }
+              pageInfo { hasNextPage }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  `;
+
+  const items = [];
+  let truncated = 0;
+  let cursor = null;
+  do {
+    const { data } = await shopifyGraphQLWithRetry(
+      `${baseUrl}/graphql.json`,
+      headers,
+      { query, variables: { first: SHOPIFY_INVENTORY_VARIANTS_PAGE_SIZE, after: cursor } },
+      { maxRetries: 15, baseDelayMs: 2000, maxDelayMs: 120000 }
+    );
+    if (data.errors) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(data.errors)}`);
+
+    data.data.productVariants.nodes.forEach(variant => {
+      const levels = variant.inventoryItem?.inventoryLevels;
+      if (levels?.pageInfo.hasNextPage) truncated++;
+      items.push({
+        variantId: variant.id,
+        sku: variant.sku,
+        inventoryItemId: variant.inventoryItem?.id || null,
+        tracked: Boolean(variant.inventoryItem?.tracked),
+        levels: Object.fromEntries((levels?.nodes || []).map(level => [
+          level.location.id,
+          level.quantities[0]?.quantity ?? 0
+        ]))
+      });
+    });
+
+    const { pageInfo } = data.data.productVariants;
+    cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (cursor);
+
+  if (truncated > 0) {
+    console.warn(`⚠️ ${truncated} variant(s) are stocked at more than ${SHOPIFY_INVENTORY_LOCATIONS_PAGE_SIZE} locations - only the first ${SHOPIFY_INVENTORY_LOCATIONS_PAGE_SIZE} are synced by the inventory sync`);
+  }
+  console.log(`✅ Retrieved inventory for ${items.length} Shopify variants`);
+  return items;
+}
+
+// Every variant metafield, not just the price tiers - a run may change any mapped one
+const SNAPSHOT_VARIANT_FIELDS = shopifyVariantFields('first: 50');
+
+// One product as it stands now, complete enough to put back later: product fields,
+// metafields, options and every variant with its prices, metafields and
+// inventory levels. Null when the product no longer exists.
+async function fetchShopifyProductSnapshot(baseUrl, headers, productId) {
+  const query = `
+    query ProductSnapshot($id: ID!) {
+      product(id: $id) {
+        id
+        handle
+        title
+        status
+        tags
+        productType
+        vendor
+        descriptionHtml
+        updatedAt
+        options {
+          name
+          optionValues { name }
+        }
+        metafields(first: 50) {
+          nodes { namespace key type value }
+        }
+        variants(first: ${SHOPIFY_VARIANTS_PAGE_SIZE}) {
+          nodes { ${SNAPSHOT_VARIANT_FIELDS} }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    }
+  `;
+  const { data } = await shopifyGraphQLWithRetry(
+    `${baseUrl}/graphql.json`,
+    headers,
+    { query, variables: { id: productId } },
+    { maxRetries: 15, baseDelayMs: 2000, maxDelayMs: 120000 }
+  );
+  if (data.errors) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(data.errors)}`);
+
+  const product = data.data.product;
+  if (!product) return null;
+
+  const variantsPageInfo = product.variants.pageInfo;
+  product.variants = product.variants.nodes.map(normalizeShopifyVariant);
+  product.metafields = product.metafields.nodes;
+  product.media = [];
+  return completeShopifyProduct(baseUrl, headers, product, variantsPageInfo, null, SNAPSHOT_VARIANT_FIELDS);
+}
+
 async function fetchShopifyLocations(baseUrl, headers) {
   // Use GraphQL to get locations with metafields
   const query = `
@@ -1032,6 +1526,7 @@ async function fetchShopifyLocations(baseUrl, headers) {
           node {
             id
             name
+            updatedAt
             address {
               address1
               address2
@@ -1088,8 +1583,30 @@ async function fetchShopifyLocations(baseUrl, headers) {
   });
 }
 
+// The shop's own settings the sync needs - currently the currency prices are in
+async function fetchShopifyShop(baseUrl, headers, { counts = false } = {}) {
+  // counts: also return the shop's non-archived product and variant totals, the
+  // bases of the sync guard shares when only part of the catalog was pulled
+  const countFields = counts
+    ? ' activeProducts: productsCount(query: "-status:archived", limit: null) { count } variants: productVariantsCount(limit: null) { count }'
+    : '';
+  const { data } = await shopifyGraphQLWithRetry(
+    `${baseUrl}/graphql.json`,
+    headers,
+    { query: `query GetShop { shop { currencyCode }${countFields} }` },
+    { maxRetries: 15, baseDelayMs: 2000, maxDelayMs: 120000 }
+  );
+  if (data.errors) {
+    throw new Error(`Shopify Shop GraphQL errors: ${JSON.stringify(data.errors)}`);
+  }
+  return {
+    currencyCode: data.data.shop.currencyCode,
+    ...(counts ? { totals: { activeProducts: data.data.activeProducts.count, variants: data.data.variants.count } } : {})
+  };
+}
+
 // Enhanced fetchShopifyData function with bulk operations
-async function fetchShopifyDataBulk(auth, useBulk = true) {
+async function fetchShopifyDataBulk(auth, useBulk = true, metafieldRules = []) {
   const { accessToken, shopDomain } = auth;
   const baseUrl = `https://${shopDomain}/admin/api/2025-04`;
   const headers = {
@@ -1101,25 +1618,31 @@ async function fetchShopifyDataBulk(auth, useBulk = true) {
 
   if (useBulk) {
     // Use bulk operations for maximum efficiency
-    const [products, customers, locations] = await Promise.all([
-      fetchShopifyProductsBulk(baseUrl, headers),
+    const [products, customers, locations, shop] = await Promise.all([
+      fetchShopifyProductsBulk(baseUrl, headers, metafieldRules),
       fetchShopifyCustomersBulk(baseUrl, headers),
-      fetchShopifyLocations(baseUrl, headers) // Locations are fine with single query
+      fetchShopifyLocations(baseUrl, headers), // Locations are fine with single query
+      fetchShopifyShop(baseUrl, headers)
     ]);
-    return { products, customers, locations };
+    return { products, customers, locations, shop, truncated: summarizeShopifyTruncation(products) };
   } else {
     // Use traditional paginated approach
-  const [products, customers, locations] = await Promise.all([
-    fetchShopifyProducts(baseUrl, headers),
+  const [products, customers, locations, shop] = await Promise.all([
+    fetchShopifyProducts(baseUrl, headers, { metafieldRules }),
     fetchShopifyCustomers(baseUrl, headers),
-    fetchShopifyLocations(baseUrl, headers)
+    fetchShopifyLocations(baseUrl, headers),
+    fetchShopifyShop(baseUrl, headers)
   ]);
-  return { products, customers, locations };
+  return { products, customers, locations, shop, truncated: summarizeShopifyTruncation(products) };
   }
 }
 
-// Main exported function
-async function pullAllData(domain, env) {
+// Main exported function. With { incremental: true } the Unleashed side only pulls
+// records modified since the domain's last successful sync (full pull if none recorded).
+// `metafieldRules` (the field mapping's attribute rules) adds the metafields they write
+// to the Shopify products. The returned `sync` block tells callers which mode ran and
+// the watermark to save.
+async function pullAllData(domain, env, { incremental = false, metafieldRules = [] } = {}) {
   if (!env.AUTH_STORE) {
     throw new Error('KV binding AUTH_STORE not found');
   }
@@ -1131,15 +1654,146 @@ async function pullAllData(domain, env) {
     throw new Error('Invalid authentication data structure');
   }
 
+  const startedAt = new Date().toISOString();
+  let modifiedSince = null;
+  if (incremental) {
+    const checkpoint = await getSyncCheckpoint(env.AUTH_STORE, domain);
+    modifiedSince = checkpoint?.lastSuccessfulSync || null;
+    console.log(modifiedSince
+      ? `⏱️ Incremental pull since last successful sync at ${modifiedSince}`
+      : `⏱️ No sync checkpoint for ${domain} - running a full pull`);
+  }
+
   // Fetch data from both systems using paginated queries for faster response
-  const [unleashedData, shopifyData] = await Promise.all([
-    fetchUnleashedData(authData.unleashed),
-    fetchShopifyDataBulk(authData.shopify, false) // Use paginated queries, not bulk
+  let [unleashedData, shopifyData] = await Promise.all([
+    fetchUnleashedData(authData.unleashed, { modifiedSince }),
+    fetchShopifyDataBulk(authData.shopify, false, metafieldRules) // Use paginated queries, not bulk
   ]);
 
+  if (modifiedSince) {
+    const complete = await completeIncrementalProducts(authData.unleashed, unleashedData, shopifyData.products);
+    if (!complete) {
+      console.log('🔁 Falling back to a full Unleashed pull');
+      modifiedSince = null;
+      unleashedData = await fetchUnleashedData(authData.unleashed);
+    }
+  }
+  await attachProductAttachments(unleashedData.products, authData.unleashed);
+
   return {
     unleashed: unleashedData,
-    shopify: shopifyData
+    shopify: shopifyData,
+    sync: {
+      mode: modifiedSince ? 'incremental' : 'full',
+      modifiedSince,
+      startedAt,
+      complete: unleashedData.complete,
+      pagination: unleashedData.pagination,
+      shopifyTruncated: shopifyData.truncated
+    }
+  };
+}
+
+// Pull just what a resync of the product group holding one SKU needs: the Shopify
+// product(s) with that SKU, the Unleashed records (with stock) for the SKU and its
+// Shopify sibling variants, plus warehouses and locations for inventory mapping.
+// Same shape as pullAllData so the result can go straight into mapProducts; the shop
+// also carries the catalog totals the sync guards measure against.
+async function pullProductGroupData(domain, env, productCode, { metafieldRules = [] } = {}) {
+  const authData = await getAuthData(env.AUTH_STORE, domain);
+  if (!authData || !authData.unleashed || !authData.shopify) {
+    throw new Error('Invalid authentication data structure');
+  }
+
+  const baseUrl = `https://${authData.shopify.shopDomain}/admin/api/2025-04`;
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Shopify-Access-Token': authData.shopify.accessToken
+  };
+
+  // Shopify's sku: search is a token match - keep products that really hold the SKU
+  const [searchResults, locations, shop, warehousesData] = await Promise.all([
+    fetchShopifyProducts(baseUrl, headers, { searchQuery: `sku:"${productCode.replace(/"/g, '\\"')}"`, metafieldRules }),
+    fetchShopifyLocations(baseUrl, headers),
+    fetchShopifyShop(baseUrl, headers, { counts: true }),
+    unleashedRequest('Warehouses', authData.unleashed)
+  ]);
+  const shopifyProducts = searchResults.filter(product =>
+    product.variants.some(variant => variant.sku === productCode)
+  );
+
+  const productCodes = new Set([productCode]);
+  shopifyProducts.forEach(product => {
+    product.variants.forEach(variant => {
+      if (variant.sku) productCodes.add(variant.sku);
+    });
+  });
+
+  console.log(`🎯 Resync group for ${productCode}: ${shopifyProducts.length} Shopify product(s), SKUs [${[...productCodes].join(', ')}]`);
+
+  const unleashedProducts = [];
+  for (const code of productCodes) {
+    const product = await fetchUnleashedProductByCode(code, authData.unleashed);
+    if (!product) {
+      console.log(`⚠️ Product ${code} not found in Unleashed`);
+      continue;
+    }
+    // productCode is a partial match on StockOnHand too
+    const stock = await fetchStockOnHand(code, authData.unleashed);
+    attachStockOnHand([product], stock.filter(item => (item.ProductCode || item.Product?.ProductCode) === code).map(processStockOnHand));
+    unleashedProducts.push(product);
+  }
+  await attachProductAttachments(unleashedProducts, authData.unleashed);
+
+  return {
+    unleashed: {
+      products: unleashedProducts,
+      warehouses: warehousesData.Items || []
+    },
+    shopify: {
+      products: shopifyProducts,
+      locations,
+      shop
+    }
+  };
+}
+
+// Pull just what the inventory sync needs: Unleashed stock levels and warehouses,
+// Shopify inventory items and locations. No products on either side.
+async function pullInventoryData(domain, env) {
+  const authData = await getAuthData(env.AUTH_STORE, domain);
+  if (!authData || !authData.unleashed || !authData.shopify) {
+    throw new Error('Invalid authentication data structure');
+  }
+
+  const baseUrl = `https://${authData.shopify.shopDomain}/admin/api/2025-04`;
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Shopify-Access-Token': authData.shopify.accessToken
+  };
+
+  const startedAt = new Date().toISOString();
+  const [stock, warehousesData, inventory, locations] = await Promise.all([
+    fetchAllStockOnHand(authData.unleashed),
+    unleashedRequest('Warehouses', authData.unleashed),
+    fetchShopifyInventoryItems(baseUrl, headers),
+    fetchShopifyLocations(baseUrl, headers)
+  ]);
+
+  return {
+    unleashed: {
+      stockOnHand: stock.items,
+      warehouses: warehousesData.Items || []
+    },
+    shopify: {
+      inventory,
+      locations
+    },
+    sync: {
+      startedAt,
+      complete: stock.pagination.complete,
+      pagination: { stockOnHand: stock.pagination }
+    }
   };
 }
 
@@ -1148,4 +1802,22 @@ async function fetchShopifyData(auth) {
   return await fetchShopifyDataBulk(auth, true);
 }
 
-export { pullAllData, fetchShopifyData, fetchShopifyDataBulk }; 
\ No newline at end of file
+export {
+  pullAllData,
+  pullProductGroupData,
+  pullInventoryData,
+  fetchShopifyData,
+  fetchShopifyDataBulk,
+  fetchShopifyCustomers,
+  fetchShopifyLocations,
+  fetchShopifyShop,
+  fetchShopifyUpdatedAt,
+  fetchShopifyVariantsBySku,
+  fetchShopifyProductSnapshot,
+  fetchCustomerContacts,
+  fetchProductAttachments,
+  fetchSalesShipments,
+  fetchSalesOrderByNumber,
+  getSyncCheckpoint,
+  saveSyncCheckpoint
+}; 
\ No newline at end of file
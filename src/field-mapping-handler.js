@@ -0,0 +1,43 @@
+/**
+ * Field Mapping Handler
+ * Read and replace a domain's field mapping (field-mapping.js)
+ */
+
+import { normalizeFieldMapping, getFieldMapping, saveFieldMapping } from './field-mapping.js';
+import { ensureMetafieldDefinitions } from './attribute-metafields.js';
+import { settingsRoutes } from './settings-route.js';
+
+const routes = settingsRoutes({
+  key: 'mapping',
+  label: 'field mapping',
+  invalidError: 'Invalid field mapping',
+  get: getFieldMapping,
+  normalize: mapping => {
+    if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new Error('mapping must be an object of sections');
+    }
+    return normalizeFieldMapping(mapping);
+  },
+  save: saveFieldMapping,
+  // Definitions are also checked at the start of every product sync
+  afterSave: async (saved, shopify) => ({
+    metafieldDefinitions: saved.metafields.length > 0
+      ? await ensureMetafieldDefinitions(shopify.baseUrl, shopify.headers, saved.metafields)
+      : null
+  }),
+  log: ({ domain, value }) => console.log(`🗺️ Field mapping updated for ${domain}: ${Object.values(value).reduce((count, fields) => count + Object.keys(fields || {}).length, 0)} field(s) and rule(s) configured`)
+});
+
+/**
+ * GET /api/v2/field-mapping?domain=example.com
+ * The domain's field mapping, with the defaults for fields it hasn't configured
+ */
+export const handleGetFieldMapping = routes.handleGet;
+
+/**
+ * POST /api/v2/field-mapping
+ * Body: { domain, mapping: { product: { title: { source, transforms, fallback } }, variant: {}, customer: {}, metafields: [] } }
+ * - replaces the domain's mapping; fields left out use the defaults. Metafield
+ * definitions the attribute metafields need are created in Shopify.
+ */
+export const handleSaveFieldMapping = routes.handleSave;
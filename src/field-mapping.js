@@ -0,0 +1,209 @@
+/**
+ * Field Mapping
+ * Per-domain rules for where Shopify product, variant and customer fields come
+ * from in Unleashed (`field_mapping:{domain}`). Fields a domain doesn't configure
+ * use DEFAULT_FIELD_MAPPING, which is how the mappers have always filled them.
+ *
+ * A rule:
+ *   source      path into the Unleashed record, or a list of paths - the first one
+ *               with a value wins. `attribute:Name` reads an AttributeSet attribute.
+ *   transforms  applied in order: "trim", "upper", "lower", "title",
+ *               { "lookup": { "from": "to" } } (unlisted values pass through) and
+ *               { "template": "{{value}} ({{ProductCode}})" }
+ *   fallback    used when the result is empty; `{{path}}` placeholders are filled in
+ *   list        (tags) collect every source into a list instead of taking the first
+ *   split       (with list) separator to split each source value on, e.g. ","
+ *
+ * Sources: products and variants read the Unleashed product (a product's fields come
+ * from the first product of its group); customers read the Unleashed contact. The
+ * contact's customer is under `Customer` as the pull keeps it, not the raw Unleashed
+ * record: `Customer.customerCode`, `Customer.customerName`, `Customer.guid` and
+ * `Customer.sellPriceTier`.
+ *
+ * A field whose default is null (variant compare_at_price) isn't mapped until a
+ * domain configures it - Shopify's value is left alone.
+ *
+ * `metafields` holds the attribute -> metafield rules (attribute-metafields.js).
+ */
+
+import { normalizeMetafieldRules } from './attribute-metafields.js';
+
+const FIELD_MAPPING_PREFIX = 'field_mapping:'; // KV key prefix for per-domain field mappings
+
+const DEFAULT_FIELD_MAPPING = {
+  product: {
+    title: { source: ['attribute:Product Title', 'ProductDescription', 'ProductName', 'ProductCode'], transforms: ['trim'] },
+    description: { source: 'ProductDescription' },
+    vendor: { source: 'ProductBrand.BrandName', fallback: 'Default' },
+    product_type: { source: 'ProductGroup.GroupName', fallback: '' },
+    tags: { source: ['ProductSubGroup.GroupName', 'ProductGroup.GroupName'], list: true }
+  },
+  variant: {
+    price: { source: 'DefaultSellPrice' },
+    weight: { source: 'Weight', fallback: 0 },
+    compare_at_price: null
+  },
+  customer: {
+    firstName: { source: 'FirstName', fallback: 'Unknown' },
+    lastName: { source: 'LastName', fallback: 'Contact' },
+    email: { source: 'EmailAddress', fallback: 'contact-{{Guid}}@placeholder.com' },
+    phone: { source: ['OfficePhone', 'MobilePhone'] }
+  },
+  metafields: []
+};
+
+const FIELD_SECTIONS = ['product', 'variant', 'customer'];
+
+const NAMED_TRANSFORMS = ['trim', 'upper', 'lower', 'title'];
+
+// Helper: value at a dotted path (`attribute:Name` reads the AttributeSet)
+function readPath(record, path) {
+  if (path.startsWith('attribute:')) {
+    const name = path.slice('attribute:'.length);
+    return record?.AttributeSet?.Attributes?.find(attr => attr.Name === name)?.Value ?? null;
+  }
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), record);
+}
+
+const isEmpty = value => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+// Helper: fill {{path}} placeholders from the record ({{value}} is the current value)
+function renderTemplate(template, record, value = null) {
+  return template.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, path) => {
+    const resolved = path === 'value' ? value : readPath(record, path);
+    return isEmpty(resolved) ? '' : String(resolved);
+  });
+}
+
+function applyTransform(value, transform, record) {
+  if (transform === 'trim') return String(value).trim();
+  if (transform === 'upper') return String(value).toUpperCase();
+  if (transform === 'lower') return String(value).toLowerCase();
+  if (transform === 'title') return String(value).toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+  if (transform.lookup) return Object.prototype.hasOwnProperty.call(transform.lookup, value) ? transform.lookup[value] : value;
+  if (transform.template) return renderTemplate(transform.template, record, value);
+  return value;
+}
+
+function transformValue(value, rule, record) {
+  return (rule.transforms || []).reduce((current, transform) => applyTransform(current, transform, record), value);
+}
+
+// Evaluate one field rule against an Unleashed record (undefined for an unmapped field)
+function evaluateFieldRule(rule, record) {
+  if (!rule) return undefined;
+  const sources = Array.isArray(rule.source) ? rule.source : [rule.source];
+  const fallback = typeof rule.fallback === 'string' ? renderTemplate(rule.fallback, record) : rule.fallback;
+
+  if (rule.list) {
+    const values = sources
+      .flatMap(path => {
+        const value = readPath(record, path);
+        if (isEmpty(value)) return [];
+        return rule.split ? String(value).split(rule.split) : [value];
+      })
+      .map(value => transformValue(value, rule, record))
+      .filter(value => !isEmpty(value));
+    return values.length > 0 ? values : (fallback ?? []);
+  }
+
+  const raw = sources.map(path => readPath(record, path)).find(value => !isEmpty(value));
+  const value = isEmpty(raw) ? raw : transformValue(raw, rule, record);
+  return isEmpty(value) ? (fallback ?? null) : value;
+}
+
+// Evaluate every rule of a section ('product', 'variant', 'customer') -> { field: value }
+function mapFields(fieldMapping, section, record) {
+  const rules = fieldMapping?.[section] || DEFAULT_FIELD_MAPPING[section];
+  return Object.fromEntries(Object.entries(rules).map(([field, rule]) => [field, evaluateFieldRule(rule, record)]));
+}
+
+// Validate a mapping from a request - throws with the first problem found.
+// Returns the full mapping: configured rules over the defaults.
+function normalizeFieldMapping(input = {}) {
+  const mapping = {};
+  Object.keys(input).forEach(section => {
+    if (!DEFAULT_FIELD_MAPPING[section]) {
+      throw new Error(`Unknown section: ${section} - expected ${Object.keys(DEFAULT_FIELD_MAPPING).join(', ')}`);
+    }
+  });
+
+  FIELD_SECTIONS.forEach(section => {
+    const defaults = DEFAULT_FIELD_MAPPING[section];
+    const configured = input[section] || {};
+    Object.keys(configured).forEach(field => {
+      if (defaults[field] === undefined) {
+        throw new Error(`Unknown ${section} field: ${field} - expected ${Object.keys(defaults).join(', ')}`);
+      }
+    });
+
+    mapping[section] = {};
+    Object.entries(defaults).forEach(([field, defaultRule]) => {
+      const rule = configured[field];
+      if (!rule) {
+        mapping[section][field] = defaultRule;
+        return;
+      }
+
+      const name = `${section}.${field}`;
+      const sources = Array.isArray(rule.source) ? rule.source : [rule.source];
+      if (sources.length === 0 || sources.some(path => typeof path !== 'string' || path.trim() === '')) {
+        throw new Error(`${name}.source must be a path or a list of paths`);
+      }
+      const transforms = rule.transforms || [];
+      if (!Array.isArray(transforms)) {
+        throw new Error(`${name}.transforms must be a list`);
+      }
+      transforms.forEach((transform, index) => {
+        const valid = NAMED_TRANSFORMS.includes(transform) ||
+          (transform?.lookup && typeof transform.lookup === 'object' && !Array.isArray(transform.lookup)) ||
+          typeof transform?.template === 'string';
+        if (!valid) {
+          throw new Error(`${name}.transforms[${index}] must be one of ${NAMED_TRANSFORMS.join(', ')}, { lookup } or { template }`);
+        }
+      });
+      if (rule.list !== undefined && typeof rule.list !== 'boolean') {
+        throw new Error(`${name}.list must be true or false`);
+      }
+      if (rule.split !== undefined && typeof rule.split !== 'string') {
+        throw new Error(`${name}.split must be a string`);
+      }
+
+      mapping[section][field] = {
+        source: rule.source,
+        ...(transforms.length > 0 ? { transforms } : {}),
+        ...(rule.fallback !== undefined ? { fallback: rule.fallback } : {}),
+        ...(rule.list ? { list: true } : {}),
+        ...(rule.split ? { split: rule.split } : {})
+      };
+    });
+  });
+  mapping.metafields = normalizeMetafieldRules(input.metafields ?? []);
+  return mapping;
+}
+
+// The domain's mapping, defaults filled in for anything not configured
+async function getFieldMapping(kvStore, domain) {
+  const raw = await kvStore.get(`${FIELD_MAPPING_PREFIX}${domain}`);
+  return normalizeFieldMapping(raw ? JSON.parse(raw) : {});
+}
+
+// Replace a domain's mapping with one from normalizeFieldMapping. Only the rules
+// configured in `input` are stored, so later changes to the defaults still reach
+// the fields a domain never set.
+async function saveFieldMapping(kvStore, domain, mapping, input) {
+  const configured = Object.fromEntries(FIELD_SECTIONS
+    .filter(section => input[section] && Object.keys(input[section]).length > 0)
+    .map(section => [section, Object.fromEntries(Object.keys(input[section]).map(field => [field, mapping[section][field]]))]));
+  if (mapping.metafields.length > 0) configured.metafields = mapping.metafields;
+  await kvStore.put(`${FIELD_MAPPING_PREFIX}${domain}`, JSON.stringify(configured));
+  return mapping;
+}
+
+export {
+  DEFAULT_FIELD_MAPPING,
+  mapFields,
+  normalizeFieldMapping,
+  getFieldMapping,
+  saveFieldMapping
+};
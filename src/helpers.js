@@ -1,3 +1,7 @@
+// Filename prefix for images staged from Unleashed attachments. The product queue job
+// owns these, so mapping comparisons ignore them.
+const ATTACHMENT_IMAGE_PREFIX = 'unleashed-att-';
+
 function slugify(text) {
   if (text === null || text === undefined) return '';
   return text
@@ -37,4 +41,71 @@ function getDefaultWarehouseCode(warehouses = []) {
   return defaultWarehouse?.WarehouseCode || null;
 }
 
-export { slugify, validateEmail, getDefaultWarehouseCode }; 
\ No newline at end of file
+// Helper function to get auth data from KV store
+async function getAuthData(env, domain) {
+  if (!env.AUTH_STORE) {
+    throw new Error('KV binding AUTH_STORE not found');
+  }
+
+  try {
+    const authString = await env.AUTH_STORE.get(domain);
+    if (!authString) {
+      throw new Error(`No authentication data found for domain: ${domain}`);
+    }
+    return JSON.parse(authString);
+  } catch (error) {
+    console.error('Error getting auth data:', error);
+    throw new Error(`Failed to get authentication data: ${error.message}`);
+  }
+}
+
+// Helper function to create JSON responses
+function jsonResponse(data, status = 200) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Accept, Accept-Encoding, Accept-Language, Content-Length, Origin, Referer, User-Agent, X-Forwarded-Proto',
+    'Access-Control-Max-Age': '86400', // 24 hours cache for preflight
+  };
+
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json',
+    },
+  });
+}
+
+// Verify a webhook signature: base64 HMAC-SHA256 of the raw body with the signing secret
+async function verifyHmacSignature(rawBody, signatureHeader, secret) {
+  if (!signatureHeader) return false;
+  const encoder = new TextEncoder();
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(rawBody));
+  const expected = btoa(String.fromCharCode(...new Uint8Array(signature)));
+
+  // Constant-time comparison
+  if (expected.length !== signatureHeader.length) return false;
+  let mismatch = 0;
+  for (let i = 0; i < expected.length; i++) {
+    mismatch |= expected.charCodeAt(i) ^ signatureHeader.charCodeAt(i);
+  }
+  return mismatch === 0;
+}
+
+export {
+  slugify,
+  validateEmail,
+  getDefaultWarehouseCode,
+  getAuthData,
+  jsonResponse,
+  verifyHmacSignature,
+  ATTACHMENT_IMAGE_PREFIX
+};
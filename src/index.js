@@ -10,10 +10,38 @@ import { mapProducts } from './product-mapping.js';
 import { handleLocationMutations, handleLocationSync } from './location-mutation-handler.js';
 import { handleCustomerMutations, handleCustomerSync } from './customer-mutation-handler.js';
 import { handleProductMutations, handleProductSync } from './product-mutation-handler.js';
-import { handleComprehensiveSync, handleOptimizedSync } from './comprehensive-sync-handler.js';
+import { handleComprehensiveSync, handleOptimizedSync, handleInventorySync } from './comprehensive-sync-handler.js';
 import { handleInventoryUpdate, handleImageUpdate } from './product-mutations.js';
+import { handleShopifyOrderWebhook, handleShopifyRefundWebhook } from './order-webhook-handler.js';
+import { handleUnleashedWebhook } from './unleashed-webhook-handler.js';
+import { handleSyncStatus, handleSyncRuns, handleSyncRunRollback } from './sync-status-handler.js';
+import { handleGetSyncGuards, handleSaveSyncGuards } from './sync-guard-handler.js';
+import { handleGetSyncSchedule, handleSaveSyncSchedule } from './sync-schedule-handler.js';
+import { handleGetStockFormula, handleSaveStockFormula } from './stock-formula-handler.js';
+import { handleGetWarehouseRouting, handleSaveWarehouseRouting } from './warehouse-routing-handler.js';
+import { handleGetFieldMapping, handleSaveFieldMapping } from './field-mapping-handler.js';
+import { handleGetCurrencySettings, handleSaveCurrencySettings } from './currency-handler.js';
+import { handleGetProductFilters, handleSaveProductFilters } from './product-filters-handler.js';
+import { getStockFormula } from './stock-formula.js';
+import { getWarehouseRouting } from './warehouse-routing.js';
+import { getFieldMapping } from './field-mapping.js';
+import { getCurrencySettings, resolveCurrency } from './currency.js';
+import { getProductFilters } from './product-filters.js';
+import { runScheduledSyncs } from './sync-scheduler.js';
+import { handleDryRunSync, handleGetSyncPlan, handleSetPlanExclusions, handleExecuteSyncPlan, handleDiscardSyncPlan } from './sync-plan-handler.js';
 import { getDefaultWarehouseCode } from './helpers.js';
 
+// Sync routes that accept ?dryRun=true, and the plan scope each one builds
+const DRY_RUN_SCOPES = {
+  '/api/v2/comprehensive-sync': 'comprehensive',
+  '/api/v2/sync-locations': 'locations',
+  '/api/v2/mutate-locations': 'locations',
+  '/api/v2/sync-customers': 'customers',
+  '/api/v2/mutate-customers': 'customers',
+  '/api/v2/sync-products': 'products',
+  '/api/v2/mutate-products': 'products'
+};
+
 // CORS headers for all responses
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -324,7 +352,8 @@ async function handleDataFetch(request, env) {
     console.log(`Starting data sync for domain: ${domain}`);
 
     // Pull data from both systems using data_pull.js
-    const data = await pullAllData(domain, env);
+    const fieldMapping = await getFieldMapping(env.AUTH_STORE, domain);
+    const data = await pullAllData(domain, env, { metafieldRules: fieldMapping.metafields });
     
     console.log('Data pulled successfully:', {
       unleashed: {
@@ -382,7 +411,15 @@ async function handleDataFetch(request, env) {
         data.unleashed.products,
         data.shopify.products,
         data.shopify.locations,
-        defaultWarehouseCode
+        defaultWarehouseCode,
+        {
+          allowArchive: data.sync.complete,
+          stockFormula: await getStockFormula(env.AUTH_STORE, domain),
+          warehouseRouting: await getWarehouseRouting(env.AUTH_STORE, domain),
+          fieldMapping,
+          currency: resolveCurrency(await getCurrencySettings(env.AUTH_STORE, domain), data.shopify.shop?.currencyCode),
+          productFilters: await getProductFilters(env.AUTH_STORE, domain)
+        }
       );
       console.log('Product mapping complete:', {
         toCreate: mappingResults.products.toCreate.length,
@@ -402,6 +439,7 @@ async function handleDataFetch(request, env) {
     const summary = {
       success: true,
       domain,
+      complete: data.sync.complete,
       summary: {
         unleashed: {
           products: data.unleashed.products.length,
@@ -412,13 +450,16 @@ async function handleDataFetch(request, env) {
         shopify: {
           products: data.shopify.products.length,
           customers: data.shopify.customers.length,
-          locations: data.shopify.locations.length
+          locations: data.shopify.locations.length,
+          truncatedProducts: data.sync.shopifyTruncated
         },
         mapping: {
           products: {
             toCreate: mappingResults.products.toCreate.length,
             toUpdate: mappingResults.products.toUpdate.length,
             toArchive: mappingResults.products.toArchive.length,
+            archiveBlocked: mappingResults.products.archiveBlocked,
+            currencyBlocked: mappingResults.products.currencyBlocked,
             errors: mappingResults.products.errors.length,
             processed: mappingResults.products.processed
           }
@@ -463,6 +504,22 @@ export default {
 
     const url = new URL(request.url);
     
+    // Dry runs build a change plan instead of syncing
+    if (DRY_RUN_SCOPES[url.pathname] && request.method === 'POST' && url.searchParams.get('dryRun') === 'true') {
+      return handleDryRunSync(request, env, DRY_RUN_SCOPES[url.pathname]);
+    }
+    
+    const planMatch = url.pathname.match(/^\/api\/v2\/plans\/([^/]+)$/);
+    if (planMatch && request.method === 'GET') {
+      return handleGetSyncPlan(request, env, planMatch[1]);
+    }
+    
+    const planActionMatch = url.pathname.match(/^\/api\/v2\/plans\/([^/]+)\/(exclusions|execute|discard)$/);
+    if (planActionMatch && request.method === 'POST') {
+      const planActions = { exclusions: handleSetPlanExclusions, execute: handleExecuteSyncPlan, discard: handleDiscardSyncPlan };
+      return planActions[planActionMatch[2]](request, env, planActionMatch[1]);
+    }
+    
     // Route requests
     if (url.pathname === '/api/v2/data-fetch' && request.method === 'POST') {
       // Redirect data-fetch to comprehensive sync for full functionality
@@ -478,6 +535,89 @@ export default {
       return handleOptimizedSync(request, env);
     }
     
+    // Stock levels only
+    if (url.pathname === '/api/v2/sync-inventory' && request.method === 'POST') {
+      return handleInventorySync(request, env);
+    }
+    
+    // Sync run tracking
+    const syncStatusMatch = url.pathname.match(/^\/api\/v2\/sync-status\/([^/]+)$/);
+    if (syncStatusMatch && request.method === 'GET') {
+      return handleSyncStatus(request, env, syncStatusMatch[1]);
+    }
+    
+    if (url.pathname === '/api/v2/sync-runs' && request.method === 'GET') {
+      return handleSyncRuns(request, env);
+    }
+    
+    const rollbackMatch = url.pathname.match(/^\/api\/v2\/sync-runs\/([^/]+)\/rollback$/);
+    if (rollbackMatch && request.method === 'POST') {
+      return handleSyncRunRollback(request, env, rollbackMatch[1]);
+    }
+    
+    // Safety guard settings
+    if (url.pathname === '/api/v2/sync-guards' && request.method === 'GET') {
+      return handleGetSyncGuards(request, env);
+    }
+    
+    if (url.pathname === '/api/v2/sync-guards' && request.method === 'POST') {
+      return handleSaveSyncGuards(request, env);
+    }
+    
+    // Scheduled sync settings
+    if (url.pathname === '/api/v2/sync-schedule' && request.method === 'GET') {
+      return handleGetSyncSchedule(request, env);
+    }
+    
+    if (url.pathname === '/api/v2/sync-schedule' && request.method === 'POST') {
+      return handleSaveSyncSchedule(request, env);
+    }
+    
+    // Stock formula (quantity shown in Shopify per warehouse)
+    if (url.pathname === '/api/v2/stock-formula' && request.method === 'GET') {
+      return handleGetStockFormula(request, env);
+    }
+    
+    if (url.pathname === '/api/v2/stock-formula' && request.method === 'POST') {
+      return handleSaveStockFormula(request, env);
+    }
+    
+    // Warehouse -> location routing for stock
+    if (url.pathname === '/api/v2/warehouse-routing' && request.method === 'GET') {
+      return handleGetWarehouseRouting(request, env);
+    }
+    
+    if (url.pathname === '/api/v2/warehouse-routing' && request.method === 'POST') {
+      return handleSaveWarehouseRouting(request, env);
+    }
+    
+    // Unleashed -> Shopify field mapping for products, variants and customers
+    if (url.pathname === '/api/v2/field-mapping' && request.method === 'GET') {
+      return handleGetFieldMapping(request, env);
+    }
+    
+    if (url.pathname === '/api/v2/field-mapping' && request.method === 'POST') {
+      return handleSaveFieldMapping(request, env);
+    }
+    
+    // Shop currency and exchange rates for prices
+    if (url.pathname === '/api/v2/currency' && request.method === 'GET') {
+      return handleGetCurrencySettings(request, env);
+    }
+    
+    if (url.pathname === '/api/v2/currency' && request.method === 'POST') {
+      return handleSaveCurrencySettings(request, env);
+    }
+    
+    // Which Unleashed products are synced
+    if (url.pathname === '/api/v2/product-filters' && request.method === 'GET') {
+      return handleGetProductFilters(request, env);
+    }
+    
+    if (url.pathname === '/api/v2/product-filters' && request.method === 'POST') {
+      return handleSaveProductFilters(request, env);
+    }
+    
     // Individual location endpoints
     if (url.pathname === '/api/v2/mutate-locations' && request.method === 'POST') {
       return handleLocationMutations(request, env);
@@ -514,6 +654,20 @@ export default {
       return handleImageUpdate(request, env);
     }
     
+    // Shopify webhooks (orders flow back into Unleashed)
+    if (url.pathname === '/api/v2/webhooks/shopify/orders-create' && request.method === 'POST') {
+      return handleShopifyOrderWebhook(request, env);
+    }
+    
+    if (url.pathname === '/api/v2/webhooks/shopify/refunds-create' && request.method === 'POST') {
+      return handleShopifyRefundWebhook(request, env);
+    }
+    
+    // Unleashed webhooks (product / stock changes trigger a targeted product resync)
+    if (url.pathname === '/api/v2/webhooks/unleashed' && request.method === 'POST') {
+      return handleUnleashedWebhook(request, env);
+    }
+    
     // Serve client script
     if (url.pathname === '/client-script.js' && request.method === 'GET') {
       return serveClientScript();
@@ -522,6 +676,13 @@ export default {
     return new Response('Not Found', { status: 404 });
   },
 
+  // Cron trigger: start the syncs each domain has scheduled
+  async scheduled(event, env, ctx) {
+    applyLogVerbosity(env);
+    console.log(`⏰ Scheduled run (${event.cron})`);
+    ctx.waitUntil(runScheduledSyncs(env, new Date(event.scheduledTime || Date.now())));
+  },
+
   // Minimal queue handler (required for queue bindings, but we don't process messages here)
   async queue(batch, env) {
     console.log(`🚫 Main worker received ${batch.messages.length} queue messages - forwarding to mutation worker`);
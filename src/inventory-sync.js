@@ -0,0 +1,243 @@
+/**
+ * Inventory Sync
+ * Stock-only fast path. Unleashed StockOnHand rows are routed to Shopify locations
+ * like in product mapping (warehouse-routing.js) and compared with the current
+ * Shopify levels; only quantities that differ are set. Each SET_INVENTORY_QUANTITIES message
+ * carries up to INVENTORY_BATCH_SIZE quantities for one inventorySetQuantities call.
+ *
+ * Every quantity is sent with the level it was read at (`compareQuantity`). When
+ * Shopify has moved since - an order, a manual adjustment - the quantity is left
+ * alone instead of overwriting a sale Unleashed doesn't know about yet; the next run
+ * reads the new level.
+ */
+
+import { shopifyGraphQLWithRetry } from './product-mutations.js';
+import { recordQueuedOperations } from './sync-runs.js';
+import { DEFAULT_STOCK_FORMULA, applyStockFormula } from './stock-formula.js';
+import { DEFAULT_WAREHOUSE_ROUTING, createWarehouseRouter } from './warehouse-routing.js';
+
+const INVENTORY_BATCH_SIZE = 250; // inventorySetQuantities accepts up to 250 quantities per call
+const MAX_STALE_RETRIES = 3; // Calls retried without the quantities Shopify reports as stale
+const MAX_REPORTED = 20; // SKUs/warehouses listed per problem in the mapping summary
+
+/**
+ * Compare Unleashed stock with Shopify inventory levels. Each row goes through the
+ * domain's stock formula and warehouse routing, as in product mapping; several
+ * warehouses routed to the same location are added up. Returns the quantities to set
+ * plus what couldn't be synced: unmatched and excluded warehouses, SKUs not in
+ * Shopify, untracked variants and locations the item isn't stocked at (the product
+ * sync activates those).
+ */
+function mapInventoryChanges(stockItems, shopifyInventory, shopifyLocations, defaultWarehouseCode = null, {
+  stockFormula = DEFAULT_STOCK_FORMULA,
+  warehouseRouting = DEFAULT_WAREHOUSE_ROUTING
+} = {}) {
+  const results = {
+    toSet: [],
+    unchanged: 0,
+    untracked: 0,
+    notStocked: 0,
+    unknownSkus: [],
+    unmatchedWarehouses: [],
+    excludedWarehouses: []
+  };
+  const warehouseRouter = createWarehouseRouter(warehouseRouting, shopifyLocations);
+
+  const variantsBySku = new Map();
+  shopifyInventory.forEach(item => {
+    if (!item.sku || !item.inventoryItemId) return;
+    if (!variantsBySku.has(item.sku)) variantsBySku.set(item.sku, []);
+    variantsBySku.get(item.sku).push(item);
+  });
+
+  // Target quantity per SKU and location
+  const targets = new Map();
+  stockItems.forEach(stock => {
+    const sku = stock.ProductCode;
+    if (!sku) return;
+    const warehouseCode = (stock.WarehouseCode || '').trim() || defaultWarehouseCode;
+    const location = warehouseCode && warehouseRouter.route(warehouseCode);
+    if (!location) return;
+    const key = `${sku}|${location.id}`;
+    const target = targets.get(key) || { sku, locationId: location.id, locationName: location.name, quantity: 0 };
+    target.quantity += applyStockFormula(stock, stockFormula, warehouseCode);
+    targets.set(key, target);
+  });
+
+  const unknownSkus = new Set();
+  targets.forEach(({ sku, locationId, quantity }) => {
+    const variants = variantsBySku.get(sku);
+    if (!variants) {
+      unknownSkus.add(sku);
+      return;
+    }
+    variants.forEach(variant => {
+      if (!variant.tracked) {
+        results.untracked++;
+        return;
+      }
+      const current = variant.levels[locationId];
+      if (current === undefined) {
+        results.notStocked++;
+      } else if (current === quantity) {
+        results.unchanged++;
+      } else {
+        results.toSet.push({
+          sku,
+          inventoryItemId: variant.inventoryItemId,
+          locationId,
+          quantity,
+          compareQuantity: current
+        });
+      }
+    });
+  });
+
+  results.unknownSkus = [...unknownSkus];
+  Object.assign(results, warehouseRouter.report());
+  if (results.unmatchedWarehouses.length > 0) {
+    console.warn(`⚠️ No Shopify location for warehouse(s): ${results.unmatchedWarehouses.join(', ')} - their stock is not synced`);
+  }
+  console.log(`📊 Inventory mapping: ${results.toSet.length} to set, ${results.unchanged} unchanged, ${results.notStocked} not stocked, ${results.untracked} untracked, ${results.unknownSkus.length} SKUs not in Shopify`);
+  return results;
+}
+
+// Counts and a sample of each problem, small enough for the run record
+function summarizeInventoryMapping(mappingResults) {
+  return {
+    toSet: mappingResults.toSet.length,
+    unchanged: mappingResults.unchanged,
+    notStocked: mappingResults.notStocked,
+    untracked: mappingResults.untracked,
+    unknownSkus: mappingResults.unknownSkus.length,
+    unknownSkuSample: mappingResults.unknownSkus.slice(0, MAX_REPORTED),
+    unmatchedWarehouses: mappingResults.unmatchedWarehouses.slice(0, MAX_REPORTED),
+    excludedWarehouses: mappingResults.excludedWarehouses.slice(0, MAX_REPORTED)
+  };
+}
+
+// Queue the quantities to set in batches on PRODUCT_QUEUE
+async function mutateInventoryViaQueue(env, shopDomain, mappingResults, originalDomain, syncId = crypto.randomUUID()) {
+  console.log('🚀 Queueing inventory quantities via PRODUCT_QUEUE');
+  const results = {
+    method: 'queue_based',
+    syncId,
+    queued: { batches: 0, quantities: 0 },
+    summary: '',
+    errors: []
+  };
+
+  try {
+    for (let i = 0; i < mappingResults.toSet.length; i += INVENTORY_BATCH_SIZE) {
+      const quantities = mappingResults.toSet.slice(i, i + INVENTORY_BATCH_SIZE);
+      await env.PRODUCT_QUEUE.send({
+        type: 'SET_INVENTORY_QUANTITIES',
+        syncId,
+        originalDomain,
+        shopDomain,
+        quantities,
+        timestamp: new Date().toISOString()
+      });
+      results.queued.batches++;
+      results.queued.quantities += quantities.length;
+    }
+
+    results.summary = `Queued ${results.queued.quantities} inventory quantities in ${results.queued.batches} batch(es)`;
+    console.log(`✅ ${results.summary} – Sync ID: ${syncId}`);
+  } catch (err) {
+    console.error('🚨 Failed to queue inventory batches', err);
+    results.errors.push(err.message);
+  }
+
+  await recordQueuedOperations(env.AUTH_STORE, {
+    syncId,
+    domain: originalDomain,
+    entity: 'inventory',
+    queued: results.queued.batches
+  });
+  return results;
+}
+
+// Set one batch of quantities. Quantities Shopify reports as stale are dropped and
+// the rest sent again; any other user error fails the batch.
+async function setInventoryQuantities(baseUrl, headers, quantities) {
+  const mutation = `
+    mutation SetInventoryQuantities($input: InventorySetQuantitiesInput!) {
+      inventorySetQuantities(input: $input) {
+        inventoryAdjustmentGroup { id }
+        userErrors { field message code }
+      }
+    }
+  `;
+
+  let pending = quantities;
+  const stale = [];
+  for (let attempt = 0; attempt <= MAX_STALE_RETRIES && pending.length > 0; attempt++) {
+    const { data } = await shopifyGraphQLWithRetry(`${baseUrl}/graphql.json`, headers, {
+      query: mutation,
+      variables: {
+        input: {
+          name: 'available',
+          reason: 'correction',
+          quantities: pending.map(({ inventoryItemId, locationId, quantity, compareQuantity }) => ({
+            inventoryItemId,
+            locationId,
+            quantity,
+            compareQuantity
+          }))
+        }
+      }
+    });
+    if (data.errors) throw new Error(`Shopify GraphQL errors: ${JSON.stringify(data.errors)}`);
+
+    const userErrors = data.data.inventorySetQuantities.userErrors || [];
+    if (userErrors.length === 0) {
+      return { set: pending, stale };
+    }
+
+    // field is ["input", "quantities", "<index>", ...]
+    const staleIndexes = new Set(userErrors
+      .filter(error => error.code === 'COMPARE_QUANTITY_STALE')
+      .map(error => Number(error.field?.[2])));
+    if (staleIndexes.size < userErrors.length || [...staleIndexes].some(isNaN)) {
+      return { set: [], stale, error: `Inventory userErrors: ${JSON.stringify(userErrors)}` };
+    }
+
+    console.log(`🔁 ${staleIndexes.size} quantity(ies) changed in Shopify since they were read - retrying the batch without them`);
+    stale.push(...pending.filter((_, index) => staleIndexes.has(index)));
+    pending = pending.filter((_, index) => !staleIndexes.has(index));
+  }
+  return { set: [], stale, error: pending.length > 0 ? `Quantities still stale after ${MAX_STALE_RETRIES} retries` : null };
+}
+
+// Process a SET_INVENTORY_QUANTITIES queue message (consumer side)
+async function handleInventoryQueueMessage(message, env) {
+  console.log(`📦 Handling SET_INVENTORY_QUANTITIES: ${message.quantities.length} quantities`);
+  const authString = await env.AUTH_STORE.get(message.originalDomain);
+  if (!authString) throw new Error(`Auth not found for domain ${message.originalDomain}`);
+  const authData = JSON.parse(authString);
+  const baseUrl = `https://${message.shopDomain}/admin/api/2025-04`;
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Shopify-Access-Token': authData.shopify.accessToken
+  };
+
+  const result = await setInventoryQuantities(baseUrl, headers, message.quantities);
+  if (result.stale.length > 0) {
+    console.warn(`⚠️ Left ${result.stale.length} quantity(ies) alone - changed in Shopify since the sync read them: ${result.stale.map(q => q.sku).slice(0, MAX_REPORTED).join(', ')}`);
+  }
+  if (result.error) {
+    console.error(`❌ Inventory batch failed: ${result.error}`);
+    return { success: false, error: result.error };
+  }
+
+  console.log(`✅ Set ${result.set.length} inventory quantities (${result.stale.length} stale)`);
+  return { success: true, set: result.set.length, stale: result.stale.length };
+}
+
+export {
+  mapInventoryChanges,
+  summarizeInventoryMapping,
+  mutateInventoryViaQueue,
+  handleInventoryQueueMessage
+};
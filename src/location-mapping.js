@@ -93,6 +93,24 @@ function compareLocationData(unleashedData, shopifyLocation) {
   };
 }
 
+// Find the Shopify location for an Unleashed warehouse: the custom.warehouse_code
+// metafield first, then the location name as a fallback. Returns { location, matchType }.
+function findLocationForWarehouse(shopifyLocations, warehouseCode, warehouseName = null) {
+  const byCode = shopifyLocations.find(loc =>
+    loc.metafields && loc.metafields['custom.warehouse_code'] === warehouseCode
+  );
+  if (byCode) return { location: byCode, matchType: 'warehouse_code' };
+
+  if (warehouseName) {
+    const byName = shopifyLocations.find(loc =>
+      loc.name.toLowerCase().trim() === warehouseName.toLowerCase().trim()
+    );
+    if (byName) return { location: byName, matchType: 'name_fallback' };
+  }
+
+  return { location: null, matchType: null };
+}
+
 async function mapLocations(unleashedWarehouses, shopifyLocations) {
   console.log('🗺️ === STARTING LOCATION MAPPING ===');
   console.log(`📊 Input data: ${unleashedWarehouses.length} Unleashed warehouses, ${shopifyLocations.length} Shopify locations`);
@@ -156,24 +174,18 @@ async function mapLocations(unleashedWarehouses, shopifyLocations) {
         console.log(`   🔍 Searching for matching Shopify location with warehouse code: "${warehouse.WarehouseCode}"`);
 
         // Match by warehouse code metafield first, then fallback to name matching
-        let matchingLocation = shopifyLocations.find(loc => 
-          loc.metafields && loc.metafields['custom.warehouse_code'] === warehouse.WarehouseCode
+        const { location: matchingLocation, matchType } = findLocationForWarehouse(
+          shopifyLocations,
+          warehouse.WarehouseCode,
+          locationName
         );
 
-        // If no warehouse code match found, try matching by name as fallback
-        if (!matchingLocation) {
-          console.log(`   🔄 No warehouse code match found, trying name-based matching...`);
-          matchingLocation = shopifyLocations.find(loc => 
-            loc.name.toLowerCase().trim() === locationName.toLowerCase().trim()
-          );
-          
-          if (matchingLocation) {
-            console.log(`   📋 Found name-based match: "${matchingLocation.name}" - will update with warehouse code metafield`);
-          } else {
-            console.log(`   ❌ No name-based match found either`);
-          }
-        } else {
+        if (matchType === 'warehouse_code') {
           console.log(`   ✅ Found warehouse code match: "${matchingLocation.name}"`);
+        } else if (matchType === 'name_fallback') {
+          console.log(`   📋 Found name-based match: "${matchingLocation.name}" - will update with warehouse code metafield`);
+        } else {
+          console.log(`   ❌ No warehouse code or name-based match found`);
         }
 
         let matchResult = {
@@ -308,6 +320,7 @@ async function mapLocations(unleashedWarehouses, shopifyLocations) {
 
 export {
   mapLocations,
+  findLocationForWarehouse,
   COUNTRY_CODE_MAPPING,
   PROVINCE_CODE_MAPPING
 }; 
\ No newline at end of file
@@ -3,6 +3,8 @@
  * Efficiently creates and updates locations using GraphQL mutations with batching
  */
 
+import { recordQueuedOperations } from './sync-runs.js';
+
 const MAX_BATCH_SIZE = 10; // GraphQL batch limit for location operations
 const MUTATION_DELAY = 100; // Small delay between batches to avoid rate limits
 
@@ -363,9 +365,9 @@ async function mutateLocations(authData, mappingResults) {
 }
 
 // === QUEUE-BASED LOCATION MUTATIONS ===
-async function mutateLocationsViaQueue(env, shopDomain, mappingResults, originalDomain) {
+// Pass the syncId of the run these mutations belong to (a new run is started otherwise)
+async function mutateLocationsViaQueue(env, shopDomain, mappingResults, originalDomain, syncId = crypto.randomUUID()) {
   console.log('🚀 Queueing location mutations via LOCATION_QUEUE');
-  const syncId = crypto.randomUUID();
   const results = {
     method: 'queue_based',
     syncId,
@@ -409,6 +411,12 @@ async function mutateLocationsViaQueue(env, shopDomain, mappingResults, original
     results.errors.push(err.message);
   }
 
+  await recordQueuedOperations(env.AUTH_STORE, {
+    syncId,
+    domain: originalDomain,
+    entity: 'locations',
+    queued: results.queued.creates + results.queued.updates
+  });
   return results;
 }
 
@@ -0,0 +1,296 @@
+/**
+ * Order Mapping
+ * Maps a Shopify order (orders/create webhook payload) to an Unleashed SalesOrder,
+ * and a Shopify refund (refunds/create) to Unleashed credit notes or stock adjustments
+ */
+
+// Unleashed validates header totals against the sum of the lines, so every amount
+// is rounded once here and the totals are built from the rounded values
+const round2 = value => Math.round((value + Number.EPSILON) * 100) / 100;
+const round4 = value => Math.round((value + Number.EPSILON) * 10000) / 10000;
+const sumAmounts = (items = [], field) => items.reduce((sum, item) => sum + (parseFloat(item[field]) || 0), 0);
+
+// Build one SalesOrderLine. Discounts are folded into the unit price and, for
+// tax-inclusive shops, the tax is taken out so LineTotal is always ex-tax.
+function buildSalesOrderLine(lineNumber, productCode, quantity, grossAmount, discountAmount, taxAmount, taxesIncluded, comments) {
+  const netAmount = grossAmount - discountAmount - (taxesIncluded ? taxAmount : 0);
+  const unitPrice = quantity > 0 ? round4(netAmount / quantity) : 0;
+  return {
+    LineNumber: lineNumber,
+    Product: { ProductCode: productCode },
+    OrderQuantity: quantity,
+    UnitPrice: unitPrice,
+    DiscountRate: 0,
+    LineTotal: round2(unitPrice * quantity),
+    LineTax: round2(taxAmount),
+    Comments: comments
+  };
+}
+
+/**
+ * Map a Shopify order to an Unleashed SalesOrder payload.
+ * Returns { salesOrder, skippedLines, errors } - salesOrder is null when any error
+ * means the order can't be created faithfully (e.g. a line without a SKU).
+ */
+function mapOrderToSalesOrder(order, {
+  salesOrderGuid,
+  customerCode,
+  warehouseCode = null,
+  orderStatus = 'Parked',
+  taxCode = null,
+  shippingProductCode = null
+}) {
+  console.log(`🧾 Mapping Shopify order ${order.name} (${order.id}) to an Unleashed sales order`);
+
+  const results = {
+    salesOrder: null,
+    skippedLines: [],
+    errors: []
+  };
+
+  if (!customerCode) {
+    results.errors.push('No Unleashed customer code - the Shopify customer has no unleashed.customer_code metafield and no default customer is configured');
+  }
+
+  const taxesIncluded = order.taxes_included === true;
+  const lines = [];
+
+  (order.line_items || []).forEach(item => {
+    if (item.gift_card) {
+      results.skippedLines.push({ title: item.title, reason: 'gift_card' });
+      return;
+    }
+    if (!item.sku) {
+      results.errors.push(`Line "${item.title}" has no SKU`);
+      return;
+    }
+
+    const quantity = parseInt(item.quantity, 10) || 0;
+    lines.push(buildSalesOrderLine(
+      lines.length + 1,
+      item.sku,
+      quantity,
+      (parseFloat(item.price) || 0) * quantity,
+      sumAmounts(item.discount_allocations, 'amount'),
+      sumAmounts(item.tax_lines, 'price'),
+      taxesIncluded,
+      item.title
+    ));
+    console.log(`   ➕ ${item.sku} x${quantity}`);
+  });
+
+  // Shipping becomes a product line when the tenant has a freight product in Unleashed,
+  // otherwise it's noted on the order so staff can add the charge
+  const shippingAmount = sumAmounts(order.shipping_lines, 'price');
+  const shippingDiscount = (order.shipping_lines || []).reduce((sum, line) => sum + sumAmounts(line.discount_allocations, 'amount'), 0);
+  const shippingTax = (order.shipping_lines || []).reduce((sum, line) => sum + sumAmounts(line.tax_lines, 'price'), 0);
+  const comments = [`Shopify order ${order.name}`];
+  if (shippingAmount > 0) {
+    if (shippingProductCode) {
+      lines.push(buildSalesOrderLine(
+        lines.length + 1,
+        shippingProductCode,
+        1,
+        shippingAmount,
+        shippingDiscount,
+        shippingTax,
+        taxesIncluded,
+        (order.shipping_lines || []).map(line => line.title).join(', ') || 'Shipping'
+      ));
+    } else {
+      comments.push(`Shipping charged: ${round2(shippingAmount - shippingDiscount)} ${order.currency}`);
+    }
+  }
+
+  if (lines.length === 0) {
+    results.errors.push('Order has no lines that can be sent to Unleashed');
+  }
+
+  if (results.errors.length > 0) {
+    console.warn(`⚠️ Order ${order.name} cannot be mapped:`, results.errors);
+    return results;
+  }
+
+  const subTotal = round2(lines.reduce((sum, line) => sum + line.LineTotal, 0));
+  const taxTotal = round2(lines.reduce((sum, line) => sum + line.LineTax, 0));
+  const firstTaxRate = (order.tax_lines || [])[0]?.rate;
+  const address = order.shipping_address || order.billing_address || {};
+  const orderDate = new Date(order.created_at || Date.now()).toISOString().slice(0, 19);
+
+  results.salesOrder = {
+    Guid: salesOrderGuid,
+    OrderStatus: orderStatus,
+    OrderDate: orderDate,
+    RequiredDate: orderDate,
+    CustomerRef: order.name,
+    Comments: comments.join(' | '),
+    Customer: { CustomerCode: customerCode },
+    ...(warehouseCode ? { Warehouse: { WarehouseCode: warehouseCode } } : {}),
+    Currency: { CurrencyCode: order.currency },
+    ExchangeRate: 1,
+    ...(taxCode ? { Tax: { TaxCode: taxCode } } : {}),
+    TaxRate: firstTaxRate !== undefined ? parseFloat(firstTaxRate) : 0,
+    DeliveryName: address.name || [address.first_name, address.last_name].filter(Boolean).join(' ') || null,
+    DeliveryStreetAddress: address.address1 || null,
+    DeliveryStreetAddress2: address.address2 || null,
+    DeliveryCity: address.city || null,
+    DeliveryRegion: address.province || null,
+    DeliveryPostCode: address.zip || null,
+    DeliveryCountry: address.country || null,
+    SalesOrderLines: lines,
+    SubTotal: subTotal,
+    TaxTotal: taxTotal,
+    Total: round2(subTotal + taxTotal)
+  };
+
+  console.log(`✅ Order ${order.name} mapped: ${lines.length} line(s), total ${results.salesOrder.Total} ${order.currency}${warehouseCode ? `, warehouse ${warehouseCode}` : ''}`);
+  return results;
+}
+
+/**
+ * Group the refund's line items by the Unleashed warehouse the stock goes back to.
+ * Restocked lines use the warehouse of their restock location; lines that aren't
+ * restocked fall back to the order's warehouse (they only matter for credit notes).
+ */
+function groupRefundLines(refund, warehouseByLocationId, orderWarehouseCode, results) {
+  const groups = new Map();
+
+  (refund.refund_line_items || []).forEach(refundLine => {
+    const item = refundLine.line_item || {};
+    const quantity = parseInt(refundLine.quantity, 10) || 0;
+    if (quantity <= 0) return;
+    if (!item.sku) {
+      results.skippedLines.push({ title: item.title, reason: 'no_sku' });
+      return;
+    }
+
+    const restocked = Boolean(refundLine.restock_type) && refundLine.restock_type !== 'no_restock';
+    let warehouseCode = orderWarehouseCode;
+    if (restocked) {
+      warehouseCode = warehouseByLocationId[String(refundLine.location_id)] || null;
+      if (!warehouseCode) {
+        results.errors.push(`Restock location ${refundLine.location_id} for ${item.sku} has no custom.warehouse_code`);
+        return;
+      }
+    }
+
+    const key = warehouseCode || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ refundLine, item, quantity, restocked });
+  });
+
+  return groups;
+}
+
+/**
+ * Map a Shopify refund to the Unleashed documents that record it.
+ * With a sales order: one credit note per warehouse, restocked lines flagged
+ * ReturnToStock. Without one: one stock adjustment per warehouse for the restocked
+ * lines only. Returns { documents, skippedLines, errors } - documents is empty when
+ * any error means the refund can't be recorded faithfully.
+ */
+function mapRefundToUnleashed(refund, {
+  orderName,
+  salesOrderNumber = null,
+  orderWarehouseCode = null,
+  warehouseByLocationId = {},
+  taxesIncluded = false,
+  newGuid = () => crypto.randomUUID()
+}) {
+  console.log(`↩️ Mapping Shopify refund ${refund.id} on ${orderName || refund.order_id} (${salesOrderNumber ? `credit note against ${salesOrderNumber}` : 'stock adjustment'})`);
+
+  const results = {
+    documents: [],
+    skippedLines: [],
+    errors: []
+  };
+
+  const groups = groupRefundLines(refund, warehouseByLocationId, orderWarehouseCode, results);
+  if (results.errors.length > 0) {
+    console.warn(`⚠️ Refund ${refund.id} cannot be mapped:`, results.errors);
+    return results;
+  }
+
+  const documentDate = new Date(refund.created_at || Date.now()).toISOString().slice(0, 19);
+  const comments = `Shopify refund ${refund.id} on order ${orderName || refund.order_id}${refund.note ? ` - ${refund.note}` : ''}`;
+
+  groups.forEach((lines, warehouseCode) => {
+    if (salesOrderNumber) {
+      const creditLines = lines.map(({ refundLine, item, quantity, restocked }, index) => {
+        const tax = parseFloat(refundLine.total_tax) || 0;
+        const net = (parseFloat(refundLine.subtotal) || 0) - (taxesIncluded ? tax : 0);
+        const price = round4(net / quantity);
+        return {
+          LineNumber: index + 1,
+          Product: { ProductCode: item.sku },
+          CreditQuantity: quantity,
+          CreditPrice: price,
+          CreditLineTotal: round2(price * quantity),
+          LineTax: round2(tax),
+          ReturnToStock: restocked,
+          Comments: item.title
+        };
+      });
+
+      const subTotal = round2(creditLines.reduce((sum, line) => sum + line.CreditLineTotal, 0));
+      const taxTotal = round2(creditLines.reduce((sum, line) => sum + line.LineTax, 0));
+      results.documents.push({
+        type: 'credit_note',
+        warehouseCode: warehouseCode || null,
+        payload: {
+          Guid: newGuid(),
+          OrderNumber: salesOrderNumber,
+          CreditDate: documentDate,
+          ...(warehouseCode ? { Warehouse: { WarehouseCode: warehouseCode } } : {}),
+          Comments: comments,
+          CreditLines: creditLines,
+          SubTotal: subTotal,
+          TaxTotal: taxTotal,
+          Total: round2(subTotal + taxTotal)
+        }
+      });
+      console.log(`   🧾 Credit note: ${creditLines.length} line(s), ${round2(subTotal + taxTotal)}${warehouseCode ? ` into ${warehouseCode}` : ''}`);
+      return;
+    }
+
+    // Without a sales order there is nothing to credit - only restocked goods move stock
+    const restockedLines = lines.filter(line => line.restocked);
+    lines.filter(line => !line.restocked).forEach(({ item }) => {
+      results.skippedLines.push({ sku: item.sku, reason: 'not_restocked' });
+    });
+    if (restockedLines.length === 0) return;
+
+    // One line per SKU - each line sets that product's stock level
+    const restocked = new Map();
+    restockedLines.forEach(({ item, quantity }) => {
+      const line = restocked.get(item.sku) || { sku: item.sku, title: item.title, quantity: 0 };
+      line.quantity += quantity;
+      restocked.set(item.sku, line);
+    });
+
+    results.documents.push({
+      type: 'stock_adjustment',
+      warehouseCode,
+      // Units returned per SKU. NewQuantity is the new stock level, so the lines are
+      // completed from the stock on hand when the adjustment is created.
+      restock: Array.from(restocked.values(), ({ sku, quantity }) => ({ sku, quantity })),
+      payload: {
+        Guid: newGuid(),
+        AdjustmentDate: documentDate,
+        AdjustmentReason: 'Returned',
+        Status: 'Completed',
+        Warehouse: { WarehouseCode: warehouseCode },
+        Comments: comments,
+        StockAdjustmentLines: Array.from(restocked.values(), ({ sku, title }) => ({
+          Product: { ProductCode: sku },
+          Comments: title
+        }))
+      }
+    });
+    console.log(`   📦 Stock adjustment: ${restocked.size} line(s) into ${warehouseCode}`);
+  });
+
+  return results;
+}
+
+export { mapOrderToSalesOrder, mapRefundToUnleashed };
@@ -0,0 +1,240 @@
+/**
+ * Unleashed Order Mutations
+ * Creates Unleashed Sales Orders, credit notes and stock adjustments from ORDER_QUEUE
+ * messages and keeps a sync record in KV per Shopify order / refund so webhook
+ * redeliveries are ignored
+ */
+
+import { unleashedFetch, unleashedRequest } from './unleashed-client.js';
+
+const ORDER_SYNC_PREFIX = 'order_sync:'; // KV key prefix for per-order sync records
+const ORDER_REF_PREFIX = 'order_ref:'; // KV key prefix for Unleashed order number -> Shopify order lookups
+const REFUND_SYNC_PREFIX = 'refund_sync:'; // KV key prefix for per-refund sync records
+const ORDER_SYNC_TTL = 60 * 60 * 24 * 30; // Keep records for 30 days (well past Shopify's retry window)
+
+// Read the sync record for a Shopify order (null when the order hasn't been seen)
+async function getOrderSyncRecord(kvStore, domain, orderId) {
+  const raw = await kvStore.get(`${ORDER_SYNC_PREFIX}${domain}:${orderId}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+// Merge changes into the sync record for a Shopify order
+async function saveOrderSyncRecord(kvStore, domain, orderId, changes) {
+  const existing = await getOrderSyncRecord(kvStore, domain, orderId);
+  const record = {
+    ...existing,
+    ...changes,
+    orderId: String(orderId),
+    updatedAt: new Date().toISOString()
+  };
+  await kvStore.put(`${ORDER_SYNC_PREFIX}${domain}:${orderId}`, JSON.stringify(record), { expirationTtl: ORDER_SYNC_TTL });
+  return record;
+}
+
+// Read the sync record for a Shopify refund (null when the refund hasn't been seen)
+async function getRefundSyncRecord(kvStore, domain, refundId) {
+  const raw = await kvStore.get(`${REFUND_SYNC_PREFIX}${domain}:${refundId}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+// Merge changes into the sync record for a Shopify refund
+async function saveRefundSyncRecord(kvStore, domain, refundId, changes) {
+  const existing = await getRefundSyncRecord(kvStore, domain, refundId);
+  const record = {
+    ...existing,
+    ...changes,
+    refundId: String(refundId),
+    updatedAt: new Date().toISOString()
+  };
+  await kvStore.put(`${REFUND_SYNC_PREFIX}${domain}:${refundId}`, JSON.stringify(record), { expirationTtl: ORDER_SYNC_TTL });
+  return record;
+}
+
+// Find the Shopify order behind an Unleashed sales order number we created
+async function getOrderReference(kvStore, domain, salesOrderNumber) {
+  const raw = await kvStore.get(`${ORDER_REF_PREFIX}${domain}:${salesOrderNumber}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+// Helper: an error a retry can't fix (an Unleashed 4xx rejection or a malformed
+// message). Anything else - 5xx or timeouts once unleashedFetch gives up, KV or
+// auth reads - is thrown back to the queue so the message is retried.
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+// Process a CREATE_SALES_ORDER queue message
+async function handleOrderQueueMessage(message, env) {
+  console.log(`🧾 Handling ORDER_QUEUE message: ${message.type} for Shopify order ${message.orderName}`);
+  const { originalDomain, orderId, salesOrder } = message;
+
+  try {
+    if (message.type !== 'CREATE_SALES_ORDER') {
+      throw permanentError(`Unknown order queue message type: ${message.type}`);
+    }
+
+    const authString = await env.AUTH_STORE.get(originalDomain);
+    if (!authString) throw new Error(`Auth not found for domain ${originalDomain}`);
+    const authData = JSON.parse(authString);
+
+    // Unleashed creates a sales order by POSTing to its Guid, so a retried message
+    // can never create a second order
+    const response = await unleashedFetch(`SalesOrders/${salesOrder.Guid}`, authData.unleashed, {
+      method: 'POST',
+      body: salesOrder,
+      idempotent: true
+    });
+
+    if (!response.ok) {
+      const details = await response.text();
+      throw permanentError(`Unleashed rejected sales order: ${response.status} ${response.statusText} ${details}`.trim());
+    }
+
+    const created = await response.json();
+    if (created.OrderNumber) {
+      await env.AUTH_STORE.put(`${ORDER_REF_PREFIX}${originalDomain}:${created.OrderNumber}`, JSON.stringify({
+        orderId: String(orderId),
+        orderName: message.orderName
+      }), { expirationTtl: ORDER_SYNC_TTL });
+    }
+    await saveOrderSyncRecord(env.AUTH_STORE, originalDomain, orderId, {
+      status: 'created',
+      salesOrderGuid: created.Guid || salesOrder.Guid,
+      salesOrderNumber: created.OrderNumber || null,
+      error: null
+    });
+
+    console.log(`✅ Created Unleashed sales order ${created.OrderNumber || salesOrder.Guid} for Shopify order ${message.orderName}`);
+    return { success: true };
+  } catch (error) {
+    console.error('🚨 ORDER_QUEUE message failed:', error);
+    await saveOrderSyncRecord(env.AUTH_STORE, originalDomain, orderId, {
+      status: 'failed',
+      error: error.message,
+      retryable: !error.permanent
+    }).catch(() => {});
+    // Transient failures go back to the queue - the Guid POST makes the retry safe
+    if (!error.permanent) throw error;
+    return { success: false, error: error.message };
+  }
+}
+
+// Unleashed endpoint per refund document type
+const REFUND_DOCUMENT_ENDPOINTS = {
+  credit_note: 'CreditNotes',
+  stock_adjustment: 'StockAdjustments'
+};
+
+// Current stock on hand of a product in one warehouse (0 when it has never been held there)
+async function fetchQuantityOnHand(sku, warehouseCode, unleashedAuth) {
+  const data = await unleashedRequest(
+    `StockOnHand?productCode=${encodeURIComponent(sku)}&warehouseCode=${encodeURIComponent(warehouseCode)}`,
+    unleashedAuth
+  );
+  const item = (data.Items || []).find(stock =>
+    stock.ProductCode === sku && (stock.WarehouseCode || stock.Warehouse?.WarehouseCode) === warehouseCode);
+  return item?.QtyOnHand || 0;
+}
+
+// A stock adjustment sets each product's new stock level, so the restocked units are
+// added to the stock on hand here. The levels are kept in the refund record before the
+// POST, so a retry re-sends the same levels instead of adding the units twice.
+async function resolveStockAdjustment(document, unleashedAuth, env, { originalDomain, refundId }) {
+  const record = await getRefundSyncRecord(env.AUTH_STORE, originalDomain, refundId);
+  let levels = record?.adjustmentLevels?.[document.payload.Guid];
+  if (!levels) {
+    levels = {};
+    for (const { sku, quantity } of document.restock) {
+      levels[sku] = await fetchQuantityOnHand(sku, document.warehouseCode, unleashedAuth) + quantity;
+    }
+    await saveRefundSyncRecord(env.AUTH_STORE, originalDomain, refundId, {
+      adjustmentLevels: { ...record?.adjustmentLevels, [document.payload.Guid]: levels }
+    });
+  }
+
+  return {
+    ...document.payload,
+    StockAdjustmentLines: document.payload.StockAdjustmentLines.map(line => ({
+      ...line,
+      NewQuantity: levels[line.Product.ProductCode]
+    }))
+  };
+}
+
+// Process a RECORD_REFUND queue message: create each credit note / stock adjustment
+async function handleRefundQueueMessage(message, env) {
+  console.log(`↩️ Handling ORDER_QUEUE message: ${message.type} for Shopify refund ${message.refundId} (${message.documents?.length || 0} document(s))`);
+  const { originalDomain, refundId, documents = [] } = message;
+
+  try {
+    if (message.type !== 'RECORD_REFUND') {
+      throw permanentError(`Unknown order queue message type: ${message.type}`);
+    }
+
+    const authString = await env.AUTH_STORE.get(originalDomain);
+    if (!authString) throw new Error(`Auth not found for domain ${originalDomain}`);
+    const authData = JSON.parse(authString);
+
+    // Documents are POSTed to their pre-generated Guid, so a retried message
+    // re-sends the same documents instead of duplicating them
+    const created = [];
+    for (const document of documents) {
+      const endpoint = REFUND_DOCUMENT_ENDPOINTS[document.type];
+      if (!endpoint) throw permanentError(`Unknown refund document type: ${document.type}`);
+
+      const payload = document.type === 'stock_adjustment'
+        ? await resolveStockAdjustment(document, authData.unleashed, env, { originalDomain, refundId })
+        : document.payload;
+      const response = await unleashedFetch(`${endpoint}/${document.payload.Guid}`, authData.unleashed, {
+        method: 'POST',
+        body: payload,
+        idempotent: true
+      });
+
+      if (!response.ok) {
+        const details = await response.text();
+        throw permanentError(`Unleashed rejected ${document.type}: ${response.status} ${response.statusText} ${details}`.trim());
+      }
+
+      const result = await response.json();
+      created.push({
+        type: document.type,
+        guid: result.Guid || document.payload.Guid,
+        number: result.CreditNoteNumber || result.AdjustmentNumber || null,
+        warehouseCode: document.warehouseCode
+      });
+      console.log(`   ✅ Created ${document.type} ${created[created.length - 1].number || document.payload.Guid}`);
+    }
+
+    await saveRefundSyncRecord(env.AUTH_STORE, originalDomain, refundId, {
+      status: 'created',
+      documents: created,
+      error: null
+    });
+
+    console.log(`✅ Recorded Shopify refund ${refundId} in Unleashed`);
+    return { success: true };
+  } catch (error) {
+    console.error('🚨 ORDER_QUEUE refund message failed:', error);
+    await saveRefundSyncRecord(env.AUTH_STORE, originalDomain, refundId, {
+      status: 'failed',
+      error: error.message,
+      retryable: !error.permanent
+    }).catch(() => {});
+    // Transient failures go back to the queue - documents are re-sent to the same Guids
+    if (!error.permanent) throw error;
+    return { success: false, error: error.message };
+  }
+}
+
+export {
+  getOrderSyncRecord,
+  saveOrderSyncRecord,
+  getRefundSyncRecord,
+  saveRefundSyncRecord,
+  getOrderReference,
+  handleOrderQueueMessage,
+  handleRefundQueueMessage
+};
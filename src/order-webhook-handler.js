@@ -0,0 +1,308 @@
+/**
+ * Order Webhook Handler
+ * Receives Shopify orders/create and refunds/create webhooks, verifies the HMAC and
+ * queues the matching Unleashed documents for the mutation worker to create
+ */
+
+import { mapOrderToSalesOrder, mapRefundToUnleashed } from './order-mapping.js';
+import { getOrderSyncRecord, saveOrderSyncRecord, getRefundSyncRecord, saveRefundSyncRecord } from './order-mutations.js';
+import { fetchShopifyLocations } from './data_pull.js';
+import { jsonResponse, verifyHmacSignature } from './helpers.js';
+
+// Look up what the webhook payload doesn't carry: the customer's Unleashed code and
+// the warehouse code of the location the order was assigned to for fulfilment
+async function fetchOrderContext(shopifyAuth, orderGid) {
+  const query = `
+    query OrderContext($id: ID!) {
+      order(id: $id) {
+        customer {
+          metafield(namespace: "unleashed", key: "customer_code") { value }
+        }
+        fulfillmentOrders(first: 5) {
+          nodes {
+            assignedLocation {
+              location {
+                id
+                name
+                metafield(namespace: "custom", key: "warehouse_code") { value }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await fetch(`https://${shopifyAuth.shopDomain}/admin/api/2025-04/graphql.json`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': shopifyAuth.accessToken
+    },
+    body: JSON.stringify({ query, variables: { id: orderGid } })
+  });
+
+  const data = await response.json();
+  if (data.errors) {
+    throw new Error(`Failed to load order context: ${JSON.stringify(data.errors)}`);
+  }
+
+  const order = data.data?.order;
+  const location = (order?.fulfillmentOrders?.nodes || [])
+    .map(node => node.assignedLocation?.location)
+    .find(loc => loc?.metafield?.value);
+
+  return {
+    customerCode: order?.customer?.metafield?.value || null,
+    warehouseCode: location?.metafield?.value || null,
+    locationName: location?.name || null
+  };
+}
+
+// Sales order Guid derived from the tenant and the Shopify order id, so every delivery
+// of an order names the same Unleashed document (POSTs to a Guid don't duplicate)
+async function salesOrderGuidFor(domain, orderId) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`sales-order:${domain}:${orderId}`)));
+  digest[6] = (digest[6] & 0x0f) | 0x50; // Name-based UUID version
+  digest[8] = (digest[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = Array.from(digest.slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Resolve the tenant, load its auth data and verify the webhook signature.
+// The tenant is taken from ?domain= (the KV auth key) and defaults to the
+// X-Shopify-Shop-Domain header. Returns { domain, authData, payload } or { response }
+// when the request has to be rejected.
+async function readVerifiedWebhook(request, env, topic) {
+  const rawBody = await request.text();
+  const url = new URL(request.url);
+  let domain = url.searchParams.get('domain') || request.headers.get('X-Shopify-Shop-Domain');
+
+  if (!domain) {
+    return {
+      response: jsonResponse({
+        error: 'Domain is required',
+        details: 'Pass ?domain= on the webhook URL or send the X-Shopify-Shop-Domain header.'
+      }, 400)
+    };
+  }
+
+  // Clean the domain (remove protocol and path)
+  domain = domain.replace(/^https?:\/\//, '').split('/')[0];
+
+  // Rejected outright - a 500 would only have Shopify retry a tenant that doesn't exist
+  const authString = await env.AUTH_STORE.get(domain);
+  if (!authString) {
+    console.warn(`🚫 Rejected ${topic} webhook: unknown domain ${domain}`);
+    return { response: jsonResponse({ error: 'Unknown domain', details: `No authentication data found for domain: ${domain}` }, 404) };
+  }
+  const authData = JSON.parse(authString);
+  if (!authData.unleashed || !authData.shopify) {
+    throw new Error('Invalid authentication data structure');
+  }
+
+  const secret = authData.shopify.webhookSecret || env.SHOPIFY_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('No Shopify webhook secret configured for this domain');
+  }
+
+  const verified = await verifyHmacSignature(rawBody, request.headers.get('X-Shopify-Hmac-Sha256'), secret);
+  if (!verified) {
+    console.warn(`🚫 Rejected ${topic} webhook for ${domain}: HMAC verification failed`);
+    return { response: jsonResponse({ error: 'Invalid webhook signature' }, 401) };
+  }
+
+  return { domain, authData, payload: JSON.parse(rawBody) };
+}
+
+/**
+ * Handler for Shopify orders/create webhooks.
+ * Unmappable orders are acknowledged with 200 so Shopify doesn't keep redelivering
+ * them; the reason is kept in the order sync record.
+ */
+export async function handleShopifyOrderWebhook(request, env) {
+  try {
+    const webhook = await readVerifiedWebhook(request, env, 'orders/create');
+    if (webhook.response) return webhook.response;
+    const { domain, authData, payload: order } = webhook;
+
+    console.log(`🛒 Received Shopify order ${order.name} (${order.id}) for ${domain}`);
+
+    // Shopify redelivers webhooks - only the first delivery queues a sales order,
+    // unless that one failed. The Guid comes from the order id, so a failed order (or a
+    // delivery racing the first) is queued under the same Guid.
+    const existing = await getOrderSyncRecord(env.AUTH_STORE, domain, order.id);
+    if (existing && existing.status !== 'failed') {
+      console.log(`⏭️ Order ${order.name} already ${existing.status} - ignoring duplicate delivery`);
+      return jsonResponse({ success: true, duplicate: true, status: existing.status });
+    }
+    if (existing) {
+      console.log(`🔁 Order ${order.name} failed before (${existing.error}) - queueing it again`);
+    }
+
+    const context = await fetchOrderContext(authData.shopify, order.admin_graphql_api_id || `gid://shopify/Order/${order.id}`);
+    const salesOrderGuid = existing?.salesOrderGuid || await salesOrderGuidFor(domain, order.id);
+    const mapping = mapOrderToSalesOrder(order, {
+      salesOrderGuid,
+      customerCode: context.customerCode || authData.unleashed.defaultCustomerCode || null,
+      warehouseCode: context.warehouseCode,
+      orderStatus: authData.unleashed.salesOrderStatus || 'Parked',
+      taxCode: authData.unleashed.salesTaxCode || null,
+      shippingProductCode: authData.unleashed.shippingProductCode || null
+    });
+
+    if (!mapping.salesOrder) {
+      await saveOrderSyncRecord(env.AUTH_STORE, domain, order.id, {
+        orderName: order.name,
+        status: 'unmapped',
+        errors: mapping.errors
+      });
+      return jsonResponse({ success: false, orderId: order.id, errors: mapping.errors });
+    }
+
+    if (!context.warehouseCode) {
+      console.warn(`⚠️ No custom.warehouse_code on the fulfilment location for ${order.name} - Unleashed will use the default warehouse`);
+    }
+
+    // Recorded before queueing - the consumer may finish before send() returns, and
+    // its created/failed status must not be overwritten
+    await saveOrderSyncRecord(env.AUTH_STORE, domain, order.id, {
+      orderName: order.name,
+      status: 'queued',
+      error: null,
+      salesOrderGuid,
+      warehouseCode: context.warehouseCode,
+      locationName: context.locationName,
+      taxesIncluded: order.taxes_included === true,
+      skippedLines: mapping.skippedLines
+    });
+
+    try {
+      await env.ORDER_QUEUE.send({
+        type: 'CREATE_SALES_ORDER',
+        originalDomain: domain,
+        shopDomain: authData.shopify.shopDomain,
+        orderId: String(order.id),
+        orderName: order.name,
+        salesOrder: mapping.salesOrder,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      // Let Shopify's redelivery queue it again
+      await saveOrderSyncRecord(env.AUTH_STORE, domain, order.id, { status: 'failed', error: `Could not queue: ${error.message}` });
+      throw error;
+    }
+
+    console.log(`✅ Queued Unleashed sales order for Shopify order ${order.name}`);
+    return jsonResponse({ success: true, orderId: order.id, salesOrderGuid });
+  } catch (error) {
+    console.error('🚨 Shopify order webhook error:', error);
+    return jsonResponse({
+      error: error.message || 'Internal server error'
+    }, 500);
+  }
+}
+
+/**
+ * Handler for Shopify refunds/create webhooks.
+ * Refunds on orders we created in Unleashed become credit notes against that sales
+ * order; refunds on other orders only move restocked goods back via a stock
+ * adjustment. Either way the stock returns to the warehouse mapped from the
+ * refund's restock location, so the next inventory sync doesn't undo the restock.
+ */
+export async function handleShopifyRefundWebhook(request, env) {
+  try {
+    const webhook = await readVerifiedWebhook(request, env, 'refunds/create');
+    if (webhook.response) return webhook.response;
+    const { domain, authData, payload: refund } = webhook;
+
+    console.log(`↩️ Received Shopify refund ${refund.id} on order ${refund.order_id} for ${domain}`);
+
+    // Shopify redelivers webhooks - only the first delivery queues documents, unless
+    // that one failed. A failed refund is queued again with the Guids it was queued
+    // with, so documents Unleashed already created aren't duplicated.
+    const existing = await getRefundSyncRecord(env.AUTH_STORE, domain, refund.id);
+    if (existing && existing.status !== 'failed') {
+      console.log(`⏭️ Refund ${refund.id} already ${existing.status} - ignoring duplicate delivery`);
+      return jsonResponse({ success: true, duplicate: true, status: existing.status });
+    }
+    if (existing) {
+      console.log(`🔁 Refund ${refund.id} failed before (${existing.error}) - queueing it again`);
+    }
+    const previousGuids = (existing?.documents || []).map(doc => doc.guid).filter(Boolean);
+
+    // A sales order that is still on its way to Unleashed can't be credited yet;
+    // a non-2xx makes Shopify redeliver the webhook later
+    const orderRecord = await getOrderSyncRecord(env.AUTH_STORE, domain, refund.order_id);
+    if (orderRecord?.status === 'queued') {
+      return jsonResponse({ error: `Sales order for ${orderRecord.orderName} is not created yet - retry later` }, 409);
+    }
+    const salesOrderNumber = orderRecord?.status === 'created' ? orderRecord.salesOrderNumber : null;
+
+    // Restock locations (numeric ids in the payload) -> Unleashed warehouse codes
+    const warehouseByLocationId = {};
+    const restocking = (refund.refund_line_items || []).some(line => line.restock_type && line.restock_type !== 'no_restock');
+    if (restocking) {
+      const locations = await fetchShopifyLocations(
+        `https://${authData.shopify.shopDomain}/admin/api/2025-04`,
+        { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': authData.shopify.accessToken }
+      );
+      locations.forEach(location => {
+        const warehouseCode = location.metafields?.['custom.warehouse_code'];
+        if (warehouseCode) warehouseByLocationId[location.id.split('/').pop()] = warehouseCode;
+      });
+    }
+
+    const mapping = mapRefundToUnleashed(refund, {
+      orderName: orderRecord?.orderName || null,
+      salesOrderNumber,
+      orderWarehouseCode: orderRecord?.warehouseCode || null,
+      warehouseByLocationId,
+      taxesIncluded: orderRecord?.taxesIncluded === true,
+      newGuid: () => previousGuids.shift() || crypto.randomUUID()
+    });
+
+    if (mapping.errors.length > 0 || mapping.documents.length === 0) {
+      const status = mapping.errors.length > 0 ? 'unmapped' : 'skipped';
+      await saveRefundSyncRecord(env.AUTH_STORE, domain, refund.id, {
+        orderId: String(refund.order_id),
+        status,
+        errors: mapping.errors,
+        skippedLines: mapping.skippedLines
+      });
+      console.log(`⏭️ Refund ${refund.id} ${status}${mapping.errors.length ? `: ${mapping.errors.join('; ')}` : ' - nothing to record in Unleashed'}`);
+      return jsonResponse({ success: mapping.errors.length === 0, refundId: refund.id, status, errors: mapping.errors });
+    }
+
+    await env.ORDER_QUEUE.send({
+      type: 'RECORD_REFUND',
+      originalDomain: domain,
+      shopDomain: authData.shopify.shopDomain,
+      refundId: String(refund.id),
+      orderId: String(refund.order_id),
+      documents: mapping.documents,
+      timestamp: new Date().toISOString()
+    });
+
+    await saveRefundSyncRecord(env.AUTH_STORE, domain, refund.id, {
+      orderId: String(refund.order_id),
+      status: 'queued',
+      error: null,
+      salesOrderNumber,
+      documents: mapping.documents.map(doc => ({ type: doc.type, guid: doc.payload.Guid, warehouseCode: doc.warehouseCode })),
+      skippedLines: mapping.skippedLines
+    });
+
+    console.log(`✅ Queued ${mapping.documents.length} Unleashed document(s) for Shopify refund ${refund.id}`);
+    return jsonResponse({
+      success: true,
+      refundId: refund.id,
+      documents: mapping.documents.map(doc => ({ type: doc.type, guid: doc.payload.Guid }))
+    });
+  } catch (error) {
+    console.error('🚨 Shopify refund webhook error:', error);
+    return jsonResponse({
+      error: error.message || 'Internal server error'
+    }, 500);
+  }
+}
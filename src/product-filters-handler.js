@@ -0,0 +1,30 @@
+/**
+ * Product Filters Handler
+ * Read and replace a domain's product filters (product-filters.js)
+ */
+
+import { getProductFilters, normalizeProductFilters, saveProductFilters } from './product-filters.js';
+import { settingsRoutes } from './settings-route.js';
+
+const routes = settingsRoutes({
+  key: 'filters',
+  label: 'product filters',
+  invalidError: 'Invalid product filters',
+  get: getProductFilters,
+  normalize: normalizeProductFilters,
+  save: saveProductFilters,
+  log: ({ domain, saved }) => console.log(`🚫 Product filters updated for ${domain}:`, saved)
+});
+
+/**
+ * GET /api/v2/product-filters?domain=example.com
+ * The domain's product filters (none when not set)
+ */
+export const handleGetProductFilters = routes.handleGet;
+
+/**
+ * POST /api/v2/product-filters
+ * Body: { domain, filters: { include: {}, exclude: {}, onExcluded } } - replaces the
+ * domain's filters
+ */
+export const handleSaveProductFilters = routes.handleSave;
@@ -0,0 +1,134 @@
+/**
+ * Product Filters
+ * Per-domain rules for which sellable Unleashed products are synced to Shopify
+ * (`product_filters:{domain}`):
+ *
+ *   {
+ *     "include": { "productGroups": ["Coffee"], "attributes": { "Publish to Web": ["Yes"] } },
+ *     "exclude": { "brands": ["Internal"], "skuPatterns": ["^SAMPLE-"], "obsolete": true },
+ *     "onExcluded": "draft"
+ *   }
+ *
+ *   include     every criterion given must match (any of its values)
+ *   exclude     any criterion that matches excludes the product
+ *   criteria    productGroups, subGroups, brands (names, case-insensitive), skuPatterns
+ *               (regular expressions), attributes ({ name: [values] }), obsolete (exclude only)
+ *   onExcluded  what happens to an excluded product already in Shopify: leave (default),
+ *               draft or archive
+ */
+
+const PRODUCT_FILTERS_PREFIX = 'product_filters:'; // KV key prefix for per-domain product filters
+
+const DEFAULT_PRODUCT_FILTERS = { include: {}, exclude: {}, onExcluded: 'leave' };
+
+const NAME_CRITERIA = {
+  productGroups: product => product.ProductGroup?.GroupName,
+  subGroups: product => product.ProductSubGroup?.GroupName,
+  brands: product => product.ProductBrand?.BrandName
+};
+const EXCLUDED_ACTIONS = ['leave', 'draft', 'archive'];
+
+// Helper: validate one side (include or exclude) of the filters
+function normalizeCriteria(input = {}, side) {
+  const criteria = {};
+  Object.entries(input).forEach(([criterion, value]) => {
+    const name = `${side}.${criterion}`;
+    if (NAME_CRITERIA[criterion] || criterion === 'skuPatterns') {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+        throw new Error(`${name} must be a list of names`);
+      }
+      if (criterion === 'skuPatterns') {
+        value.forEach(pattern => {
+          try {
+            new RegExp(pattern);
+          } catch (error) {
+            throw new Error(`${name}: invalid pattern ${pattern} - ${error.message}`);
+          }
+        });
+      }
+      if (value.length > 0) criteria[criterion] = value;
+    } else if (criterion === 'attributes') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${name} must map attribute names to lists of values`);
+      }
+      Object.entries(value).forEach(([attribute, values]) => {
+        if (!Array.isArray(values) || values.length === 0 || values.some(item => typeof item !== 'string')) {
+          throw new Error(`${name}.${attribute} must be a list of values`);
+        }
+      });
+      if (Object.keys(value).length > 0) criteria.attributes = value;
+    } else if (criterion === 'obsolete' && side === 'exclude') {
+      if (typeof value !== 'boolean') throw new Error(`${name} must be true or false`);
+      if (value) criteria.obsolete = true;
+    } else {
+      throw new Error(`Unknown filter ${name}`);
+    }
+  });
+  return criteria;
+}
+
+// Validate filters from a request - throws with the first problem found
+function normalizeProductFilters(input = {}) {
+  const onExcluded = input.onExcluded ?? DEFAULT_PRODUCT_FILTERS.onExcluded;
+  if (!EXCLUDED_ACTIONS.includes(onExcluded)) {
+    throw new Error(`onExcluded must be one of ${EXCLUDED_ACTIONS.join(', ')}`);
+  }
+  return {
+    include: normalizeCriteria(input.include, 'include'),
+    exclude: normalizeCriteria(input.exclude, 'exclude'),
+    onExcluded
+  };
+}
+
+async function getProductFilters(kvStore, domain) {
+  const raw = await kvStore.get(`${PRODUCT_FILTERS_PREFIX}${domain}`);
+  return raw ? JSON.parse(raw) : DEFAULT_PRODUCT_FILTERS;
+}
+
+// Replace a domain's filters with ones from normalizeProductFilters
+async function saveProductFilters(kvStore, domain, normalized) {
+  const filters = { ...normalized, updatedAt: new Date().toISOString() };
+  await kvStore.put(`${PRODUCT_FILTERS_PREFIX}${domain}`, JSON.stringify(filters));
+  return filters;
+}
+
+// Helper: does the product meet one criterion?
+function matchesCriterion(product, criterion, value) {
+  if (NAME_CRITERIA[criterion]) {
+    const name = String(NAME_CRITERIA[criterion](product) || '').trim().toLowerCase();
+    return value.some(item => item.trim().toLowerCase() === name);
+  }
+  if (criterion === 'skuPatterns') {
+    return value.some(pattern => new RegExp(pattern, 'i').test(product.ProductCode || ''));
+  }
+  if (criterion === 'attributes') {
+    const attributes = product.AttributeSet?.Attributes || [];
+    return Object.entries(value).some(([attribute, values]) => {
+      const actual = String(attributes.find(attr => attr.Name === attribute)?.Value ?? '').trim().toLowerCase();
+      return values.some(item => item.trim().toLowerCase() === actual);
+    });
+  }
+  if (criterion === 'obsolete') {
+    return Boolean(product.Obsolete);
+  }
+  return false;
+}
+
+// Why the filters leave the product out ('exclude.brands', 'include.productGroups', ...), or null
+function productFilterReason(product, filters = DEFAULT_PRODUCT_FILTERS) {
+  const excludedBy = Object.entries(filters.exclude || {})
+    .find(([criterion, value]) => matchesCriterion(product, criterion, value));
+  if (excludedBy) return `exclude.${excludedBy[0]}`;
+
+  const notIncludedBy = Object.entries(filters.include || {})
+    .find(([criterion, value]) => !matchesCriterion(product, criterion, value));
+  return notIncludedBy ? `include.${notIncludedBy[0]}` : null;
+}
+
+export {
+  DEFAULT_PRODUCT_FILTERS,
+  normalizeProductFilters,
+  getProductFilters,
+  saveProductFilters,
+  productFilterReason
+};
@@ -1,4 +1,10 @@
-import { slugify } from './helpers.js';
+import { slugify, ATTACHMENT_IMAGE_PREFIX } from './helpers.js';
+import { DEFAULT_STOCK_FORMULA, applyStockFormula } from './stock-formula.js';
+import { DEFAULT_WAREHOUSE_ROUTING, createWarehouseRouter } from './warehouse-routing.js';
+import { DEFAULT_FIELD_MAPPING, mapFields } from './field-mapping.js';
+import { buildAttributeMetafields } from './attribute-metafields.js';
+import { DEFAULT_CURRENCY_CODE, convertPrice } from './currency.js';
+import { DEFAULT_PRODUCT_FILTERS, productFilterReason } from './product-filters.js';
 
 function parseOptionNames(optionNamesString) {
   if (!optionNamesString) return [];
@@ -16,9 +22,66 @@ function generateVariantTitle(attributeSet) {
     .join(' / ');
 }
 
+// Helper: a money metafield as "amount currency" for comparison. Mapped values hold
+// the bare amount; Shopify's hold {"amount", "currency_code"} JSON.
+function moneyMetafieldValue(value, currencyCode) {
+  try {
+    const money = typeof value === 'string' && value.trim().startsWith('{') ? JSON.parse(value) : { amount: value, currency_code: currencyCode };
+    return `${parseFloat(money.amount).toFixed(2)} ${money.currency_code}`;
+  } catch {
+    return String(value);
+  }
+}
+
+// Helper: a metafield value in a form both sides agree on - Shopify may reformat the
+// JSON (list, dimension) and numbers it stores
+function comparableMetafieldValue(value) {
+  const text = String(value ?? '').trim();
+  if (text.startsWith('[') || text.startsWith('{')) {
+    try {
+      return JSON.stringify(JSON.parse(text));
+    } catch {
+      return text;
+    }
+  }
+  const number = Number(text);
+  return text !== '' && Number.isFinite(number) ? String(number) : text;
+}
+
+// Helper: differences between the attribute metafields mapped for a product or variant
+// and Shopify's values. Empty attributes aren't written, so they aren't compared either.
+function attributeMetafieldDifferences(label, mapped = [], shopify = []) {
+  const current = new Map(shopify.map(mf => [`${mf.namespace}.${mf.key}`, comparableMetafieldValue(mf.value)]));
+  return mapped
+    .filter(mf => (mf.type || 'money') !== 'money')
+    .map(mf => [`${mf.namespace}.${mf.key}`, comparableMetafieldValue(mf.value)])
+    .filter(([id, value]) => current.get(id) !== value)
+    .map(([id, value]) => `${label} ${id}: "${current.get(id) ?? null}" → "${value}"`);
+}
+
+// Helper: a product description as Shopify reports it - plain text
+const plainText = value => String(value ?? '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Helper: tags as a sorted list - Shopify doesn't keep their order
+const tagList = tags => [...new Set((tags || []).map(tag => String(tag).trim()).filter(Boolean))].sort().join(', ');
+
+// Helper: Shopify variants the product filters leave out, carried into an update by id
+// and option values only. productSet deletes variants missing from its input, so a
+// product that mixes included and filtered SKUs would otherwise lose the filtered ones.
+function keptFilteredVariants(shopifyProduct, skus) {
+  return shopifyProduct.variants
+    .filter(v => skus.includes(v.sku))
+    .map(v => {
+      const [option1, option2, option3] = (v.selectedOptions || []).map(option => option.value);
+      return { id: v.id, sku: v.sku, keep: true, option1, option2, option3 };
+    });
+}
+
 // Compare product data to determine if update is needed
 function compareProductData(unleashedProductData, shopifyProduct) {
   const differences = [];
+  const inventoryDeltas = []; // { sku, locationId, from, to, delta } per changed level
+  const priceChanges = []; // { sku, from, to } per repriced variant
   const needsPostSync = {
     inventory: false,
     images: false
@@ -41,6 +104,17 @@ function compareProductData(unleashedProductData, shopifyProduct) {
     differences.push(`vendor: "${shopifyProduct.vendor}" → "${unleashedProductData.vendor}"`);
   }
   
+  // An empty description isn't written, so Shopify's is left alone
+  if (unleashedProductData.description && plainText(unleashedProductData.description) !== plainText(shopifyProduct.description)) {
+    differences.push('description changed');
+  }
+  
+  if (tagList(unleashedProductData.tags) !== tagList(shopifyProduct.tags)) {
+    differences.push(`tags: "${tagList(shopifyProduct.tags)}" → "${tagList(unleashedProductData.tags)}"`);
+  }
+  
+  differences.push(...attributeMetafieldDifferences('product', unleashedProductData.metafields, shopifyProduct.metafields));
+  
   // Compare variants (only check critical fields that actually matter)
   const unleashedVariants = new Map(unleashedProductData.variants.map(v => [v.sku, v]));
   const shopifyVariants = new Map(shopifyProduct.variants.map(v => [v.sku, v]));
@@ -57,8 +131,32 @@ function compareProductData(unleashedProductData, shopifyProduct) {
     const shopifyPrice = parseFloat(shopifyVariant.price || 0).toFixed(2);
     if (unleashedPrice !== shopifyPrice) {
       differences.push(`variant ${sku} price: "${shopifyPrice}" → "${unleashedPrice}"`);
+      priceChanges.push({ sku, from: shopifyPrice, to: unleashedPrice });
+    }
+    
+    // Compare-at price - only when the domain maps one
+    if (unleashedVariant.compare_at_price !== undefined) {
+      const unleashedCompareAt = unleashedVariant.compare_at_price === null ? null : parseFloat(unleashedVariant.compare_at_price).toFixed(2);
+      const shopifyCompareAt = shopifyVariant.compareAtPrice ? parseFloat(shopifyVariant.compareAtPrice).toFixed(2) : null;
+      if (unleashedCompareAt !== shopifyCompareAt) {
+        differences.push(`variant ${sku} compareAtPrice: "${shopifyCompareAt}" → "${unleashedCompareAt}"`);
+      }
     }
     
+    // Price tier metafields - amount and currency, so tiers written in another
+    // currency are rewritten in the shop's
+    const currencyCode = unleashedProductData.currency_code || DEFAULT_CURRENCY_CODE;
+    const shopifyMetafields = new Map((shopifyVariant.metafields || []).map(mf => [`${mf.namespace || 'custom'}.${mf.key}`, mf]));
+    (unleashedVariant.metafields || []).filter(mf => (mf.type || 'money') === 'money').forEach(mf => {
+      const id = `${mf.namespace}.${mf.key}`;
+      const expected = moneyMetafieldValue(mf.value, currencyCode);
+      const current = shopifyMetafields.has(id) ? moneyMetafieldValue(shopifyMetafields.get(id).value, currencyCode) : null;
+      if (expected !== current) {
+        differences.push(`variant ${sku} ${id}: "${current}" → "${expected}"`);
+      }
+    });
+    differences.push(...attributeMetafieldDifferences(`variant ${sku}`, unleashedVariant.metafields, shopifyVariant.metafields));
+    
     // Compare weights (convert shopify weight to grams, then normalize)
     const unleashedWeight = parseFloat(unleashedVariant.weight || 0);
     const shopifyWeight = parseFloat(shopifyVariant.weight || 0);
@@ -100,6 +198,7 @@ function compareProductData(unleashedProductData, shopifyProduct) {
         if (uQty !== sQty) {
           inventoryDiffFound = true;
           differences.push(`variant ${sku} inventory (${locId}): ${sQty} → ${uQty}`);
+          inventoryDeltas.push({ sku, locationId: locId, from: sQty, to: uQty, delta: uQty - sQty });
         }
       });
 
@@ -151,19 +250,36 @@ function compareProductData(unleashedProductData, shopifyProduct) {
   unleashedImageKeys.forEach(key => {
     if (!shopifyImageKeys.has(key)) imagesDifferent = true;
   });
-  // Any extra images in Shopify that are not in Unleashed?
+  // Any extra images in Shopify that are not in Unleashed? (attachment images are
+  // fetched by the product queue job, so they're never in the mapped image list)
   shopifyImageKeys.forEach(key => {
-    if (!unleashedImageKeys.has(key)) imagesDifferent = true;
+    if (!unleashedImageKeys.has(key) && !key.startsWith(ATTACHMENT_IMAGE_PREFIX)) imagesDifferent = true;
   });
 
   if (imagesDifferent) {
     needsPostSync.images = true;
     differences.push(`product images differ`);
   }
+
+  // Attachment images are uploaded as {ATTACHMENT_IMAGE_PREFIX}{guid} files - any
+  // attachment listed in Unleashed without its file on the product is added by an update
+  const attachmentFile = new RegExp(`^${ATTACHMENT_IMAGE_PREFIX}([0-9a-f-]{36})`);
+  const uploadedAttachments = new Set((shopifyProduct.media || [])
+    .map(media => baseKey(media.url).match(attachmentFile)?.[1])
+    .filter(Boolean));
+  const missingAttachments = unleashedProductData.variants
+    .flatMap(v => v.attachment_guids || [])
+    .filter(guid => !uploadedAttachments.has(guid.toLowerCase()));
+  if (missingAttachments.length > 0) {
+    needsPostSync.images = true;
+    differences.push(`${missingAttachments.length} attachment image(s) not in Shopify`);
+  }
   
   return {
     hasChanges: differences.length > 0,
     differences: differences,
+    inventoryDeltas,
+    priceChanges,
     needsPostSync
   };
 }
@@ -202,15 +318,19 @@ function extractProductOptions(attributeSet) {
   return parsedNames.slice(0, 3).map(name => ({ name }));
 }
 
-function groupUnleashedProducts(products) {
+// filters: the domain's product filters (product-filters.js). SKUs they leave out are
+// returned in filteredSkus (SKU -> reason) and counted in filterReasons.rules.
+function groupUnleashedProducts(products, filters = DEFAULT_PRODUCT_FILTERS) {
   const groups = new Map();
   let filteredCount = 0;
   let duplicateSkuCount = 0;
   const filterReasons = {
     isComponent: 0,
     notSellable: 0,
-    both: 0
+    both: 0,
+    rules: {} // filter reason ('exclude.brands', 'include.productGroups', ...) -> count
   };
+  const filteredSkus = new Map(); // SKU -> filter reason
   
   console.log(`Processing ${products.length} Unleashed products...`);
   
@@ -239,6 +359,15 @@ function groupUnleashedProducts(products) {
       console.log(`Filtered: ${product.ProductCode} - ${product.ProductDescription} (Not Sellable)`);
       continue;
     }
+
+    const filterReason = productFilterReason(product, filters);
+    if (filterReason) {
+      filteredCount++;
+      filterReasons.rules[filterReason] = (filterReasons.rules[filterReason] || 0) + 1;
+      filteredSkus.set(sku, filterReason);
+      console.log(`Filtered: ${product.ProductCode} - ${product.ProductDescription} (${filterReason})`);
+      continue;
+    }
     // Components are no longer filtered; log for visibility if needed
     if (isComponent) {
       console.log(`Component product included: ${product.ProductCode} - ${product.ProductDescription}`);
@@ -292,11 +421,13 @@ function groupUnleashedProducts(products) {
   console.log(`  - Components: ${filterReasons.isComponent}`);
   console.log(`  - Not sellable: ${filterReasons.notSellable}`);
   console.log(`  - Both: ${filterReasons.both}`);
+  Object.entries(filterReasons.rules).forEach(([reason, count]) => console.log(`  - ${reason}: ${count}`));
   console.log(`- Remaining for sync: ${products.length - filteredCount - duplicateSkuCount}`);
   console.log(`- Product groups created: ${groups.size}`);
 
   return {
     groupsMap: groups,
+    filteredSkus,
     stats: {
       totalProducts: products.length,
       duplicateSkuCount,
@@ -309,7 +440,31 @@ function groupUnleashedProducts(products) {
 }
 
 // SKU-based mapping approach - Use SKU as the master key for all matching
-async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations = [], defaultWarehouseCode = null) {
+// options.incremental: unleashedProducts is a delta (changed SKUs only), so a SKU
+// missing from it says nothing about deletion and the archive step is skipped.
+// options.allowArchive: pass false when the Unleashed pull was incomplete - a SKU
+// missing from a partial dataset must never archive a live Shopify product.
+// options.stockFormula / options.warehouseRouting: the domain's stock formula
+// (stock-formula.js) and warehouse routing table (warehouse-routing.js) for inventory.
+// options.fieldMapping: the domain's field mapping (field-mapping.js) for product
+// and variant fields and attribute metafields.
+// options.currency: resolveCurrency() result (currency.js) - prices are converted to
+// and money metafields written in the shop's currency. When it has no rate for the
+// shop's currency nothing is mapped and currencyBlocked says why - prices would go
+// out unconverted.
+// options.productFilters: the domain's product filters (product-filters.js). Filtered
+// products already in Shopify are left alone, drafted or archived (onExcluded).
+async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations = [], defaultWarehouseCode = null, options = {}) {
+  const {
+    incremental = false,
+    allowArchive = true,
+    stockFormula = DEFAULT_STOCK_FORMULA,
+    warehouseRouting = DEFAULT_WAREHOUSE_ROUTING,
+    fieldMapping = DEFAULT_FIELD_MAPPING,
+    currency = null,
+    productFilters = DEFAULT_PRODUCT_FILTERS
+  } = options;
+  const warehouseRouter = createWarehouseRouter(warehouseRouting, shopifyLocations);
   const results = {
     toCreate: [],
     toUpdate: [],
@@ -317,11 +472,23 @@ async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations
     skipped: [],
     processed: 0,
     errors: [],
+    archiveBlocked: null,
+    currencyBlocked: null,
+    unmatchedWarehouses: [],
+    excludedWarehouses: [],
+    rejectedCompareAtPrices: [], // { sku, price, compareAtPrice } not above the price - sale cleared
+    currency,
     details: null,
     mappingLog: [] // Comprehensive JSON log for debugging
   };
 
   console.log('\n🎯 === STARTING SKU-BASED PRODUCT MAPPING ===');
+  if (currency?.error) {
+    console.error(`🛑 Product mapping BLOCKED - ${currency.error}`);
+    results.currencyBlocked = currency.error;
+    results.errors.push({ error: currency.error });
+    return results;
+  }
   console.log(`📊 Input data: ${unleashedProducts.length} Unleashed products, ${shopifyProducts.length} Shopify products`);
 
   try {
@@ -356,7 +523,7 @@ async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations
 
     // Step 2: Group Unleashed products for multi-variant products
     console.log('\n📋 Step 2: Grouping Unleashed products...');
-    const { groupsMap: productGroupsMap, stats: groupingStats } = groupUnleashedProducts(unleashedProducts);
+    const { groupsMap: productGroupsMap, filteredSkus, stats: groupingStats } = groupUnleashedProducts(unleashedProducts, productFilters);
     results.details = groupingStats;
 
     // Step 3: Process each product group
@@ -401,9 +568,30 @@ async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations
 
       try {
         // Build the Unleashed product data
-        const unleashedProductData = buildUnleashedProductData(group, shopifyLocations, defaultWarehouseCode);
+        const unleashedProductData = buildUnleashedProductData(group, warehouseRouter, defaultWarehouseCode, {
+          stockFormula,
+          fieldMapping,
+          currency,
+          rejectedCompareAtPrices: results.rejectedCompareAtPrices
+        });
+        const truncatedProduct = relatedProducts.find(p => p.truncated);
         
-        if (relatedProducts.length === 0) {
+        if (truncatedProduct) {
+          // Partial variant/inventory data would show phantom differences, and a
+          // productSet built from it could drop the variants we never saw
+          logEntry.decision = 'SKIP';
+          logEntry.reasoning.push(`Shopify data for "${truncatedProduct.title}" is incomplete (${truncatedProduct.truncated.join(', ')})`);
+          
+          console.log(`   ⚠️ SKIP: Incomplete Shopify data (${truncatedProduct.truncated.join(', ')})`);
+          results.skipped.push({
+            title: truncatedProduct.title,
+            id: truncatedProduct.id,
+            skus: groupSkus,
+            reason: 'incomplete_shopify_data',
+            truncated: truncatedProduct.truncated
+          });
+          
+        } else if (relatedProducts.length === 0) {
           // No existing Shopify products found with these SKUs
           logEntry.decision = 'CREATE';
           logEntry.reasoning.push('No existing Shopify products found with matching SKUs');
@@ -418,11 +606,31 @@ async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations
           // Check if ALL group SKUs are in this ONE product (perfect match)
           const shopifySkus = new Set(shopifyProduct.variants.map(v => v.sku));
           const allSkusInProduct = groupSkus.every(sku => shopifySkus.has(sku));
-          const extraSkusInProduct = Array.from(shopifySkus).filter(sku => !groupSkus.includes(sku));
+          // Filtered SKUs aren't extras - they're left alone and reported in step 5
+          const filteredSkusInProduct = Array.from(shopifySkus).filter(sku => !groupSkus.includes(sku) && filteredSkus.has(sku));
+          const extraSkusInProduct = Array.from(shopifySkus).filter(sku => !groupSkus.includes(sku) && !filteredSkus.has(sku));
+          const isSingleVariantDefault = unleashedProductData.options.length === 1 && unleashedProductData.options[0].name === 'Title';
+          const comparedProduct = filteredSkusInProduct.length === 0 ? shopifyProduct : {
+            ...shopifyProduct,
+            variants: shopifyProduct.variants.filter(v => !filteredSkusInProduct.includes(v.sku))
+          };
           
-          if (allSkusInProduct && extraSkusInProduct.length === 0) {
+          if (filteredSkusInProduct.length > 0 && isSingleVariantDefault) {
+            // A default-title product can't hold the filtered variants alongside ours
+            logEntry.decision = 'SKIP';
+            logEntry.reasoning.push(`Product also holds SKUs excluded by product filters: ${filteredSkusInProduct.join(', ')}`);
+            
+            console.log(`   ⚠️ SKIP: Product also holds filtered SKUs [${filteredSkusInProduct.join(', ')}]`);
+            results.skipped.push({
+              title: shopifyProduct.title,
+              id: shopifyProduct.id,
+              skus: groupSkus,
+              reason: 'filtered_variants_in_product'
+            });
+            
+          } else if (allSkusInProduct && extraSkusInProduct.length === 0) {
             // Perfect SKU match - compare data to decide update vs skip
-            const comparison = compareProductData(unleashedProductData, shopifyProduct);
+            const comparison = compareProductData(unleashedProductData, comparedProduct);
             
             if (comparison.hasChanges) {
               logEntry.decision = 'UPDATE';
@@ -433,6 +641,10 @@ async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations
               console.log(`      Changes: ${comparison.differences.join(', ')}`);
               
               unleashedProductData.id = shopifyProduct.id;
+              unleashedProductData.differences = comparison.differences;
+              unleashedProductData.inventoryDeltas = comparison.inventoryDeltas;
+              unleashedProductData.priceChanges = comparison.priceChanges;
+              unleashedProductData.variants.push(...keptFilteredVariants(shopifyProduct, filteredSkusInProduct));
               results.toUpdate.push(unleashedProductData);
               
             } else {
@@ -470,10 +682,15 @@ async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations
               console.log(`   🔄 UPDATE: All SKUs found but product has extras`);
               console.log(`      Extra SKUs to remove: ${extraSkusInProduct.join(', ')}`);
               
+              const comparison = compareProductData(unleashedProductData, comparedProduct);
               unleashedProductData.id = shopifyProduct.id;
+              unleashedProductData.differences = comparison.differences;
+              unleashedProductData.inventoryDeltas = comparison.inventoryDeltas;
+              unleashedProductData.priceChanges = comparison.priceChanges;
               unleashedProductData.variantsToRemove = shopifyProduct.variants
                 .filter(v => extraSkusInProduct.includes(v.sku))
                 .map(v => v.id);
+              unleashedProductData.variants.push(...keptFilteredVariants(shopifyProduct, filteredSkusInProduct));
               
               results.toUpdate.push(unleashedProductData);
             }
@@ -521,8 +738,16 @@ async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations
     console.log('\n📋 Step 4: Finding products to archive...');
     const unleashedSkuSet = new Set(unleashedProducts.map(p => p.ProductCode));
     
-    shopifyProducts.forEach(shopifyProduct => {
+    if (incremental) {
+      console.log('   ⏭️ Incremental mapping - archive step skipped (dataset only holds changed SKUs)');
+    } else if (!allowArchive) {
+      results.archiveBlocked = 'incomplete_unleashed_pull';
+      console.warn('   🛑 Archive step BLOCKED - Unleashed pull was incomplete');
+    }
+
+    (incremental || !allowArchive ? [] : shopifyProducts).forEach(shopifyProduct => {
       if (shopifyProduct.status.includes('ARCHIVED')) return;
+      if (shopifyProduct.truncated) return; // Unseen variants may still be in Unleashed
       
       const productSkus = shopifyProduct.variants.map(v => v.sku).filter(Boolean);
       const hasAnyUnleashedSku = productSkus.some(sku => unleashedSkuSet.has(sku));
@@ -552,6 +777,44 @@ async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations
       }
     });
 
+    // Step 5: Shopify products whose SKUs the product filters all leave out. Decided
+    // from the Unleashed records themselves, so this also runs on incremental and
+    // incomplete pulls. Products that mix filtered and synced SKUs keep their filtered
+    // variants untouched and are reported with partial: true.
+    const excludedStatus = { draft: 'DRAFT', archive: 'ARCHIVED' }[productFilters.onExcluded] || null;
+    results.details.excludedProducts = [];
+    shopifyProducts.forEach(shopifyProduct => {
+      const productSkus = shopifyProduct.variants.map(v => v.sku).filter(Boolean);
+      const excludedSkus = productSkus.filter(sku => filteredSkus.has(sku));
+      if (excludedSkus.length === 0) return;
+      if (excludedSkus.length < productSkus.length) {
+        const reasons = [...new Set(excludedSkus.map(sku => filteredSkus.get(sku)))];
+        results.details.excludedProducts.push({ id: shopifyProduct.id, title: shopifyProduct.title, skus: excludedSkus, reasons, action: 'leave', partial: true });
+        return;
+      }
+
+      const reasons = [...new Set(productSkus.map(sku => filteredSkus.get(sku)))];
+      const alreadyOff = shopifyProduct.status.includes('ARCHIVED') ||
+        (excludedStatus === 'DRAFT' && shopifyProduct.status.includes('DRAFT'));
+      const action = !excludedStatus || alreadyOff || shopifyProduct.truncated ? 'leave' : productFilters.onExcluded;
+      results.details.excludedProducts.push({ id: shopifyProduct.id, title: shopifyProduct.title, skus: productSkus, reasons, action });
+      if (action === 'leave') return;
+
+      console.log(`   🚫 ${excludedStatus}: Product "${shopifyProduct.title}" - excluded by product filters (${reasons.join(', ')})`);
+      results.toArchive.push({
+        id: shopifyProduct.id,
+        title: shopifyProduct.title,
+        status: excludedStatus,
+        reason: 'product_filters'
+      });
+      results.mappingLog.push({
+        groupKey: `FILTERED-${shopifyProduct.id}`,
+        shopify: { product: { id: shopifyProduct.id, title: shopifyProduct.title, skus: productSkus } },
+        decision: excludedStatus === 'DRAFT' ? 'DRAFT' : 'ARCHIVE',
+        reasoning: [`Excluded by product filters: ${reasons.join(', ')}`]
+      });
+    });
+
     // Final summary with comprehensive logging
     console.log('\n🎯 === MAPPING SUMMARY ===');
     console.log(`✅ Total groups processed: ${results.processed}`);
@@ -561,6 +824,14 @@ async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations
     console.log(`⏭️ Products SKIPPED: ${results.skipped.length}`);
     console.log(`❌ ERRORS: ${results.errors.length}`);
 
+    // Warehouses whose stock went nowhere - reported, never redirected
+    const { unmatchedWarehouses, excludedWarehouses } = warehouseRouter.report();
+    results.unmatchedWarehouses = unmatchedWarehouses;
+    results.excludedWarehouses = excludedWarehouses;
+    if (unmatchedWarehouses.length > 0) {
+      console.warn(`⚠️ No Shopify location for warehouse(s): ${unmatchedWarehouses.join(', ')} - add a route or a custom.warehouse_code; their stock was left out`);
+    }
+
     // Log the full mapping analysis in JSON format for debugging
     console.log('\n📊 === DETAILED MAPPING LOG (JSON) ===');
     console.log(JSON.stringify({
@@ -585,55 +856,35 @@ async function mapProducts(unleashedProducts, shopifyProducts, shopifyLocations
   return results;
 }
 
-// Helper function to build Unleashed product data
-function buildUnleashedProductData(group, shopifyLocations, defaultWarehouseCode) {
+// Helper: the mapped compare-at price in the shop's currency. Undefined when the
+// domain doesn't map one (Shopify's value is left alone); null when it's missing or
+// not above the price, which clears the sale.
+function mapCompareAtPrice(value, price) {
+  if (value === undefined) return undefined;
+  const compareAtPrice = parseFloat(value);
+  return !isNaN(compareAtPrice) && compareAtPrice > parseFloat(price) ? compareAtPrice : null;
+}
+
+// Helper function to build Unleashed product data. Compare-at prices that aren't
+// above the price are added to rejectedCompareAtPrices.
+function buildUnleashedProductData(group, warehouseRouter, defaultWarehouseCode, {
+  stockFormula = DEFAULT_STOCK_FORMULA,
+  fieldMapping = DEFAULT_FIELD_MAPPING,
+  currency = null,
+  rejectedCompareAtPrices = []
+} = {}) {
   const mainProduct = group[0];
 
-  // CRITICAL FIX: Deduplicate the group by SKU first to handle duplicate SKUs in Unleashed
+  // Deduplicate the group by SKU - stock rows of duplicate SKUs in Unleashed are combined
   const uniqueProductsMap = new Map();
+  const stockBySku = new Map(); // SKU -> StockOnHand rows
   group.forEach(product => {
     const sku = product.ProductCode;
     if (!uniqueProductsMap.has(sku)) {
       uniqueProductsMap.set(sku, product);
+      stockBySku.set(sku, [...(product.StockOnHand || [])]);
     } else {
-      // If we have a duplicate SKU, merge the inventory data
-      const existing = uniqueProductsMap.get(sku);
-      
-      // Merge stock data if both have stock
-      if (product.StockOnHand && existing.StockOnHand) {
-        const mergedStock = [...existing.StockOnHand];
-        
-        product.StockOnHand.forEach(newStock => {
-          const existingStockIndex = mergedStock.findIndex(s => 
-            (s.WarehouseCode || s.Warehouse?.WarehouseCode) === 
-            (newStock.WarehouseCode || newStock.Warehouse?.WarehouseCode)
-          );
-          
-          if (existingStockIndex >= 0) {
-            // Add quantities together
-            const currentQty = parseInt(
-              mergedStock[existingStockIndex].QuantityAvailable ?? 
-              mergedStock[existingStockIndex].QtyAvailable ?? 
-              mergedStock[existingStockIndex].AvailableQty ??
-              mergedStock[existingStockIndex].QuantityOnHand ?? 
-              mergedStock[existingStockIndex].QtyOnHand ?? 0
-            );
-            const newQty = parseInt(
-              newStock.QuantityAvailable ?? newStock.QtyAvailable ?? newStock.AvailableQty ??
-              newStock.QuantityOnHand ?? newStock.QtyOnHand ?? 0
-            );
-            
-            mergedStock[existingStockIndex].QuantityAvailable = currentQty + newQty;
-              } else {
-            mergedStock.push(newStock);
-          }
-        });
-        
-        existing.StockOnHand = mergedStock;
-      } else if (product.StockOnHand && !existing.StockOnHand) {
-        existing.StockOnHand = product.StockOnHand;
-      }
-      
+      stockBySku.get(sku).push(...(product.StockOnHand || []));
       console.log(`🔄 Merged duplicate SKU "${sku}" inventory data`);
     }
   });
@@ -643,12 +894,9 @@ function buildUnleashedProductData(group, shopifyLocations, defaultWarehouseCode
 
   console.log(`📦 Group processed: ${group.length} raw products → ${deduplicatedGroup.length} unique SKUs`);
 
-  const productTitle = (
-    getAttributeValue(mainProduct.AttributeSet, 'Product Title')
-    || mainProduct.ProductDescription
-    || mainProduct.ProductName
-    || mainProduct.ProductCode
-  ).toString().trim();
+  // Product-level fields come from the first product of the group
+  const productFields = mapFields(fieldMapping, 'product', mainProduct);
+  const productTitle = String(productFields.title ?? '').trim();
 
   const handle = slugify(productTitle);
 
@@ -661,45 +909,47 @@ function buildUnleashedProductData(group, shopifyLocations, defaultWarehouseCode
   // Build variants from deduplicated group
   const variants = deduplicatedGroup.map(product => {
               const variantOptions = extractVariantOptions(product.AttributeSet);
+    const variantFields = mapFields(fieldMapping, 'variant', product);
+    const price = convertPrice(variantFields.price, currency);
+    const mappedCompareAtPrice = convertPrice(variantFields.compare_at_price, currency);
+    const compareAtPrice = mapCompareAtPrice(mappedCompareAtPrice, price);
+    if (compareAtPrice === null && !isNaN(parseFloat(mappedCompareAtPrice))) {
+      console.warn(`⚠️ ${product.ProductCode}: compare-at price ${mappedCompareAtPrice} is not above the price ${price} - not set`);
+      rejectedCompareAtPrices.push({ sku: product.ProductCode, price, compareAtPrice: mappedCompareAtPrice });
+    }
 
-    // Calculate inventory quantities
-              const inventoryQuantities = [];
-              if (product.StockOnHand && product.StockOnHand.length > 0) {
-                console.log(`📦 Processing inventory for ${product.ProductCode}:`, product.StockOnHand);
-                
-                product.StockOnHand.forEach(stock => {
-                  let warehouseCode = stock.WarehouseCode || stock.Warehouse?.WarehouseCode;
-                  if (!warehouseCode || warehouseCode.trim() === '') {
-                    warehouseCode = defaultWarehouseCode;
-                    console.log(`  🏭 Using default warehouse code: ${warehouseCode}`);
-          if (!warehouseCode) return;
-                  }
+    // Inventory per location: the stock formula per warehouse row, added up when
+    // several warehouses land on the same location
+    const stockRows = stockBySku.get(product.ProductCode);
+    const qtyByLocation = new Map(); // location ID -> quantity
+    if (stockRows.length > 0) {
+      console.log(`📦 Processing inventory for ${product.ProductCode}:`, stockRows);
 
-                  let matchingLocation = shopifyLocations.find(loc => loc?.metafields?.["custom.warehouse_code"] === warehouseCode);
-        if (!matchingLocation && shopifyLocations.length > 0) {
-          matchingLocation = shopifyLocations[0];
-          console.log(`  📍 No location matched warehouse ${warehouseCode}, using first location: ${matchingLocation.name}`);
+      stockRows.forEach(stock => {
+        let warehouseCode = stock.WarehouseCode || stock.Warehouse?.WarehouseCode;
+        if (!warehouseCode || warehouseCode.trim() === '') {
+          warehouseCode = defaultWarehouseCode;
+          console.log(`  🏭 Using default warehouse code: ${warehouseCode}`);
+          if (!warehouseCode) return;
         }
 
+        const matchingLocation = warehouseRouter.route(warehouseCode);
         if (matchingLocation) {
-                  const qty = parseInt(
-                    stock.QuantityAvailable ?? stock.QtyAvailable ?? stock.AvailableQty ??
-                    stock.QuantityOnHand ?? stock.QtyOnHand ?? 0
-                  );
-
-                    console.log(`  ➕ Adding inventory: ${qty} units to location ${matchingLocation.name} (${matchingLocation.id})`);
-                  inventoryQuantities.push({
-                    locationId: matchingLocation.id,
-                    name: "available",
-                    quantity: isNaN(qty) ? 0 : qty
-                  });
-                } else {
-                  console.log(`  ⚠️ No matching location found for warehouse: ${warehouseCode}`);
+          const qty = applyStockFormula(stock, stockFormula, warehouseCode);
+          console.log(`  ➕ Adding inventory: ${qty} units to location ${matchingLocation.name} (${matchingLocation.id})`);
+          qtyByLocation.set(matchingLocation.id, (qtyByLocation.get(matchingLocation.id) || 0) + qty);
+        } else {
+          console.log(`  ⏭️ Warehouse ${warehouseCode} is excluded or has no location - stock left out`);
         }
       });
     } else {
       console.log(`📦 No stock data for ${product.ProductCode}`);
     }
+    const inventoryQuantities = [...qtyByLocation].map(([locationId, quantity]) => ({
+      locationId,
+      name: "available",
+      quantity
+    }));
 
     // Generate unique variant title to avoid "Default Title" conflicts
     let variantTitle;
@@ -712,17 +962,19 @@ function buildUnleashedProductData(group, shopifyLocations, defaultWarehouseCode
 
     return {
                   sku: product.ProductCode,
+      unleashed_guid: product.Guid,
+      attachment_guids: product.AttachmentImages ? product.AttachmentImages.map(att => att.guid) : null,
       title: variantTitle,
-                  price: product.DefaultSellPrice,
-                  compare_at_price: null,
-                  weight: product.Weight || 0,
+                  price,
+                  compare_at_price: compareAtPrice,
+                  weight: variantFields.weight || 0,
                   weight_unit: 'KILOGRAMS',
                   inventory_management: product.IsSellable ? 'shopify' : null,
                   inventoryItem: {
                     tracked: product.IsSellable,
                     measurement: {
                       weight: {
-                        value: parseFloat(product.Weight) || 0,
+                        value: parseFloat(variantFields.weight) || 0,
                         unit: 'KILOGRAMS'
                       }
                     }
@@ -734,7 +986,7 @@ function buildUnleashedProductData(group, shopifyLocations, defaultWarehouseCode
                   option3: variantOptions.option3,
                   metafields: Array.from({ length: 10 }, (_, i) => {
                     const rawVal = product[`SellPriceTier${i + 1}`]?.Value;
-                    const num = rawVal === undefined || rawVal === null ? NaN : parseFloat(rawVal);
+                    const num = rawVal === undefined || rawVal === null ? NaN : convertPrice(parseFloat(rawVal), currency);
                     if (isNaN(num) || num === 0) return null;
                     return {
                       namespace: 'custom',
@@ -742,21 +994,20 @@ function buildUnleashedProductData(group, shopifyLocations, defaultWarehouseCode
                       value: String(num),
                       type: 'money'
                     };
-                  }).filter(Boolean)
+                  }).filter(Boolean).concat(buildAttributeMetafields(fieldMapping.metafields, 'variant', product))
     };
   });
 
   return {
     handle,
     title: productTitle,
-    description: mainProduct.ProductDescription,
-    product_type: mainProduct.ProductGroup?.GroupName || '',
-    vendor: mainProduct.ProductBrand?.BrandName || 'Default',
+    description: productFields.description,
+    product_type: productFields.product_type ?? '',
+    vendor: productFields.vendor ?? '',
     status: mainProduct.Obsolete ? 'ARCHIVED' : 'ACTIVE',
-    tags: [
-      mainProduct.ProductSubGroup?.GroupName,
-      mainProduct.ProductGroup?.GroupName
-    ].filter(Boolean),
+    currency_code: currency?.currencyCode || null,
+    tags: [].concat(productFields.tags ?? []).map(String),
+    metafields: buildAttributeMetafields(fieldMapping.metafields, 'product', mainProduct),
     options: isMultiVariant ? 
       optionNames.map(name => ({ name })) :
       [{ name: 'Title' }],
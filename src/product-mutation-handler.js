@@ -3,6 +3,13 @@ import { mapProducts } from './product-mapping.js';
 import { mutateProducts } from './product-mutations.js';
 import { handlePostSyncOperations } from './post-sync-handler';
 import { getDefaultWarehouseCode } from './helpers.js';
+import { getSyncGuards, evaluateSyncGuards, holdProductSync } from './sync-guards.js';
+import { getStockFormula } from './stock-formula.js';
+import { getWarehouseRouting } from './warehouse-routing.js';
+import { getFieldMapping } from './field-mapping.js';
+import { getCurrencySettings, resolveCurrency } from './currency.js';
+import { getProductFilters } from './product-filters.js';
+import { saveSyncRun } from './sync-runs.js';
 
 // Helper function to get auth data from KV store
 async function getAuthData(env, domain) {
@@ -83,7 +90,8 @@ export async function handleProductMutations(request, env) {
     }
 
     // Pull data from both systems
-    const data = await pullAllData(domain, env);
+    const fieldMapping = await getFieldMapping(env.AUTH_STORE, domain);
+    const data = await pullAllData(domain, env, { metafieldRules: fieldMapping.metafields });
     
     console.log('Data pulled successfully for mutations:', {
       unleashed: {
@@ -101,14 +109,68 @@ export async function handleProductMutations(request, env) {
       data.unleashed.products,
       data.shopify.products,
       data.shopify.locations,
-      defaultWarehouseCode
+      defaultWarehouseCode,
+      {
+        allowArchive: data.sync.complete,
+        stockFormula: await getStockFormula(env.AUTH_STORE, domain),
+        warehouseRouting: await getWarehouseRouting(env.AUTH_STORE, domain),
+        fieldMapping,
+        currency: resolveCurrency(await getCurrencySettings(env.AUTH_STORE, domain), data.shopify.shop?.currencyCode),
+        productFilters: await getProductFilters(env.AUTH_STORE, domain)
+      }
     );
     
-    // Execute product mutations
+    // Without a rate for the shop's currency the prices would go out unconverted
+    if (productMappingResults.currencyBlocked) {
+      return jsonResponse({
+        success: false,
+        error: 'Product sync blocked',
+        details: productMappingResults.currencyBlocked
+      }, 409);
+    }
+
+    // Stop here if the sync would archive, delete or reprice too much
+    const guardCheck = evaluateSyncGuards(await getSyncGuards(env.AUTH_STORE, domain), productMappingResults, data.shopify.products);
+    if (guardCheck.tripped.length > 0) {
+      const heldPlan = await holdProductSync(env.AUTH_STORE, {
+        domain,
+        mode: data.sync.mode,
+        syncId: null,
+        mappingResults: productMappingResults,
+        shopifyProducts: data.shopify.products,
+        guardCheck
+      });
+      return jsonResponse({
+        success: false,
+        held: true,
+        error: 'Product sync held by safety guard',
+        details: 'Nothing was changed. Review the plan, then approve it with POST /api/v2/plans/{planId}/execute.',
+        planId: heldPlan.planId,
+        tripped: guardCheck.tripped,
+        checks: guardCheck.checks
+      }, 409);
+    }
+
+    // Queue the mutations under a run of their own: the mutation worker snapshots each
+    // product before changing it, so the run can be rolled back
     console.log('🔄 Starting product mutations...');
-    const mutationResults = await mutateProducts(authData.shopify, productMappingResults, env, domain, data.shopify.locations, true);
+    const syncId = `sync_${domain}_${Date.now()}`;
+    await saveSyncRun(env.AUTH_STORE, syncId, {
+      domain,
+      type: 'product_mutations',
+      mode: data.sync.mode,
+      status: 'queued'
+    });
+    const mutationResults = await mutateProducts(authData.shopify, productMappingResults, env, domain, data.shopify.locations, false, syncId);
+    await saveSyncRun(env.AUTH_STORE, syncId, {
+      status: 'dispatched',
+      dispatchedAt: new Date().toISOString(),
+      ...(mutationResults.errors.length > 0
+        ? { errors: mutationResults.errors.map(error => ({ step: 'productSync', error: error.message, at: new Date().toISOString() })) }
+        : {})
+    });
 
-    console.log('✅ Product mutations completed successfully');
+    console.log(`✅ Product mutations queued - Sync ID: ${syncId}`);
 
     return jsonResponse({
       success: true,
@@ -118,26 +180,14 @@ export async function handleProductMutations(request, env) {
         toUpdate: productMappingResults.toUpdate.length,
         toArchive: productMappingResults.toArchive.length,
         errors: productMappingResults.errors.length,
-        processed: productMappingResults.processed
+        processed: productMappingResults.processed,
+        unmatchedWarehouses: productMappingResults.unmatchedWarehouses,
+        rejectedCompareAtPrices: productMappingResults.rejectedCompareAtPrices
       },
+      syncId,
       mutationResults: {
-        bulkOperation: mutationResults.bulkOperation,
-        created: {
-          successful: mutationResults.created.successful.length,
-          failed: mutationResults.created.failed.length
-        },
-        updated: {
-          successful: mutationResults.updated.successful.length,
-          failed: mutationResults.updated.failed.length
-        },
-        archived: {
-          successful: mutationResults.archived.successful.length,
-          failed: mutationResults.archived.failed.length
-        },
-        inventory: {
-          successful: mutationResults.inventory.successful.length,
-          failed: mutationResults.inventory.failed.length
-        },
+        method: mutationResults.method,
+        queued: mutationResults.queued,
         summary: mutationResults.summary,
         errors: mutationResults.errors
       },
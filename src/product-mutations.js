@@ -1,4 +1,10 @@
 // src/product-mutations.js
+import { fetchProductAttachments } from './data_pull.js';
+import { unleashedFetch } from './unleashed-client.js';
+import { ATTACHMENT_IMAGE_PREFIX } from './helpers.js';
+import { recordQueuedOperations } from './sync-runs.js';
+import { snapshotProduct, recordCreatedProduct } from './product-snapshots.js';
+import { DEFAULT_CURRENCY_CODE } from './currency.js';
 
 // Helper function to get auth data from KV store
 async function getAuthData(env, domain) {
@@ -134,6 +140,13 @@ async function shopifyGraphQLWithRetry(url, headers, payload, {
   }
 }
 
+// Option values for a variant the product filters leave out (see keptFilteredVariants)
+function keptVariantOptionValues(productData, variant) {
+  return [variant.option1, variant.option2, variant.option3]
+    .map((value, index) => value && { optionName: productData.options[index]?.name || `Option${index + 1}`, name: value })
+    .filter(Boolean);
+}
+
 // Build productSet input for bulk operation
 function buildProductSetInput(productData, isUpdate = false) {
   // Determine if this is a single-variant product with default options only
@@ -148,6 +161,11 @@ function buildProductSetInput(productData, isUpdate = false) {
     vendor: productData.vendor || 'Default',
     tags: productData.tags || [],
     variants: productData.variants.map(variant => {
+      // Filtered variants kept as they are - only their id and options are sent
+      if (variant.keep) {
+        return { id: variant.id, optionValues: keptVariantOptionValues(productData, variant) };
+      }
+
       const variantInput = {
         sku: variant.sku,
         price: variant.price?.toString(),
@@ -169,18 +187,23 @@ function buildProductSetInput(productData, isUpdate = false) {
         variantInput.id = variant.id;
       }
 
-      // Add metafields for price tiers
+      // Compare-at price only when the domain maps one - null clears a sale
+      if (variant.compare_at_price !== undefined) {
+        variantInput.compareAtPrice = variant.compare_at_price === null ? null : variant.compare_at_price.toString();
+      }
+
+      // Add metafields - price tiers (money) and attribute metafields
       if (variant.metafields && variant.metafields.length > 0) {
         variantInput.metafields = variant.metafields
           .filter(mf => mf.value && mf.value.toString().trim() !== '')
           .map(mf => ({
             namespace: mf.namespace,
             key: mf.key,
-            value: JSON.stringify({
+            value: (mf.type || 'money') === 'money' ? JSON.stringify({
               amount: mf.value.toString(),
-              currency_code: "AUD"  // Default to AUD - should be shop's currency
-            }),
-            type: 'money'
+              currency_code: productData.currency_code || DEFAULT_CURRENCY_CODE
+            }) : mf.value.toString(),
+            type: mf.type || 'money'
           }));
       }
 
@@ -251,6 +274,18 @@ function buildProductSetInput(productData, isUpdate = false) {
     input.descriptionHtml = productData.description;
   }
 
+  // Add product metafields (attribute metafields)
+  if (productData.metafields && productData.metafields.length > 0) {
+    input.metafields = productData.metafields
+      .filter(mf => mf.value && mf.value.toString().trim() !== '')
+      .map(mf => ({
+        namespace: mf.namespace,
+        key: mf.key,
+        value: mf.value.toString(),
+        type: mf.type || 'single_line_text_field'
+      }));
+  }
+
   // Handle product options
   if (isSingleVariantDefault) {
     // Single variant products need at least one option
@@ -644,7 +679,8 @@ async function updateInventoryLevels(baseUrl, headers, inventoryUpdates) {
   return results;
 }
 
-// Archive products that are no longer in Unleashed
+// Archive products that are no longer in Unleashed (or set the status the product
+// filters ask for - DRAFT)
 async function archiveProducts(baseUrl, headers, productsToArchive) {
   const results = {
     successful: [],
@@ -674,7 +710,7 @@ async function archiveProducts(baseUrl, headers, productsToArchive) {
       const variables = {
         input: {
           id: product.id,
-          status: 'ARCHIVED'
+          status: product.status || 'ARCHIVED'
         }
       };
 
@@ -699,7 +735,7 @@ async function archiveProducts(baseUrl, headers, productsToArchive) {
         status: data.data.productUpdate.product.status
       });
 
-      console.log(`✅ Archived product: ${data.data.productUpdate.product.title}`);
+      console.log(`✅ Set product ${data.data.productUpdate.product.title} to ${data.data.productUpdate.product.status}`);
 
     } catch (error) {
       console.error(`❌ Failed to archive product ${product.id}:`, error.message);
@@ -802,11 +838,11 @@ async function mutateProductsIndividually(baseUrl, headers, products, isUpdate =
 }
 
 // Queue-based product mutations (primary method)
-async function mutateProductsViaQueue(env, shopifyAuth, mappingResults, originalDomain) {
+// Pass the syncId of the run these mutations belong to (a new run is started otherwise)
+async function mutateProductsViaQueue(env, shopifyAuth, mappingResults, originalDomain, syncId = crypto.randomUUID()) {
   console.log('🚀 === STARTING QUEUE-BASED PRODUCT MUTATIONS ===');
   
   const { shopDomain } = shopifyAuth;
-  const syncId = crypto.randomUUID();
   
   const results = {
     method: 'queue_based',
@@ -876,6 +912,13 @@ async function mutateProductsViaQueue(env, shopifyAuth, mappingResults, original
     results.summary = `Queue operation failed: ${error.message}`;
   }
 
+  await recordQueuedOperations(env.AUTH_STORE, {
+    syncId,
+    domain: originalDomain,
+    entity: 'products',
+    queued: results.queued.creates + results.queued.updates + results.queued.archives
+  });
+
   console.log('✅ === QUEUE-BASED PRODUCT MUTATIONS COMPLETE ===');
   return results;
 }
@@ -937,8 +980,10 @@ async function mutateProductsDirect(shopifyAuth, mappingResults) {
   return results;
 }
 
-// Main function: Decides between bulk, queue, and direct methods
-async function mutateProducts(shopifyAuth, mappingResults, env = null, originalDomain = null, shopifyLocations = null, useBulk = true) {
+// Main function: Decides between bulk, queue, and direct methods. Only the queue
+// takes snapshots - pass useBulk = false and the run's syncId for a run that can be
+// rolled back.
+async function mutateProducts(shopifyAuth, mappingResults, env = null, originalDomain = null, shopifyLocations = null, useBulk = true, syncId = undefined) {
   const totalOperations = mappingResults.toCreate.length + mappingResults.toUpdate.length + mappingResults.toArchive.length;
   
   console.log(`📊 Product mutations strategy: ${totalOperations} total operations`);
@@ -951,7 +996,7 @@ async function mutateProducts(shopifyAuth, mappingResults, env = null, originalD
   
   // Use queue-based approach for smaller datasets or when bulk is disabled
   console.log(`🔄 Using queue-based approach for ${totalOperations} product operations`);
-  return await mutateProductsViaQueue(env, shopifyAuth, mappingResults, originalDomain);
+  return await mutateProductsViaQueue(env, shopifyAuth, mappingResults, originalDomain, syncId);
 }
 
 // Queue consumer: Processes individual product mutations
@@ -995,6 +1040,11 @@ async function handleProductQueueMessage(message, env) {
           }
         }
 
+        // Keep the product as it was so the run can be rolled back
+        if (message.type === 'UPDATE_PRODUCT' && message.syncId) {
+          await snapshotProduct(env.AUTH_STORE, { syncId: message.syncId, baseUrl, headers, productId: message.productData.id });
+        }
+
         // ---------------------------------------------------------------
         // Optional: delete variants that are no longer part of this product
         // ---------------------------------------------------------------
@@ -1077,13 +1127,23 @@ async function handleProductQueueMessage(message, env) {
         result = productSetResult.product;
         console.log(`✅ Successfully ${message.type === 'CREATE_PRODUCT' ? 'created' : 'updated'} product: ${result.title}`);
 
+        if (message.type === 'CREATE_PRODUCT' && message.syncId) {
+          // The product exists either way - a lost marker only means rollback won't archive it
+          await recordCreatedProduct(env.AUTH_STORE, message.syncId, result.id).catch(markerErr => {
+            console.warn(`⚠️ Could not record created product ${result.id} for rollback: ${markerErr.message}`);
+          });
+        }
+
         // -----------------------------------------------------------------
         // 📸   IMAGE POST-PROCESSING (variant image uploads & linking)
         // -----------------------------------------------------------------
+        // Attachments aren't in the bulk product pull - fetch them for this product only
+        await addUnleashedAttachmentImages(message.productData, authData.unleashed);
+
         if (message.productData.images && message.productData.images.length > 0) {
           try {
             console.log(`🖼️ Queue consumer: processing images after productSet …`);
-            const imgRes = await handleVariantImages(baseUrl, headers, productSetResult, message.productData);
+            const imgRes = await handleVariantImages(baseUrl, headers, productSetResult, message.productData, authData.unleashed);
             if (imgRes && imgRes.success !== false) {
               console.log(`✅ Image processing complete for ${result.title}`);
             } else {
@@ -1103,6 +1163,10 @@ async function handleProductQueueMessage(message, env) {
       case 'ARCHIVE_PRODUCT':
         console.log(`🗄️ Archiving product: ${message.productData.id}`);
         
+        if (message.syncId) {
+          await snapshotProduct(env.AUTH_STORE, { syncId: message.syncId, baseUrl, headers, productId: message.productData.id });
+        }
+
         const archiveMutation = `
           mutation productUpdate($input: ProductInput!) {
             productUpdate(input: $input) {
@@ -1127,7 +1191,7 @@ async function handleProductQueueMessage(message, env) {
             variables: {
               input: {
                 id: message.productData.id,
-                status: 'ARCHIVED'
+                status: message.productData.status || 'ARCHIVED'
               }
             }
           })
@@ -1140,7 +1204,7 @@ async function handleProductQueueMessage(message, env) {
         }
 
         result = archiveData.data.productUpdate.product;
-        console.log(`✅ Successfully archived product: ${result.title}`);
+        console.log(`✅ Successfully set product ${result.title} to ${result.status}`);
         
         break;
 
@@ -1557,6 +1621,11 @@ function buildComprehensiveProductSetInput(productData, shopifyLocations, isUpda
 
   // Build variants array
   input.variants = productData.variants.map(variant => {
+    // Filtered variants kept as they are - only their id and options are sent
+    if (variant.keep) {
+      return { id: variant.id, optionValues: keptVariantOptionValues(productData, variant) };
+    }
+
     const variantInput = {
       sku: variant.sku,
       price: variant.price?.toString()
@@ -1567,6 +1636,11 @@ function buildComprehensiveProductSetInput(productData, shopifyLocations, isUpda
       variantInput.id = variant.id;
     }
 
+    // Compare-at price only when the domain maps one - null clears a sale
+    if (variant.compare_at_price !== undefined) {
+      variantInput.compareAtPrice = variant.compare_at_price === null ? null : variant.compare_at_price.toString();
+    }
+
     // Add optionValues - required for productSet API
     if (isSingleVariantDefault) {
       variantInput.optionValues = [{ optionName: "Title", name: "Default Title" }];
@@ -1646,7 +1720,7 @@ function buildComprehensiveProductSetInput(productData, shopifyLocations, isUpda
           namespace: mf.namespace,
           value: mf.type === 'money' ? JSON.stringify({
             amount: mf.value.toString(),
-            currency_code: "AUD"
+            currency_code: productData.currency_code || DEFAULT_CURRENCY_CODE
           }) : mf.value.toString(),
           type: mf.type || 'single_line_text_field'
         }));
@@ -1917,7 +1991,7 @@ async function mutateProductsComprehensive(shopifyAuth, mappingResults, shopifyL
 }
 
 // Handle variant images after product creation/update, ensuring no duplicate uploads or links
-async function handleVariantImages(baseUrl, headers, productResult, productData) {
+async function handleVariantImages(baseUrl, headers, productResult, productData, unleashedAuth = null) {
   if (!productData.images || productData.images.length === 0) {
     return { success: true, message: 'No images to process' };
   }
@@ -1989,7 +2063,7 @@ async function handleVariantImages(baseUrl, headers, productResult, productData)
     const imageVariantMappings = []; // {imageId, variantSkus[]}
 
     for (const imageData of productData.images) {
-      const guid = guidOf(imageData.src);
+      const guid = imageData.guid || guidOf(imageData.src);
       const key = baseKey(imageData.src);
       if (canonicalSeen.has(guid)) continue;
       canonicalSeen.add(guid);
@@ -2009,7 +2083,7 @@ async function handleVariantImages(baseUrl, headers, productResult, productData)
     // ---------------------------------------------
     let uploadedImages = [];
     if (imagesToUpload.length) {
-      uploadedImages = await uploadProductImages(baseUrl, headers, productResult.product.id, imagesToUpload);
+      uploadedImages = await uploadProductImages(baseUrl, headers, productResult.product.id, imagesToUpload, unleashedAuth);
       // Merge them into existing maps so subsequent logic sees them as present
       uploadedImages.forEach(uImg => {
         existingByKey.set(baseKey(uImg.originalSrc), uImg);
@@ -2019,7 +2093,7 @@ async function handleVariantImages(baseUrl, headers, productResult, productData)
 
     // Add variant mappings for uploaded images
     for (const uImg of uploadedImages) {
-      const original = imagesToUpload.find(i => i.src === uImg.originalSrc);
+      const original = imagesToUpload.find(i => i.guid === uImg.guid);
       if (original?.variantSkus?.length) {
         imageVariantMappings.push({ imageId: uImg.id, variantSkus: original.variantSkus, src: uImg.originalSrc });
       }
@@ -2168,9 +2242,10 @@ async function handleVariantImages(baseUrl, headers, productResult, productData)
 
     // -------- Duplicate cleanup --------
     // Build desired GUID set once
-    const desiredGuidSet = new Set(productData.images.map(img => guidOf(img.src)));
+    const desiredGuidSet = new Set(productData.images.map(img => img.guid || guidOf(img.src)));
 
-    const deleteIds = existingImages
+    // Skip cleanup when some attachments couldn't be read - we'd delete images that still exist
+    const deleteIds = productData.imagesIncomplete ? [] : existingImages
       .filter(img => !desiredGuidSet.has(img.guid || guidOf(img.originalSrc)))
       .map(img => img.id)
       .filter(id => !uploadedImages.some(u => u.id === id));
@@ -2257,8 +2332,111 @@ async function getProductImages(baseUrl, headers, productId) {
   }));
 }
 
+// Add each variant's Unleashed image attachments to productData.images (one Unleashed
+// request per variant). The first attachment is linked to a variant that has no image yet.
+async function addUnleashedAttachmentImages(productData, unleashedAuth) {
+  const images = productData.images || [];
+  const skusWithImage = new Set(images.flatMap(img => img.variantSkus || []));
+  let failed = 0;
+
+  for (const variant of productData.variants || []) {
+    if (!variant.unleashed_guid) continue;
+    try {
+      const attachments = await fetchProductAttachments(variant.unleashed_guid, unleashedAuth);
+      attachments.forEach(att => {
+        const linkToVariant = !skusWithImage.has(variant.sku);
+        if (linkToVariant) skusWithImage.add(variant.sku);
+        images.push({
+          src: att.downloadUrl,
+          guid: att.guid,
+          fileName: att.fileName,
+          mimeType: att.mimeType,
+          alt: att.description || `Image for ${variant.sku}`,
+          variantSkus: linkToVariant ? [variant.sku] : [],
+          requiresAuth: true
+        });
+      });
+    } catch (error) {
+      failed++;
+      console.warn(`⚠️ Could not fetch attachments for ${variant.sku}: ${error.message}`);
+    }
+  }
+
+  productData.images = images;
+  if (failed > 0) productData.imagesIncomplete = true;
+  return { failed };
+}
+
+// Download an Unleashed attachment with signed headers and stage it on Shopify.
+// Returns the staged resourceUrl to use as productCreateMedia's originalSource.
+async function stageAuthenticatedImage(baseUrl, headers, img, unleashedAuth) {
+  const download = await unleashedFetch(img.src, unleashedAuth, { headers: { 'Accept': '*/*' } });
+  if (!download.ok) {
+    throw new Error(`Download failed: ${download.status} ${download.statusText}`);
+  }
+  const fileBlob = await download.blob();
+  const mimeType = img.mimeType || download.headers.get('Content-Type')?.split(';')[0] || 'image/jpeg';
+  const extension = (img.fileName || '').match(/\.[a-z0-9]+$/i)?.[0] || `.${mimeType.split('/')[1] || 'jpg'}`;
+  const filename = `${ATTACHMENT_IMAGE_PREFIX}${img.guid}${extension.toLowerCase()}`;
+
+  const stagedUploadMutation = `
+    mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets {
+          url
+          resourceUrl
+          parameters {
+            name
+            value
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const { data } = await shopifyGraphQLWithRetry(
+    `${baseUrl}/graphql.json`,
+    headers,
+    {
+      query: stagedUploadMutation,
+      variables: { input: [{ resource: 'IMAGE', filename, mimeType, httpMethod: 'POST' }] }
+    }
+  );
+
+  if (data.errors || data.data?.stagedUploadsCreate?.userErrors?.length) {
+    throw new Error(`Staged upload request failed: ${JSON.stringify(data.errors || data.data.stagedUploadsCreate.userErrors)}`);
+  }
+
+  const stagedTarget = data.data.stagedUploadsCreate.stagedTargets[0];
+  if (!stagedTarget) {
+    throw new Error('No staged upload target received');
+  }
+
+  const formData = new FormData();
+  stagedTarget.parameters.forEach(param => {
+    formData.append(param.name, param.value);
+  });
+  formData.append('file', new Blob([await fileBlob.arrayBuffer()], { type: mimeType }), filename);
+
+  const uploadResponse = await fetch(stagedTarget.url, {
+    method: 'POST',
+    body: formData
+  });
+
+  if (!uploadResponse.ok) {
+    throw new Error(`Staged upload failed: ${uploadResponse.status} ${uploadResponse.statusText}`);
+  }
+
+  console.log(`📤 Staged Unleashed attachment ${img.guid} as ${filename}`);
+  return stagedTarget.resourceUrl;
+}
+
 // Upload new images to product
-async function uploadProductImages(baseUrl, headers, productId, imagesToUpload) {
+async function uploadProductImages(baseUrl, headers, productId, imagesToUpload, unleashedAuth = null) {
   const uploaded = [];
 
   // Helper: wait until a MediaImage is READY before we try to use it
@@ -2309,6 +2487,19 @@ async function uploadProductImages(baseUrl, headers, productId, imagesToUpload)
 
     console.log(`📤 Uploading image ${img.src} ...`);
 
+    // Unleashed attachment downloads need signed requests, so Shopify can't fetch
+    // them itself - download here and hand Shopify a staged upload instead
+    let originalSource = img.src;
+    if (img.requiresAuth) {
+      try {
+        if (!unleashedAuth) throw new Error('Unleashed credentials not supplied');
+        originalSource = await stageAuthenticatedImage(baseUrl, headers, { ...img, guid }, unleashedAuth);
+      } catch (stageErr) {
+        console.warn(`⚠️ Skipping attachment image ${guid}: ${stageErr.message}`);
+        continue;
+      }
+    }
+
     const response = await fetch(`${baseUrl}/graphql.json`, {
       method: 'POST',
       headers,
@@ -2317,7 +2508,7 @@ async function uploadProductImages(baseUrl, headers, productId, imagesToUpload)
         variables: {
           productId,
           media: [{
-            originalSource: img.src,
+            originalSource,
             mediaContentType: "IMAGE"
           }]
         }
@@ -2666,7 +2857,9 @@ async function processBulkImages(baseUrl, headers, bulkResults, mappingResults)
 }
 
 export {
+  shopifyGraphQLWithRetry,
   mutateProducts,
+  mutateProductsViaQueue,
   buildProductSetInput,
   createBulkOperationJsonl,
   monitorBulkOperation,
@@ -0,0 +1,136 @@
+/**
+ * Product Resync
+ * Targeted resync of the single product group holding one SKU, driven by Unleashed
+ * webhooks. RESYNC_PRODUCT_GROUP messages arrive on PRODUCT_QUEUE; the resulting
+ * create/update is queued back onto PRODUCT_QUEUE like any other product mutation.
+ */
+
+import { pullProductGroupData } from './data_pull.js';
+import { groupUnleashedProducts, mapProducts } from './product-mapping.js';
+import { mutateProductsViaQueue } from './product-mutations.js';
+import { unleashedRequest } from './unleashed-client.js';
+import { getDefaultWarehouseCode } from './helpers.js';
+import { recordQueuedOperations } from './sync-runs.js';
+import { getStockFormula } from './stock-formula.js';
+import { getWarehouseRouting } from './warehouse-routing.js';
+import { getFieldMapping } from './field-mapping.js';
+import { getCurrencySettings, resolveCurrency } from './currency.js';
+import { getProductFilters } from './product-filters.js';
+import { getSyncGuards, evaluateSyncGuards, holdProductSync } from './sync-guards.js';
+
+// Queue a resync of the product group holding productCode (or productGuid when the
+// notification only carries the Unleashed Guid)
+async function queueProductResync(env, { originalDomain, shopDomain, productCode = null, productGuid = null, event = null }) {
+  const message = {
+    type: 'RESYNC_PRODUCT_GROUP',
+    syncId: crypto.randomUUID(),
+    originalDomain,
+    shopDomain,
+    productCode,
+    productGuid,
+    event,
+    timestamp: new Date().toISOString()
+  };
+
+  await env.PRODUCT_QUEUE.send(message);
+  await recordQueuedOperations(env.AUTH_STORE, { syncId: message.syncId, domain: originalDomain, entity: 'resync', queued: 1 });
+  console.log(`📤 Queued product resync for ${productCode || productGuid} (${event || 'manual'})`);
+  return message.syncId;
+}
+
+// Process a RESYNC_PRODUCT_GROUP queue message
+async function handleProductResyncMessage(message, env) {
+  console.log(`🎯 Processing product resync for ${message.productCode || message.productGuid} (${message.event || 'manual'})`);
+
+  try {
+    const authString = await env.AUTH_STORE.get(message.originalDomain);
+    if (!authString) throw new Error(`Auth not found for domain ${message.originalDomain}`);
+    const authData = JSON.parse(authString);
+
+    let productCode = message.productCode;
+    if (!productCode) {
+      const product = await unleashedRequest(`Products/${message.productGuid}`, authData.unleashed);
+      productCode = product.ProductCode;
+    }
+
+    const fieldMapping = await getFieldMapping(env.AUTH_STORE, message.originalDomain);
+    const data = await pullProductGroupData(message.originalDomain, env, productCode, { metafieldRules: fieldMapping.metafields });
+
+    // Narrow down to the group the SKU belongs to now - siblings fetched from its
+    // Shopify product may have moved to a different group in Unleashed. Product filters
+    // are applied by mapProducts, which drafts or archives the group if they exclude it.
+    const { groupsMap } = groupUnleashedProducts(data.unleashed.products);
+    const group = [...groupsMap.values()].find(products => products.some(p => p.ProductCode === productCode));
+    if (!group) {
+      console.log(`⏭️ ${productCode} is not sellable or not in Unleashed - nothing to resync`);
+      return { success: true, skipped: true };
+    }
+
+    // Incremental mapping: the dataset is one group, so nothing is archived for being
+    // missing from it
+    const mappingResults = await mapProducts(
+      group,
+      data.shopify.products,
+      data.shopify.locations,
+      getDefaultWarehouseCode(data.unleashed.warehouses),
+      {
+        incremental: true,
+        stockFormula: await getStockFormula(env.AUTH_STORE, message.originalDomain),
+        warehouseRouting: await getWarehouseRouting(env.AUTH_STORE, message.originalDomain),
+        fieldMapping,
+        currency: resolveCurrency(await getCurrencySettings(env.AUTH_STORE, message.originalDomain), data.shopify.shop?.currencyCode),
+        productFilters: await getProductFilters(env.AUTH_STORE, message.originalDomain)
+      }
+    );
+
+    // Without a rate for the shop's currency the prices would go out unconverted
+    if (mappingResults.currencyBlocked) {
+      console.error(`🛑 Product resync for ${productCode} blocked: ${mappingResults.currencyBlocked}`);
+      return { success: false, blocked: true, error: mappingResults.currencyBlocked };
+    }
+
+    if (mappingResults.errors.length > 0) {
+      throw new Error(`Mapping failed: ${mappingResults.errors.map(e => e.error).join('; ')}`);
+    }
+
+    if (mappingResults.toCreate.length === 0 && mappingResults.toUpdate.length === 0 && mappingResults.toArchive.length === 0) {
+      console.log(`✅ Product group for ${productCode} is already up to date`);
+      return { success: true, skipped: true };
+    }
+
+    // Same guards as a full product sync, measured against the whole shop
+    const guardCheck = evaluateSyncGuards(
+      await getSyncGuards(env.AUTH_STORE, message.originalDomain),
+      mappingResults,
+      data.shopify.products,
+      data.shopify.shop?.totals
+    );
+    if (guardCheck.tripped.length > 0) {
+      const heldPlan = await holdProductSync(env.AUTH_STORE, {
+        domain: message.originalDomain,
+        mode: 'incremental',
+        syncId: message.syncId,
+        mappingResults,
+        shopifyProducts: data.shopify.products,
+        guardCheck
+      });
+      return { success: true, held: true, planId: heldPlan.planId };
+    }
+
+    const queueResults = await mutateProductsViaQueue(env, authData.shopify, mappingResults, message.originalDomain, message.syncId);
+    if (queueResults.errors.length > 0) {
+      throw new Error(queueResults.summary);
+    }
+
+    console.log(`✅ Product resync for ${productCode}: ${queueResults.summary}`);
+    return { success: true };
+  } catch (error) {
+    console.error(`🚨 Product resync failed for ${message.productCode || message.productGuid}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+export {
+  queueProductResync,
+  handleProductResyncMessage
+};
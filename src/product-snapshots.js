@@ -0,0 +1,79 @@
+/**
+ * Product Snapshots
+ * Before a sync run changes a Shopify product, the product as it was is stored under
+ * the run (`sync_snapshot:{syncId}:{productId}`) so the run can be rolled back.
+ * Products the run created get a `created` marker instead. The first entry for a
+ * product wins: a retried or repeated message must not replace the original state
+ * with one the run has already changed.
+ */
+
+import { fetchShopifyProductSnapshot } from './data_pull.js';
+
+const SNAPSHOT_PREFIX = 'sync_snapshot:'; // KV key prefix for pre-change product snapshots
+const SNAPSHOT_TTL = 60 * 60 * 24 * 7; // Same as run records - a run can be rolled back while it is listed
+
+// Helper: KV keys for a run's snapshots (keyed by numeric product ID)
+const snapshotPrefix = syncId => `${SNAPSHOT_PREFIX}${syncId}:`;
+const snapshotKey = (syncId, productId) => `${snapshotPrefix(syncId)}${String(productId).split('/').pop()}`;
+
+// Store the product as it is now, unless this run already has an entry for it.
+// Returns the run's entry for the product either way.
+async function snapshotProduct(kvStore, { syncId, baseUrl, headers, productId }) {
+  const key = snapshotKey(syncId, productId);
+  const existing = await kvStore.get(key);
+  if (existing) return JSON.parse(existing);
+
+  const product = await fetchShopifyProductSnapshot(baseUrl, headers, productId);
+  if (!product) {
+    throw new Error(`Product ${productId} not found in Shopify - cannot snapshot it`);
+  }
+
+  const snapshot = {
+    productId,
+    action: 'changed',
+    capturedAt: new Date().toISOString(),
+    product
+  };
+  await kvStore.put(key, JSON.stringify(snapshot), { expirationTtl: SNAPSHOT_TTL, metadata: { productId, action: 'changed' } });
+  console.log(`📸 Snapshot stored for ${product.title} (sync ${syncId})`);
+  return snapshot;
+}
+
+// Mark a product as created by the run - rolling back archives it
+async function recordCreatedProduct(kvStore, syncId, productId) {
+  const key = snapshotKey(syncId, productId);
+  if (await kvStore.get(key)) return false;
+
+  await kvStore.put(key, JSON.stringify({
+    productId,
+    action: 'created',
+    capturedAt: new Date().toISOString()
+  }), { expirationTtl: SNAPSHOT_TTL, metadata: { productId, action: 'created' } });
+  return true;
+}
+
+async function getProductSnapshot(kvStore, key) {
+  const raw = await kvStore.get(key);
+  return raw ? JSON.parse(raw) : null;
+}
+
+// Every snapshot stored for a run: [{ key, productId, action }]
+async function listProductSnapshots(kvStore, syncId) {
+  const snapshots = [];
+  let cursor;
+  do {
+    const page = await kvStore.list({ prefix: snapshotPrefix(syncId), cursor });
+    page.keys.forEach(({ name, metadata }) => {
+      snapshots.push({ key: name, productId: metadata?.productId || null, action: metadata?.action || 'changed' });
+    });
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return snapshots;
+}
+
+export {
+  snapshotProduct,
+  recordCreatedProduct,
+  getProductSnapshot,
+  listProductSnapshots
+};
@@ -0,0 +1,119 @@
+/**
+ * Settings Route
+ * The GET and POST handlers behind every per-domain settings endpoint. Each settings
+ * module stores one object per domain with a get/normalize/save trio; the route
+ * wraps it with the domain cleaning, the auth check and the error responses.
+ */
+
+import { jsonResponse } from './helpers.js';
+
+// Clean the domain (remove protocol and path)
+function cleanDomain(domain) {
+  return domain.replace(/^https?:\/\//, '').split('/')[0];
+}
+
+// Admin API base URL and headers from a domain's stored auth data
+function shopifyApi(authString) {
+  const { shopify } = JSON.parse(authString);
+  return {
+    baseUrl: `https://${shopify.shopDomain}/admin/api/2025-04`,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': shopify.accessToken
+    }
+  };
+}
+
+/**
+ * GET and POST handlers for one settings object:
+ * - key: the request body and response field ('guards'); label names it in errors
+ *   ('sync guards') and invalidError is the error for a value normalize rejects
+ * - get(kvStore, domain), normalize(value) (throws when invalid) and
+ *   save(kvStore, domain, normalized, value) from the settings module - save gets
+ *   the normalized settings, plus the body's value for anything it needs to keep of it
+ * - read(kvStore, domain): optional, the GET response fields in place of { [key] }
+ * - check(normalized, shopify): optional check against the shop after normalizing -
+ *   returns { error, details } to reject the save with a 400, or extra response fields
+ * - afterSave(saved, shopify): optional, extra response fields once saved
+ * - log({ domain, value, saved, extras }): logs the update
+ * `shopify` is { baseUrl, headers } for the domain's Admin API.
+ */
+function settingsRoutes({ key, label, invalidError, get, normalize, save, read, check, afterSave, log }) {
+  async function handleGet(request, env) {
+    try {
+      const domain = new URL(request.url).searchParams.get('domain');
+      if (!domain) {
+        return jsonResponse({
+          error: 'Domain is required',
+          details: 'Pass the domain as a query parameter: ?domain=example.com'
+        }, 400);
+      }
+
+      const cleaned = cleanDomain(domain);
+      const fields = read ? await read(env.AUTH_STORE, cleaned) : { [key]: await get(env.AUTH_STORE, cleaned) };
+      return jsonResponse({ domain: cleaned, ...fields });
+    } catch (error) {
+      console.error(`❌ Error reading ${label}:`, error);
+      return jsonResponse({ error: `Failed to read ${label}`, details: error.message }, 500);
+    }
+  }
+
+  async function handleSave(request, env) {
+    try {
+      let domain;
+      let value;
+      try {
+        const requestBody = JSON.parse(await request.text() || '{}');
+        domain = requestBody.domain;
+        value = requestBody[key] || {};
+      } catch (error) {
+        return jsonResponse({ error: 'Invalid request body', details: error.message }, 400);
+      }
+
+      if (!domain) {
+        return jsonResponse({
+          error: 'Domain is required',
+          details: 'The request body must contain a domain field.'
+        }, 400);
+      }
+
+      domain = cleanDomain(domain);
+      const authString = await env.AUTH_STORE.get(domain);
+      if (!authString) {
+        return jsonResponse({ error: 'Unknown domain', details: `No authentication data found for domain: ${domain}` }, 404);
+      }
+
+      let normalized;
+      try {
+        normalized = normalize(value);
+      } catch (error) {
+        return jsonResponse({ error: invalidError, details: error.message }, 400);
+      }
+
+      const shopify = check || afterSave ? shopifyApi(authString) : null;
+      let extras = {};
+      if (check) {
+        const checked = await check(normalized, shopify);
+        if (checked?.error) {
+          return jsonResponse(checked, 400);
+        }
+        extras = { ...checked };
+      }
+
+      const saved = await save(env.AUTH_STORE, domain, normalized, value);
+      if (afterSave) {
+        extras = { ...extras, ...await afterSave(saved, shopify) };
+      }
+
+      log({ domain, value, saved, extras });
+      return jsonResponse({ success: true, domain, [key]: saved, ...extras });
+    } catch (error) {
+      console.error(`❌ Error saving ${label}:`, error);
+      return jsonResponse({ error: `Failed to save ${label}`, details: error.message }, 500);
+    }
+  }
+
+  return { handleGet, handleSave };
+}
+
+export { settingsRoutes };
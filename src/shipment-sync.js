@@ -0,0 +1,369 @@
+/**
+ * Shipment Sync
+ * Scheduled job (mutation worker cron) that turns dispatched Unleashed Sales Shipments
+ * into Shopify fulfillments with carrier and tracking, fulfilled from the Shopify
+ * location mapped to the shipment's warehouse
+ */
+
+import { fetchSalesShipments, fetchSalesOrderByNumber, fetchShopifyLocations } from './data_pull.js';
+import { findLocationForWarehouse } from './location-mapping.js';
+import { getOrderReference } from './order-mutations.js';
+
+const SHIPMENT_WATERMARK_PREFIX = 'shipment_watermark:'; // KV key prefix for per-domain poll watermarks
+const SHIPMENT_SYNC_PREFIX = 'shipment_sync:'; // KV key prefix for processed shipment records
+const SHIPMENT_SYNC_TTL = 60 * 60 * 24 * 30; // Keep processed records for 30 days
+const FIRST_RUN_LOOKBACK_MS = 24 * 60 * 60 * 1000; // First poll for a domain looks back one day
+const MAX_SHIPMENTS_PER_RUN = 25; // Per domain, keeps a cron run inside the subrequest budget
+const MAX_SHIPMENT_ATTEMPTS = 5; // After this many failed runs a shipment is recorded as failed
+const DISPATCHED_STATUSES = ['Dispatched', 'Shipped'];
+
+// Helper: Unleashed dates come back as "/Date(1700000000000)/"
+function parseUnleashedDate(value) {
+  if (!value) return null;
+  const match = String(value).match(/\/Date\((-?\d+)/);
+  const time = match ? parseInt(match[1], 10) : Date.parse(value);
+  return isNaN(time) ? null : new Date(time);
+}
+
+// Helper: POST a GraphQL query to Shopify and return `data`, throwing on any error
+async function shopifyGraphQL(shopifyAuth, query, variables = {}) {
+  const response = await fetch(`https://${shopifyAuth.shopDomain}/admin/api/2025-04/graphql.json`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': shopifyAuth.accessToken
+    },
+    body: JSON.stringify({ query, variables })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Shopify HTTP error: ${response.status}`);
+  }
+
+  const result = await response.json();
+  if (result.errors) {
+    throw new Error(`Shopify GraphQL errors: ${JSON.stringify(result.errors)}`);
+  }
+  return result.data;
+}
+
+// Helper: the auth data under a KV key, or null when the value isn't a tenant's auth
+// record (both an Unleashed and a Shopify section)
+function parseAuthRecord(value) {
+  try {
+    const authData = JSON.parse(value);
+    return authData?.unleashed && authData?.shopify ? authData : null;
+  } catch {
+    return null;
+  }
+}
+
+// Every tenant domain in AUTH_STORE. Auth records use the bare domain as key and
+// everything else we store there is prefixed ("sync_checkpoint:..." etc.), but an
+// unprefixed key only counts once its value is an auth record.
+async function listTenantDomains(kvStore) {
+  const candidates = [];
+  let cursor;
+  do {
+    const page = await kvStore.list({ cursor });
+    page.keys.forEach(key => {
+      if (!key.name.includes(':')) candidates.push(key.name);
+    });
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  const domains = [];
+  for (const name of candidates) {
+    if (parseAuthRecord(await kvStore.get(name))) {
+      domains.push(name);
+    } else {
+      console.warn(`⚠️ Skipping KV key ${name} - not a tenant's auth data`);
+    }
+  }
+  return domains;
+}
+
+// Resolve the Shopify order for a shipment: our own order-number index first (orders
+// created by the order webhook), then the Unleashed order's CustomerRef ("#1001")
+async function findShopifyOrder(domain, env, authData, shipment) {
+  const orderNumber = shipment.OrderNumber || shipment.SalesOrderNumber;
+  if (!orderNumber) return null;
+
+  const reference = await getOrderReference(env.AUTH_STORE, domain, orderNumber);
+  let orderName = reference?.orderName || null;
+
+  if (!orderName) {
+    const salesOrder = await fetchSalesOrderByNumber(orderNumber, authData.unleashed);
+    orderName = salesOrder?.CustomerRef || null;
+  }
+  if (!orderName) return null;
+
+  const name = orderName.startsWith('#') ? orderName : `#${orderName}`;
+  const data = await shopifyGraphQL(authData.shopify, `
+    query FindOrder($query: String!) {
+      orders(first: 1, query: $query) {
+        nodes {
+          id
+          name
+          fulfillmentOrders(first: 10) {
+            nodes {
+              id
+              status
+              assignedLocation { location { id name } }
+              lineItems(first: 100) {
+                nodes {
+                  id
+                  remainingQuantity
+                  lineItem { sku }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `, { query: `name:${name}` });
+
+  const order = data.orders.nodes[0];
+  return order && order.name === name ? order : null;
+}
+
+// Move a fulfillment order to the shipping location when Shopify assigned it elsewhere
+async function ensureFulfillmentOrderLocation(shopifyAuth, fulfillmentOrder, locationId) {
+  if (fulfillmentOrder.assignedLocation?.location?.id === locationId) {
+    return fulfillmentOrder.id;
+  }
+
+  const data = await shopifyGraphQL(shopifyAuth, `
+    mutation MoveFulfillmentOrder($id: ID!, $newLocationId: ID!) {
+      fulfillmentOrderMove(id: $id, newLocationId: $newLocationId) {
+        movedFulfillmentOrder { id }
+        userErrors { field message }
+      }
+    }
+  `, { id: fulfillmentOrder.id, newLocationId: locationId });
+
+  const result = data.fulfillmentOrderMove;
+  if (result.userErrors?.length) {
+    throw new Error(`Fulfillment order move failed: ${JSON.stringify(result.userErrors)}`);
+  }
+  console.log(`   📦 Moved fulfillment order ${fulfillmentOrder.id} to location ${locationId}`);
+  return result.movedFulfillmentOrder.id;
+}
+
+/**
+ * Fulfill one Shopify order from one Unleashed shipment. Shipment lines are matched to
+ * fulfillment order lines by SKU; a shipment without lines fulfils everything remaining.
+ */
+async function fulfillShipment(authData, shopifyLocations, order, shipment) {
+  const warehouseCode = shipment.Warehouse?.WarehouseCode || null;
+  const { location } = warehouseCode
+    ? findLocationForWarehouse(shopifyLocations, warehouseCode, shipment.Warehouse?.WarehouseName)
+    : { location: null };
+
+  if (warehouseCode && !location) {
+    throw new Error(`No Shopify location with custom.warehouse_code "${warehouseCode}"`);
+  }
+
+  // Quantity still to ship per SKU (null = ship everything)
+  const shipmentLines = shipment.SalesShipmentLines || [];
+  const remainingBySku = shipmentLines.length
+    ? shipmentLines.reduce((map, line) => {
+        const sku = line.Product?.ProductCode;
+        if (sku) map.set(sku, (map.get(sku) || 0) + (parseFloat(line.ShipmentQty ?? line.QuantityShipped ?? 0) || 0));
+        return map;
+      }, new Map())
+    : null;
+
+  const lineItemsByFulfillmentOrder = [];
+  for (const fulfillmentOrder of order.fulfillmentOrders.nodes) {
+    if (!['OPEN', 'IN_PROGRESS'].includes(fulfillmentOrder.status)) continue;
+
+    const fulfillmentOrderLineItems = [];
+    fulfillmentOrder.lineItems.nodes.forEach(item => {
+      if (item.remainingQuantity <= 0) return;
+      let quantity = item.remainingQuantity;
+      if (remainingBySku) {
+        const wanted = remainingBySku.get(item.lineItem?.sku) || 0;
+        quantity = Math.min(quantity, Math.floor(wanted));
+        if (quantity <= 0) return;
+        remainingBySku.set(item.lineItem.sku, wanted - quantity);
+      }
+      fulfillmentOrderLineItems.push({ id: item.id, quantity });
+    });
+
+    if (fulfillmentOrderLineItems.length === 0) continue;
+
+    const fulfillmentOrderId = location
+      ? await ensureFulfillmentOrderLocation(authData.shopify, fulfillmentOrder, location.id)
+      : fulfillmentOrder.id;
+    lineItemsByFulfillmentOrder.push({ fulfillmentOrderId, fulfillmentOrderLineItems });
+  }
+
+  if (lineItemsByFulfillmentOrder.length === 0) {
+    return { fulfilled: false, reason: 'nothing_to_fulfill' };
+  }
+
+  const trackingNumber = shipment.TrackingNumber || null;
+  const company = shipment.ShippingCompany?.Name || shipment.ShippingCompany || null;
+  const data = await shopifyGraphQL(authData.shopify, `
+    mutation CreateFulfillment($fulfillment: FulfillmentInput!) {
+      fulfillmentCreate(fulfillment: $fulfillment) {
+        fulfillment { id status }
+        userErrors { field message }
+      }
+    }
+  `, {
+    fulfillment: {
+      lineItemsByFulfillmentOrder,
+      // Off for merchants who send their own shipping emails
+      notifyCustomer: authData.shopify.notifyCustomerOnFulfillment !== false,
+      ...(trackingNumber || company ? { trackingInfo: { number: trackingNumber, company: typeof company === 'string' ? company : null } } : {})
+    }
+  });
+
+  const result = data.fulfillmentCreate;
+  if (result.userErrors?.length) {
+    throw new Error(`fulfillmentCreate failed: ${JSON.stringify(result.userErrors)}`);
+  }
+
+  return { fulfilled: true, fulfillmentId: result.fulfillment.id, locationName: location?.name || null, trackingNumber };
+}
+
+/**
+ * Poll one domain's shipments since its watermark and fulfil the matching orders.
+ * Shipments are handled oldest first, up to MAX_SHIPMENTS_PER_RUN new ones per run,
+ * and the watermark moves to the last one handled in order. A shipment that fails is
+ * retried on the next runs and holds the watermark until it succeeds or has failed
+ * MAX_SHIPMENT_ATTEMPTS times, after which it is recorded as failed.
+ */
+async function syncShipmentsForDomain(domain, env) {
+  const results = { domain, processed: 0, fulfilled: [], skipped: [], failed: [] };
+
+  const authString = await env.AUTH_STORE.get(domain);
+  const authData = authString ? parseAuthRecord(authString) : null;
+  if (!authData) {
+    results.skipped.push({ reason: 'no_auth_data' });
+    return results;
+  }
+
+  const pollStartedAt = new Date();
+  const watermark = await env.AUTH_STORE.get(`${SHIPMENT_WATERMARK_PREFIX}${domain}`);
+  const since = watermark ? new Date(watermark) : new Date(pollStartedAt.getTime() - FIRST_RUN_LOOKBACK_MS);
+
+  console.log(`🚚 Polling Unleashed shipments for ${domain} since ${since.toISOString()}`);
+  const { items, pagination } = await fetchSalesShipments(authData.unleashed, since);
+
+  const shipments = items
+    .filter(shipment => DISPATCHED_STATUSES.includes(shipment.ShipmentStatus))
+    .sort((a, b) => (parseUnleashedDate(a.LastModifiedOn) || 0) - (parseUnleashedDate(b.LastModifiedOn) || 0));
+
+  let shopifyLocations = null;
+  let handledThrough = null; // LastModifiedOn of the last shipment handled in order
+  let inOrder = true; // every shipment so far has been handled
+
+  for (const shipment of shipments) {
+    const recordKey = `${SHIPMENT_SYNC_PREFIX}${domain}:${shipment.Guid}`;
+    const recordString = await env.AUTH_STORE.get(recordKey);
+    const record = recordString ? JSON.parse(recordString) : null;
+    let handled = Boolean(record && !record.retrying);
+
+    if (!handled) {
+      if (results.processed >= MAX_SHIPMENTS_PER_RUN) {
+        inOrder = false;
+        break;
+      }
+
+      results.processed++;
+      try {
+        const order = await findShopifyOrder(domain, env, authData, shipment);
+        let outcome;
+        if (!order) {
+          outcome = { fulfilled: false, reason: 'no_matching_shopify_order' };
+        } else {
+          if (!shopifyLocations) {
+            shopifyLocations = await fetchShopifyLocations(
+              `https://${authData.shopify.shopDomain}/admin/api/2025-04`,
+              { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': authData.shopify.accessToken }
+            );
+          }
+          outcome = await fulfillShipment(authData, shopifyLocations, order, shipment);
+        }
+
+        await env.AUTH_STORE.put(recordKey, JSON.stringify({
+          shipmentNumber: shipment.ShipmentNumber,
+          orderNumber: shipment.OrderNumber,
+          shopifyOrder: order?.name || null,
+          ...outcome,
+          processedAt: new Date().toISOString()
+        }), { expirationTtl: SHIPMENT_SYNC_TTL });
+        handled = true;
+
+        if (outcome.fulfilled) {
+          results.fulfilled.push({ shipment: shipment.ShipmentNumber, order: order.name, trackingNumber: outcome.trackingNumber });
+          console.log(`   ✅ ${shipment.ShipmentNumber} → fulfilled ${order.name}${outcome.locationName ? ` from ${outcome.locationName}` : ''}`);
+        } else {
+          results.skipped.push({ shipment: shipment.ShipmentNumber, reason: outcome.reason });
+          console.log(`   ⏭️ ${shipment.ShipmentNumber}: ${outcome.reason}`);
+        }
+      } catch (error) {
+        const attempts = (record?.attempts || 0) + 1;
+        handled = attempts >= MAX_SHIPMENT_ATTEMPTS;
+        console.error(`   ❌ ${shipment.ShipmentNumber} (attempt ${attempts}/${MAX_SHIPMENT_ATTEMPTS}): ${error.message}`);
+        results.failed.push({ shipment: shipment.ShipmentNumber, error: error.message, attempts, final: handled });
+
+        await env.AUTH_STORE.put(recordKey, JSON.stringify({
+          shipmentNumber: shipment.ShipmentNumber,
+          orderNumber: shipment.OrderNumber,
+          fulfilled: false,
+          ...(handled ? { reason: 'failed' } : { retrying: true }),
+          attempts,
+          error: error.message,
+          processedAt: new Date().toISOString()
+        }), { expirationTtl: SHIPMENT_SYNC_TTL });
+      }
+    }
+
+    if (!handled) {
+      inOrder = false;
+    } else if (inOrder) {
+      handledThrough = parseUnleashedDate(shipment.LastModifiedOn) || handledThrough;
+    }
+  }
+
+  // Everything handled: the next poll starts where this one did. Otherwise resume
+  // from the last shipment handled in order - recorded shipments are skipped again.
+  // An incomplete pull holds the watermark, as pages may be missing anywhere.
+  let nextWatermark = since;
+  if (pagination.complete) {
+    nextWatermark = inOrder ? pollStartedAt : (handledThrough || since);
+  }
+  if (nextWatermark > since) {
+    await env.AUTH_STORE.put(`${SHIPMENT_WATERMARK_PREFIX}${domain}`, nextWatermark.toISOString());
+  }
+
+  console.log(`🚚 ${domain}: ${results.fulfilled.length} fulfilled, ${results.skipped.length} skipped, ${results.failed.length} failed`);
+  return results;
+}
+
+// Cron entry point: sync shipments for every tenant in AUTH_STORE
+async function runShipmentSync(env) {
+  const domains = await listTenantDomains(env.AUTH_STORE);
+  console.log(`⏰ Shipment sync for ${domains.length} domain(s)`);
+
+  const summary = [];
+  for (const domain of domains) {
+    try {
+      summary.push(await syncShipmentsForDomain(domain, env));
+    } catch (error) {
+      console.error(`🚨 Shipment sync failed for ${domain}:`, error);
+      summary.push({ domain, error: error.message });
+    }
+  }
+  return summary;
+}
+
+export {
+  runShipmentSync,
+  syncShipmentsForDomain
+};
@@ -0,0 +1,30 @@
+/**
+ * Stock Formula Handler
+ * Read and replace a domain's stock formula (stock-formula.js)
+ */
+
+import { getStockFormula, normalizeStockFormula, saveStockFormula } from './stock-formula.js';
+import { settingsRoutes } from './settings-route.js';
+
+const routes = settingsRoutes({
+  key: 'formula',
+  label: 'stock formula',
+  invalidError: 'Invalid stock formula',
+  get: getStockFormula,
+  normalize: normalizeStockFormula,
+  save: saveStockFormula,
+  log: ({ domain, saved }) => console.log(`📦 Stock formula updated for ${domain}:`, saved)
+});
+
+/**
+ * GET /api/v2/stock-formula?domain=example.com
+ * The domain's stock formula (the default when none is set)
+ */
+export const handleGetStockFormula = routes.handleGet;
+
+/**
+ * POST /api/v2/stock-formula
+ * Body: { domain, formula: { base, bufferPercent, bufferUnits, safetyStock, clampNegative } }
+ * - replaces the domain's formula; fields left out take the defaults
+ */
+export const handleSaveStockFormula = routes.handleSave;
@@ -0,0 +1,103 @@
+/**
+ * Stock Formula
+ * Per-domain rule for the quantity a Shopify location shows for one Unleashed
+ * StockOnHand row (`stock_formula:{domain}`). Used by product mapping (and so the
+ * comparison with Shopify) and by the inventory-only sync.
+ *
+ *   base          available (AvailableQty), on_hand (QtyOnHand) or
+ *                 on_hand_minus_allocated (QtyOnHand - AllocatedQty)
+ *   bufferPercent share of the base held back (rounded up to whole units)
+ *   bufferUnits   units held back per warehouse
+ *   safetyStock   extra units held back per warehouse code
+ *   clampNegative show negative results as 0
+ *
+ * A missing field counts as 0 - `available` never falls back to on-hand.
+ */
+
+const STOCK_FORMULA_PREFIX = 'stock_formula:'; // KV key prefix for per-domain stock formulas
+const STOCK_BASES = ['available', 'on_hand', 'on_hand_minus_allocated'];
+
+const DEFAULT_STOCK_FORMULA = {
+  base: 'available',
+  bufferPercent: 0,
+  bufferUnits: 0,
+  safetyStock: {},
+  clampNegative: true
+};
+
+// Helper: a StockOnHand field as a number (0 when missing)
+function stockField(stock, ...names) {
+  const value = names.map(name => stock[name]).find(v => v !== undefined && v !== null);
+  const number = parseFloat(value);
+  return isNaN(number) ? 0 : number;
+}
+
+// Validate a formula from a request - throws with the first problem found
+function normalizeStockFormula(input = {}) {
+  const base = input.base ?? DEFAULT_STOCK_FORMULA.base;
+  if (!STOCK_BASES.includes(base)) {
+    throw new Error(`base must be one of ${STOCK_BASES.join(', ')}`);
+  }
+
+  const amount = (name, value, max = Infinity) => {
+    if (value === undefined || value === null) return DEFAULT_STOCK_FORMULA[name];
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || number > max) {
+      throw new Error(`${name} must be a number from 0${max === Infinity ? '' : ` to ${max}`}`);
+    }
+    return number;
+  };
+
+  const safetyStock = {};
+  Object.entries(input.safetyStock || {}).forEach(([warehouseCode, units]) => {
+    const number = Number(units);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`safetyStock.${warehouseCode} must be a non-negative number`);
+    }
+    safetyStock[warehouseCode] = number;
+  });
+
+  return {
+    base,
+    bufferPercent: amount('bufferPercent', input.bufferPercent, 100),
+    bufferUnits: amount('bufferUnits', input.bufferUnits),
+    safetyStock,
+    clampNegative: input.clampNegative !== false
+  };
+}
+
+async function getStockFormula(kvStore, domain) {
+  const raw = await kvStore.get(`${STOCK_FORMULA_PREFIX}${domain}`);
+  return raw ? { ...DEFAULT_STOCK_FORMULA, ...JSON.parse(raw) } : DEFAULT_STOCK_FORMULA;
+}
+
+// Replace a domain's formula with one from normalizeStockFormula
+async function saveStockFormula(kvStore, domain, formula) {
+  await kvStore.put(`${STOCK_FORMULA_PREFIX}${domain}`, JSON.stringify(formula));
+  return formula;
+}
+
+// Whole units to show in Shopify for one StockOnHand row held in `warehouseCode`
+function applyStockFormula(stock, formula = DEFAULT_STOCK_FORMULA, warehouseCode = null) {
+  let base;
+  if (formula.base === 'on_hand') {
+    base = stockField(stock, 'QtyOnHand', 'QuantityOnHand');
+  } else if (formula.base === 'on_hand_minus_allocated') {
+    base = stockField(stock, 'QtyOnHand', 'QuantityOnHand') - stockField(stock, 'AllocatedQty', 'QtyAllocated');
+  } else {
+    base = stockField(stock, 'AvailableQty', 'QtyAvailable', 'QuantityAvailable');
+  }
+
+  const percentHeld = base > 0 ? Math.ceil(base * (formula.bufferPercent || 0) / 100) : 0;
+  const safetyStock = (warehouseCode && formula.safetyStock?.[warehouseCode]) || 0;
+  const quantity = Math.floor(base - percentHeld - (formula.bufferUnits || 0) - safetyStock);
+  return formula.clampNegative !== false ? Math.max(0, quantity) : quantity;
+}
+
+export {
+  DEFAULT_STOCK_FORMULA,
+  normalizeStockFormula,
+  getStockFormula,
+  saveStockFormula,
+  applyStockFormula
+};
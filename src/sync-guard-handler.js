@@ -0,0 +1,30 @@
+/**
+ * Sync Guard Handler
+ * Read and replace a domain's safety guard settings (sync-guards.js)
+ */
+
+import { getSyncGuards, normalizeSyncGuards, saveSyncGuards } from './sync-guards.js';
+import { settingsRoutes } from './settings-route.js';
+
+const routes = settingsRoutes({
+  key: 'guards',
+  label: 'sync guards',
+  invalidError: 'Invalid guard settings',
+  get: getSyncGuards,
+  normalize: normalizeSyncGuards,
+  save: saveSyncGuards,
+  log: ({ domain, saved }) => console.log(`🛡️ Sync guards updated for ${domain}:`, saved)
+});
+
+/**
+ * GET /api/v2/sync-guards?domain=example.com
+ * The domain's guard limits, defaults included
+ */
+export const handleGetSyncGuards = routes.handleGet;
+
+/**
+ * POST /api/v2/sync-guards
+ * Body: { domain, guards: { archives: { maxCount, maxPercent }, ... } } - replaces
+ * the domain's settings; limits left out fall back to the defaults, null disables one
+ */
+export const handleSaveSyncGuards = routes.handleSave;
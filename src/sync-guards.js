@@ -0,0 +1,128 @@
+/**
+ * Sync Guards
+ * Per-domain limits on how much one product sync may change (`sync_guards:{domain}`).
+ * A missing Unleashed page or a changed filter makes products look deleted, and the
+ * archive step would take them off the store. When a mapped sync goes over a limit,
+ * nothing is queued: the product operations are stored as a `held` plan
+ * (sync-plans.js) that goes through the plan routes like an approved dry run.
+ *
+ * Each guard trips when its count goes over `maxCount` or its share goes over
+ * `maxPercent`; null switches that limit off.
+ * - archives: products archived, as a share of the non-archived Shopify products
+ * - variantDeletions: variants deleted, as a share of all Shopify variants
+ * - priceChanges: variants repriced, as a share of all Shopify variants
+ */
+
+import { createSyncPlan, updateSyncPlan, saveSyncPlanSection, buildProductPlan, setOpenHeldPlan } from './sync-plans.js';
+
+const SYNC_GUARDS_PREFIX = 'sync_guards:'; // KV key prefix for per-domain guard settings
+
+const DEFAULT_SYNC_GUARDS = {
+  archives: { maxCount: null, maxPercent: 5 },
+  variantDeletions: { maxCount: null, maxPercent: 5 },
+  priceChanges: { maxCount: null, maxPercent: null }
+};
+
+// Guard settings for a domain, with defaults for anything not configured
+async function getSyncGuards(kvStore, domain) {
+  const raw = await kvStore.get(`${SYNC_GUARDS_PREFIX}${domain}`);
+  const stored = raw ? JSON.parse(raw) : {};
+  return Object.fromEntries(Object.entries(DEFAULT_SYNC_GUARDS).map(([guard, limits]) => [
+    guard,
+    { ...limits, ...stored[guard] }
+  ]));
+}
+
+// Validate guard settings from a request - throws on unknown guards or bad limits
+function normalizeSyncGuards(input = {}) {
+  const unknown = Object.keys(input).filter(guard => !DEFAULT_SYNC_GUARDS[guard]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown guard(s): ${unknown.join(', ')} - expected ${Object.keys(DEFAULT_SYNC_GUARDS).join(', ')}`);
+  }
+
+  const limit = (guard, name, value) => {
+    if (value === undefined) return DEFAULT_SYNC_GUARDS[guard][name];
+    if (value === null) return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`${guard}.${name} must be a non-negative number or null`);
+    }
+    return number;
+  };
+
+  return Object.fromEntries(Object.keys(DEFAULT_SYNC_GUARDS).map(guard => [guard, {
+    maxCount: limit(guard, 'maxCount', input[guard]?.maxCount),
+    maxPercent: limit(guard, 'maxPercent', input[guard]?.maxPercent)
+  }]));
+}
+
+// Replace a domain's guard settings with ones from normalizeSyncGuards
+async function saveSyncGuards(kvStore, domain, guards) {
+  await kvStore.put(`${SYNC_GUARDS_PREFIX}${domain}`, JSON.stringify(guards));
+  return guards;
+}
+
+/**
+ * Check mapProducts results against the guards. Returns the count, base and share
+ * for every guard, plus the ones that tripped. When shopifyProducts is only part of
+ * the shop (a resync), pass the shop's { activeProducts, variants } counts as totals
+ * so the shares are still of the whole shop.
+ */
+function evaluateSyncGuards(guards, mappingResults, shopifyProducts = [], totals = null) {
+  const activeProducts = totals?.activeProducts ?? shopifyProducts.filter(product => !String(product.status).includes('ARCHIVED')).length;
+  const shopifyVariants = totals?.variants ?? shopifyProducts.reduce((sum, product) => sum + (product.variants?.length || 0), 0);
+
+  const measured = {
+    archives: { count: mappingResults.toArchive.length, of: activeProducts },
+    variantDeletions: {
+      count: mappingResults.toUpdate.reduce((sum, product) => sum + (product.variantsToRemove?.length || 0), 0),
+      of: shopifyVariants
+    },
+    priceChanges: {
+      count: mappingResults.toUpdate.reduce((sum, product) => sum + (product.priceChanges?.length || 0), 0),
+      of: shopifyVariants
+    }
+  };
+
+  const checks = {};
+  const tripped = [];
+  Object.entries(measured).forEach(([guard, { count, of }]) => {
+    const { maxCount, maxPercent } = guards[guard] || {};
+    const percent = of > 0 ? Math.round((count / of) * 1000) / 10 : 0;
+    checks[guard] = { count, of, percent, maxCount, maxPercent };
+    if (maxCount !== null && maxCount !== undefined && count > maxCount) {
+      tripped.push({ guard, limit: 'maxCount', value: count, max: maxCount });
+    } else if (maxPercent !== null && maxPercent !== undefined && percent > maxPercent) {
+      tripped.push({ guard, limit: 'maxPercent', value: percent, max: maxPercent });
+    }
+  });
+
+  return { checks, tripped };
+}
+
+// Store the product operations a tripped guard stopped as a held plan
+async function holdProductSync(kvStore, { domain, mode, syncId, mappingResults, shopifyProducts, guardCheck }) {
+  const plan = await createSyncPlan(kvStore, { domain, scope: 'products', mode });
+  await saveSyncPlanSection(kvStore, plan.planId, 'products', {
+    ...buildProductPlan(mappingResults, shopifyProducts),
+    guards: guardCheck
+  });
+  const held = await updateSyncPlan(kvStore, plan.planId, {
+    status: 'held',
+    heldAt: new Date().toISOString(),
+    heldSyncId: syncId,
+    tripped: guardCheck.tripped
+  });
+  await setOpenHeldPlan(kvStore, domain, held.planId);
+  console.warn(`🛑 Product sync for ${domain} held by safety guard(s): ${guardCheck.tripped.map(trip => `${trip.guard} ${trip.value} > ${trip.max}`).join(', ')} - Plan ID: ${held.planId}`);
+  return held;
+}
+
+export {
+  DEFAULT_SYNC_GUARDS,
+  getSyncGuards,
+  normalizeSyncGuards,
+  saveSyncGuards,
+  evaluateSyncGuards,
+  holdProductSync
+};
@@ -0,0 +1,794 @@
+/**
+ * Sync Orchestrator
+ * Runs a comprehensive sync as a chain of steps on the sync-orchestration queue
+ * (SYNC_QUEUE), consumed by the mutation worker:
+ *
+ *   comprehensive_sync   fetch data, queue location and contact/customer messages
+ *   SYNC_AWAIT_CHILDREN  wait for the location messages to finish
+ *   SYNC_PRODUCTS        map products against the updated locations and queue them
+ *   SYNC_AWAIT_CHILDREN  wait for every child message of the run
+ *   SYNC_COMPLETE        post-sync work (sync checkpoint) and the run summary
+ *
+ * Dry runs are a single BUILD_SYNC_PLAN step that maps everything and stores the
+ * plan (sync-plans.js) instead of queueing mutations. An approved plan is run by
+ * EXECUTE_SYNC_PLAN, which queues exactly the planned operations and then waits
+ * for them like a sync does.
+ *
+ * An inventory sync (INVENTORY_SYNC) skips products entirely: it pulls stock levels,
+ * queues the quantities that differ (inventory-sync.js) and waits for them.
+ *
+ * When the mapped products trip a safety guard (sync-guards.js), SYNC_PRODUCTS queues
+ * nothing and stores them as a held plan; the run finishes as `held`.
+ *
+ * Locations go first because product inventory is keyed by Shopify location ID.
+ * Outstanding children are counted from the run's queued counts and per-message
+ * outcomes (sync-runs.js); SYNC_AWAIT_CHILDREN re-queues itself with a delay
+ * until none are left.
+ */
+
+import { pullAllData, pullInventoryData, saveSyncCheckpoint, fetchShopifyLocations } from './data_pull.js';
+import { mapLocations } from './location-mapping.js';
+import { mapProducts } from './product-mapping.js';
+import { mutateLocationsViaQueue } from './location-mutations.js';
+import { mutateProductsViaQueue } from './product-mutations.js';
+import { mutateCustomersViaQueue } from './customer-mutations.js';
+import { queueCustomerContactSync } from './customer-contact-sync.js';
+import { mapInventoryChanges, summarizeInventoryMapping, mutateInventoryViaQueue } from './inventory-sync.js';
+import { getDefaultWarehouseCode } from './helpers.js';
+import { getSyncRun, saveSyncRun, getSyncRunStatus, saveSyncRunData, getSyncRunData, deleteSyncRunData } from './sync-runs.js';
+import {
+  getSyncPlan,
+  updateSyncPlan,
+  saveSyncPlanSection,
+  buildProductPlan,
+  buildEntityPlan,
+  applyPlanExclusions
+} from './sync-plans.js';
+import { getSyncGuards, evaluateSyncGuards, holdProductSync } from './sync-guards.js';
+import { getStockFormula } from './stock-formula.js';
+import { getWarehouseRouting } from './warehouse-routing.js';
+import { getFieldMapping } from './field-mapping.js';
+import { getCurrencySettings, resolveCurrency } from './currency.js';
+import { getProductFilters } from './product-filters.js';
+import { ensureMetafieldDefinitions } from './attribute-metafields.js';
+
+const CHILD_CHECK_DELAY_SECONDS = 30; // How often outstanding children are re-counted
+const MAX_CHILD_WAIT_MS = 2 * 60 * 60 * 1000; // Give up waiting after 2 hours and move on
+
+// Helper function to get auth data from KV store
+async function getAuthData(env, domain) {
+  if (!env.AUTH_STORE) {
+    throw new Error('KV binding AUTH_STORE not found');
+  }
+
+  try {
+    const authString = await env.AUTH_STORE.get(domain);
+    if (!authString) {
+      throw new Error(`No authentication data found for domain: ${domain}`);
+    }
+    return JSON.parse(authString);
+  } catch (error) {
+    console.error('Error getting auth data:', error);
+    throw new Error(`Failed to get authentication data: ${error.message}`);
+  }
+}
+
+// Queue the next step of a run
+async function sendSyncStep(env, message, delaySeconds = 0) {
+  await env.SYNC_QUEUE.send(
+    { ...message, timestamp: new Date().toISOString() },
+    delaySeconds ? { delaySeconds } : undefined
+  );
+}
+
+// Wait for a run's child messages (all of them, or just these entities) before `next`
+async function awaitChildren(env, { syncId, domain, mode }, next, entities = null) {
+  await sendSyncStep(env, {
+    type: 'SYNC_AWAIT_CHILDREN',
+    syncId,
+    domain,
+    mode,
+    entities,
+    next,
+    waitingSince: new Date().toISOString()
+  }, CHILD_CHECK_DELAY_SECONDS);
+}
+
+// Mark a run failed at `step`
+async function failRun(env, syncId, step, error, startTime) {
+  const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+  console.error(`❌ [QUEUE] Sync ${syncId} failed at ${step} after ${totalDuration}s:`, error);
+  await saveSyncRun(env.AUTH_STORE, syncId, {
+    status: 'failed',
+    failedAt: new Date().toISOString(),
+    errors: [{ step, error: error.message, at: new Date().toISOString() }],
+    steps: { [step]: { status: 'failed', error: error.message } }
+  });
+  return { success: false, syncId, error: error.message, totalDuration: `${totalDuration}s` };
+}
+
+// Create the metafield definitions the domain's attribute metafields need before
+// products are written. Failing here doesn't stop the sync - the values are still
+// written, just without a definition.
+async function provisionMetafieldDefinitions(authData, fieldMapping) {
+  if (fieldMapping.metafields.length === 0) return null;
+  try {
+    const result = await ensureMetafieldDefinitions(`https://${authData.shopify.shopDomain}/admin/api/2025-04`, {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': authData.shopify.accessToken
+    }, fieldMapping.metafields);
+    return { existing: result.existing.length, created: result.created.length, failed: result.failed };
+  } catch (error) {
+    console.warn('⚠️ Could not provision metafield definitions:', error.message);
+    return { error: error.message };
+  }
+}
+
+// Step 1: pull both sides and record the counts on the run
+async function fetchSyncData(env, syncId, domain, incremental) {
+  console.log('📊 [QUEUE] Fetching data from Unleashed and Shopify...');
+  const dataFetchStart = Date.now();
+  const fieldMapping = await getFieldMapping(env.AUTH_STORE, domain);
+  const data = await pullAllData(domain, env, { incremental, metafieldRules: fieldMapping.metafields });
+  const dataFetchDuration = ((Date.now() - dataFetchStart) / 1000).toFixed(2);
+  console.log(`✅ [QUEUE] Data fetch (${data.sync.mode}) completed in ${dataFetchDuration}s:`, {
+    unleashed: {
+      warehouses: data.unleashed.warehouses.length,
+      customers: data.unleashed.customers.length,
+      products: data.unleashed.products.length
+    },
+    shopify: {
+      locations: data.shopify.locations.length,
+      customers: data.shopify.customers.length,
+      products: data.shopify.products.length
+    }
+  });
+  await saveSyncRun(env.AUTH_STORE, syncId, {
+    steps: {
+      dataFetch: {
+        status: data.sync.complete ? 'completed' : 'incomplete',
+        mode: data.sync.mode,
+        duration: `${dataFetchDuration}s`,
+        counts: {
+          unleashedProducts: data.unleashed.products.length,
+          unleashedCustomers: data.unleashed.customers.length,
+          unleashedWarehouses: data.unleashed.warehouses.length,
+          shopifyProducts: data.shopify.products.length,
+          shopifyLocations: data.shopify.locations.length
+        },
+        shopifyTruncated: data.sync.shopifyTruncated.length
+      }
+    }
+  });
+  return data;
+}
+
+// Map and queue products, then wait for every child of the run before completing.
+// Only a comprehensive run records a checkpoint - a scoped run leaves the other
+// entities' changes since the checkpoint unsynced.
+async function runProductStep(env, authData, { syncId, domain, mode, scope = 'comprehensive' }, data) {
+  console.log('📦 [QUEUE] Product Sync...');
+  const productStart = Date.now();
+  await saveSyncRun(env.AUTH_STORE, syncId, { status: 'running', steps: { productSync: { status: 'running' } } });
+  const checkpoint = scope === 'comprehensive'
+    ? { lastSuccessfulSync: data.sync.startedAt, mode: data.sync.mode, complete: data.sync.complete }
+    : null;
+
+  const defaultWarehouseCode = getDefaultWarehouseCode(data.unleashed.warehouses);
+  const fieldMapping = await getFieldMapping(env.AUTH_STORE, domain);
+  const productMappingResults = await mapProducts(
+    data.unleashed.products,
+    data.shopify.products,
+    data.shopify.locations,
+    defaultWarehouseCode,
+    {
+      incremental: data.sync.mode === 'incremental',
+      allowArchive: data.sync.complete,
+      stockFormula: await getStockFormula(env.AUTH_STORE, domain),
+      warehouseRouting: await getWarehouseRouting(env.AUTH_STORE, domain),
+      fieldMapping,
+      currency: resolveCurrency(await getCurrencySettings(env.AUTH_STORE, domain), data.shopify.shop?.currencyCode),
+      productFilters: await getProductFilters(env.AUTH_STORE, domain)
+    }
+  );
+
+  // Too many archives, deletions or price changes: hold the products for approval.
+  // Locations and customers are already queued, so the run still waits for them.
+  const guardCheck = evaluateSyncGuards(await getSyncGuards(env.AUTH_STORE, domain), productMappingResults, data.shopify.products);
+  if (guardCheck.tripped.length > 0) {
+    const heldPlan = await holdProductSync(env.AUTH_STORE, {
+      domain,
+      mode: data.sync.mode,
+      syncId,
+      mappingResults: productMappingResults,
+      shopifyProducts: data.shopify.products,
+      guardCheck
+    });
+    await saveSyncRun(env.AUTH_STORE, syncId, {
+      status: 'dispatched',
+      complete: data.sync.complete,
+      dispatchedAt: new Date().toISOString(),
+      heldPlanId: heldPlan.planId,
+      checkpoint,
+      steps: {
+        productSync: {
+          status: 'held',
+          planId: heldPlan.planId,
+          tripped: guardCheck.tripped,
+          duration: `${((Date.now() - productStart) / 1000).toFixed(2)}s`
+        },
+        postSync: { status: 'waiting' }
+      }
+    });
+    await awaitChildren(env, { syncId, domain, mode }, 'SYNC_COMPLETE');
+    return { productMappingResults, productMutationResults: null, heldPlan };
+  }
+
+  const metafieldDefinitions = await provisionMetafieldDefinitions(authData, fieldMapping);
+  const productMutationResults = await mutateProductsViaQueue(env, authData.shopify, productMappingResults, domain, syncId);
+  const productDuration = ((Date.now() - productStart) / 1000).toFixed(2);
+  console.log(`✅ [QUEUE] Product sync queued in ${productDuration}s:`, productMutationResults.summary);
+
+  // All work is queued - the status endpoint reports progress from here on. The
+  // checkpoint is only advanced by SYNC_COMPLETE, once the mutations have landed.
+  await saveSyncRun(env.AUTH_STORE, syncId, {
+    status: 'dispatched',
+    complete: data.sync.complete,
+    dispatchedAt: new Date().toISOString(),
+    checkpoint,
+    ...(productMappingResults.currencyBlocked
+      ? {
+          currencyBlocked: productMappingResults.currencyBlocked,
+          errors: [{ step: 'productSync', error: productMappingResults.currencyBlocked, at: new Date().toISOString() }]
+        }
+      : {}),
+    steps: {
+      productSync: {
+        status: productMappingResults.currencyBlocked ? 'blocked' : 'queued_mutations',
+        duration: `${productDuration}s`,
+        summary: productMutationResults.summary,
+        skipped: productMappingResults.skipped.length,
+        errors: productMappingResults.errors.length,
+        archiveBlocked: productMappingResults.archiveBlocked,
+        unmatchedWarehouses: productMappingResults.unmatchedWarehouses,
+        excludedWarehouses: productMappingResults.excludedWarehouses,
+        metafieldDefinitions,
+        currency: productMappingResults.currency,
+        rejectedCompareAtPrices: productMappingResults.rejectedCompareAtPrices,
+        filterReasons: productMappingResults.details?.filterReasons || null,
+        filteredInShopify: productMappingResults.details?.excludedProducts?.length || 0
+      },
+      postSync: { status: 'waiting' }
+    }
+  });
+  await awaitChildren(env, { syncId, domain, mode }, 'SYNC_COMPLETE');
+
+  return { productMappingResults, productMutationResults, heldPlan: null };
+}
+
+/**
+ * Handle comprehensive sync queue message (step 1)
+ * Fetches data, queues location and customer work, then runs the product step
+ * straight away when no location changes were queued - otherwise products wait
+ * for the location mutations to finish. A `scope` other than comprehensive
+ * (locations, customers or products - scheduled syncs) runs just that entity.
+ */
+async function handleComprehensiveSyncQueueMessage(messageBody, env) {
+  const { syncId, domain } = messageBody;
+  const mode = messageBody.mode || 'full';
+  const scope = messageBody.scope || 'comprehensive';
+  const includes = entity => scope === 'comprehensive' || scope === entity;
+  const startTime = Date.now();
+  let currentStep = 'dataFetch';
+
+  try {
+    await saveSyncRun(env.AUTH_STORE, syncId, {
+      domain,
+      type: 'comprehensive_sync',
+      mode,
+      scope,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      steps: { dataFetch: { status: 'running' } }
+    });
+
+    console.log(`🚀 [QUEUE] Starting ${mode} ${scope} sync workflow for ${domain} (ID: ${syncId})`);
+
+    // Get authentication data
+    const authData = await getAuthData(env, domain);
+    if (!authData || !authData.unleashed || !authData.shopify) {
+      throw new Error('Invalid authentication data structure');
+    }
+
+    // STEP 1: Data Fetching
+    const data = await fetchSyncData(env, syncId, domain, mode === 'incremental');
+
+    // STEP 2: Location Sync
+    let locationMutationResults = null;
+    let locationsQueued = 0;
+    if (includes('locations')) {
+      currentStep = 'locationSync';
+      console.log('🏢 [QUEUE] Step 2: Location Sync...');
+      const locationStart = Date.now();
+      const locationMappingResults = await mapLocations(data.unleashed.warehouses, data.shopify.locations);
+      locationMutationResults = await mutateLocationsViaQueue(env, authData.shopify.shopDomain, locationMappingResults, domain, syncId);
+      const locationDuration = ((Date.now() - locationStart) / 1000).toFixed(2);
+      locationsQueued = locationMutationResults.queued.creates + locationMutationResults.queued.updates;
+      console.log(`✅ [QUEUE] Location sync queued in ${locationDuration}s:`, locationMutationResults.summary);
+      await saveSyncRun(env.AUTH_STORE, syncId, {
+        steps: {
+          locationSync: { status: 'queued_mutations', duration: `${locationDuration}s`, summary: locationMutationResults.summary, errors: locationMappingResults.errors.length }
+        }
+      });
+    }
+
+    // STEP 3: Customer Sync (contacts are fetched, mapped and mutated by queued jobs)
+    let contactSyncResults = null;
+    if (includes('customers')) {
+      currentStep = 'customerSync';
+      console.log('👥 [QUEUE] Step 3: Customer Sync...');
+      await saveSyncRun(env.AUTH_STORE, syncId, { steps: { customerSync: { status: 'running' } } });
+      const customerStart = Date.now();
+      contactSyncResults = await queueCustomerContactSync(env, authData.shopify.shopDomain, data.unleashed.customers, domain, syncId);
+      const customerDuration = ((Date.now() - customerStart) / 1000).toFixed(2);
+      console.log(`✅ [QUEUE] Customer sync queued in ${customerDuration}s:`, contactSyncResults.summary);
+      await saveSyncRun(env.AUTH_STORE, syncId, {
+        steps: {
+          customerSync: { status: 'queued_mutations', duration: `${customerDuration}s`, summary: contactSyncResults.summary }
+        }
+      });
+    }
+
+    // STEP 4: Product Sync - needs the Shopify IDs of any locations just queued
+    let productMutationResults = null;
+    let heldPlan = null;
+    if (!includes('products')) {
+      await saveSyncRun(env.AUTH_STORE, syncId, {
+        status: 'dispatched',
+        complete: data.sync.complete,
+        dispatchedAt: new Date().toISOString(),
+        steps: { postSync: { status: 'waiting' } }
+      });
+      await awaitChildren(env, { syncId, domain, mode }, 'SYNC_COMPLETE');
+    } else if (locationsQueued > 0) {
+      currentStep = 'productSync';
+      console.log(`⏳ [QUEUE] Step 4: Product sync waits for ${locationsQueued} location mutation(s)`);
+      // The product step reuses this pull (and its startedAt checkpoint)
+      await saveSyncRunData(env.AUTH_STORE, syncId, data);
+      await saveSyncRun(env.AUTH_STORE, syncId, {
+        status: 'waiting_for_locations',
+        steps: { productSync: { status: 'waiting' } }
+      });
+      await awaitChildren(env, { syncId, domain, mode }, 'SYNC_PRODUCTS', ['locations']);
+      return { success: true, syncId, domain, status: 'waiting_for_locations', locationsQueued };
+    } else {
+      currentStep = 'productSync';
+      console.log('📦 [QUEUE] Step 4: No location changes - continuing with products');
+      ({ productMutationResults, heldPlan } = await runProductStep(env, authData, { syncId, domain, mode, scope }, data));
+    }
+
+    const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`🎉 [QUEUE] ${scope} sync dispatched in ${totalDuration}s for ${domain} (ID: ${syncId})`);
+    return {
+      success: true,
+      syncId,
+      domain,
+      status: 'dispatched',
+      totalDuration: `${totalDuration}s`,
+      mode: data.sync.mode,
+      scope,
+      queued: {
+        locations: locationMutationResults?.queued || null,
+        contacts: contactSyncResults?.queued || null,
+        products: productMutationResults?.queued || null
+      },
+      heldPlanId: heldPlan?.planId || null
+    };
+
+  } catch (error) {
+    return failRun(env, syncId, currentStep, error, startTime);
+  }
+}
+
+/**
+ * Handle INVENTORY_SYNC
+ * Stock levels only - no product pull or mapping, so it is cheap enough to run
+ * every few minutes. Always compares the full stock list; there is no checkpoint.
+ */
+async function handleInventorySyncQueueMessage(messageBody, env) {
+  const { syncId, domain } = messageBody;
+  const startTime = Date.now();
+  let currentStep = 'dataFetch';
+
+  try {
+    await saveSyncRun(env.AUTH_STORE, syncId, {
+      domain,
+      type: 'inventory_sync',
+      mode: 'full',
+      scope: 'inventory',
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      steps: { dataFetch: { status: 'running' } }
+    });
+
+    console.log(`🚀 [QUEUE] Starting inventory sync for ${domain} (ID: ${syncId})`);
+    const authData = await getAuthData(env, domain);
+    if (!authData || !authData.unleashed || !authData.shopify) {
+      throw new Error('Invalid authentication data structure');
+    }
+
+    const data = await pullInventoryData(domain, env);
+    const dataFetchDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ [QUEUE] Inventory data fetched in ${dataFetchDuration}s: ${data.unleashed.stockOnHand.length} stock rows, ${data.shopify.inventory.length} Shopify variants`);
+    await saveSyncRun(env.AUTH_STORE, syncId, {
+      steps: {
+        dataFetch: {
+          status: data.sync.complete ? 'completed' : 'incomplete',
+          duration: `${dataFetchDuration}s`,
+          counts: {
+            unleashedStockRows: data.unleashed.stockOnHand.length,
+            shopifyVariants: data.shopify.inventory.length,
+            shopifyLocations: data.shopify.locations.length
+          }
+        }
+      }
+    });
+
+    currentStep = 'inventorySync';
+    const inventoryStart = Date.now();
+    const mappingResults = mapInventoryChanges(
+      data.unleashed.stockOnHand,
+      data.shopify.inventory,
+      data.shopify.locations,
+      getDefaultWarehouseCode(data.unleashed.warehouses),
+      {
+        stockFormula: await getStockFormula(env.AUTH_STORE, domain),
+        warehouseRouting: await getWarehouseRouting(env.AUTH_STORE, domain)
+      }
+    );
+    const mutationResults = await mutateInventoryViaQueue(env, authData.shopify.shopDomain, mappingResults, domain, syncId);
+    const inventoryDuration = ((Date.now() - inventoryStart) / 1000).toFixed(2);
+
+    await saveSyncRun(env.AUTH_STORE, syncId, {
+      status: 'dispatched',
+      complete: data.sync.complete,
+      dispatchedAt: new Date().toISOString(),
+      steps: {
+        inventorySync: {
+          status: 'queued_mutations',
+          duration: `${inventoryDuration}s`,
+          summary: mutationResults.summary,
+          mapping: summarizeInventoryMapping(mappingResults)
+        },
+        postSync: { status: 'waiting' }
+      }
+    });
+    await awaitChildren(env, { syncId, domain, mode: 'full' }, 'SYNC_COMPLETE');
+
+    const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`🎉 [QUEUE] Inventory sync dispatched in ${totalDuration}s for ${domain} (ID: ${syncId})`);
+    return { success: true, syncId, domain, status: 'dispatched', totalDuration: `${totalDuration}s`, queued: mutationResults.queued };
+  } catch (error) {
+    return failRun(env, syncId, currentStep, error, startTime);
+  }
+}
+
+/**
+ * Handle SYNC_PRODUCTS (step 4 after location changes)
+ * Re-pulls so products are mapped against the locations as they are now.
+ */
+async function handleSyncProductsMessage(messageBody, env) {
+  const { syncId, domain, mode } = messageBody;
+  const startTime = Date.now();
+  let currentStep = 'dataFetch';
+
+  try {
+    // A redelivered step message must not queue the products twice
+    const run = await getSyncRun(env.AUTH_STORE, syncId);
+    if (run?.steps?.productSync?.status !== 'waiting') {
+      console.log(`⏭️ [QUEUE] Product step for ${syncId} already handled (${run?.steps?.productSync?.status || 'no run'})`);
+      return { success: true, skipped: true };
+    }
+
+    const authData = await getAuthData(env, domain);
+    if (!authData || !authData.unleashed || !authData.shopify) {
+      throw new Error('Invalid authentication data structure');
+    }
+
+    await saveSyncRun(env.AUTH_STORE, syncId, {
+      status: 'running',
+      steps: {
+        productSync: { status: 'running' },
+        ...(messageBody.outstanding ? { locationSync: { ...run.steps.locationSync, outstanding: messageBody.outstanding } } : {})
+      }
+    });
+    // Reuse the run's first pull - only the locations changed since. Re-pull
+    // everything if the parked data couldn't be stored or has expired.
+    let data = await getSyncRunData(env.AUTH_STORE, syncId);
+    if (data) {
+      data.shopify.locations = await fetchShopifyLocations(
+        `https://${authData.shopify.shopDomain}/admin/api/2025-04`,
+        { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': authData.shopify.accessToken }
+      );
+      console.log(`📍 [QUEUE] Reusing the first pull with ${data.shopify.locations.length} refreshed Shopify location(s)`);
+    } else {
+      console.warn(`⚠️ [QUEUE] No parked data for ${syncId} - pulling again`);
+      data = await fetchSyncData(env, syncId, domain, mode === 'incremental');
+    }
+
+    currentStep = 'productSync';
+    const { productMutationResults, heldPlan } = await runProductStep(env, authData, { syncId, domain, mode, scope: run.scope }, data);
+    await deleteSyncRunData(env.AUTH_STORE, syncId);
+
+    const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`🎉 [QUEUE] Product step dispatched in ${totalDuration}s for ${domain} (ID: ${syncId})`);
+    return { success: true, syncId, domain, status: 'dispatched', queued: productMutationResults?.queued || null, heldPlanId: heldPlan?.planId || null };
+  } catch (error) {
+    return failRun(env, syncId, currentStep, error, startTime);
+  }
+}
+
+/**
+ * Handle SYNC_AWAIT_CHILDREN
+ * Counts the run's outstanding child messages (optionally only some entities) and
+ * either checks again later or queues `next`. After MAX_CHILD_WAIT_MS the run moves
+ * on anyway, passing the outstanding count along.
+ */
+async function handleAwaitChildrenMessage(messageBody, env) {
+  const { syncId, domain, mode, entities, next } = messageBody;
+
+  const run = await getSyncRunStatus(env.AUTH_STORE, syncId);
+  if (!run) {
+    return { success: false, error: `Sync run ${syncId} not found (expired?)` };
+  }
+  if (run.status === 'failed' || run.completedAt) {
+    console.log(`⏭️ [QUEUE] Sync ${syncId} is ${run.status} - nothing left to wait for`);
+    return { success: true, skipped: true };
+  }
+
+  const outstanding = Object.entries(run.operations)
+    .filter(([entity]) => !entities || entities.includes(entity))
+    .reduce((sum, [, counts]) => sum + counts.pending, 0);
+  const waited = Date.now() - Date.parse(messageBody.waitingSince);
+
+  if (outstanding > 0 && waited < MAX_CHILD_WAIT_MS) {
+    console.log(`⏳ [QUEUE] Sync ${syncId}: ${outstanding} ${entities ? entities.join('/') : 'child'} message(s) outstanding before ${next}`);
+    await sendSyncStep(env, messageBody, CHILD_CHECK_DELAY_SECONDS);
+    return { success: true, outstanding };
+  }
+
+  if (outstanding > 0) {
+    console.warn(`⚠️ [QUEUE] Sync ${syncId}: gave up waiting on ${outstanding} message(s) after ${Math.round(waited / 60000)} minutes`);
+  }
+  await sendSyncStep(env, { type: next, syncId, domain, mode, outstanding });
+  return { success: true, outstanding };
+}
+
+/**
+ * Handle SYNC_COMPLETE (last step)
+ * Every child has an outcome (or the wait timed out): advance the incremental
+ * checkpoint and write the run summary.
+ */
+async function handleSyncCompleteMessage(messageBody, env) {
+  const { syncId, domain } = messageBody;
+
+  const run = await getSyncRunStatus(env.AUTH_STORE, syncId);
+  if (!run) {
+    return { success: false, error: `Sync run ${syncId} not found (expired?)` };
+  }
+  if (run.completedAt) {
+    console.log(`⏭️ [QUEUE] Sync ${syncId} already finished (${run.status})`);
+    return { success: true, skipped: true };
+  }
+
+  const counts = Object.values(run.operations);
+  const outstanding = counts.reduce((sum, entity) => sum + entity.pending, 0);
+  const failed = counts.reduce((sum, entity) => sum + entity.failed, 0);
+  const failedProducts = run.operations.products?.failed || 0;
+
+  // Post-sync: advance the incremental watermark to when the product pull started.
+  // An incomplete pull, or products that never made it to Shopify, would be missed
+  // by the next delta - so the next run starts from the old mark instead. Plan
+  // executions have no checkpoint to advance - they only run what was planned.
+  let checkpointAdvanced = false;
+  let checkpointHeldBecause = null;
+  if (!run.checkpoint) {
+    console.log(`⏭️ [QUEUE] No sync checkpoint recorded for ${syncId}`);
+  } else if (run.heldPlanId) {
+    checkpointHeldBecause = 'guard_tripped';
+  } else if (run.currencyBlocked) {
+    checkpointHeldBecause = 'currency_blocked';
+  } else if (!run.checkpoint.complete) {
+    checkpointHeldBecause = 'incomplete_pull';
+  } else if (outstanding > 0) {
+    checkpointHeldBecause = 'timed_out';
+  } else if (failedProducts > 0) {
+    checkpointHeldBecause = 'product_failures';
+  } else {
+    await saveSyncCheckpoint(env.AUTH_STORE, domain, {
+      lastSuccessfulSync: run.checkpoint.lastSuccessfulSync,
+      mode: run.checkpoint.mode,
+      syncId
+    });
+    checkpointAdvanced = true;
+  }
+  if (checkpointHeldBecause) {
+    console.warn(`⚠️ [QUEUE] Sync checkpoint for ${domain} not advanced (${checkpointHeldBecause})`);
+  }
+
+  let status = outstanding > 0 ? 'timed_out' : (failed > 0 || run.currencyBlocked ? 'completed_with_errors' : 'completed');
+  if (run.heldPlanId) status = 'held';
+  const startedAt = Date.parse(run.startedAt || run.createdAt);
+  const summary = {
+    operations: run.operations,
+    failed,
+    outstanding,
+    checkpointAdvanced,
+    checkpointHeldBecause,
+    duration: `${((Date.now() - startedAt) / 1000).toFixed(0)}s`
+  };
+
+  await saveSyncRun(env.AUTH_STORE, syncId, {
+    status,
+    completedAt: new Date().toISOString(),
+    summary,
+    steps: { postSync: { status: 'completed', checkpointAdvanced } }
+  });
+
+  console.log(`🏁 [QUEUE] Comprehensive sync ${syncId} for ${domain} ${status} in ${summary.duration}:`, run.operations);
+  return { success: true, syncId, status, summary };
+}
+
+/**
+ * Handle BUILD_SYNC_PLAN (dry run)
+ * Same pull and mappers as the real sync, but every mapping is stored in the plan.
+ * Customer contacts are still fetched by the contact jobs, which write the
+ * customers section when they finish. Products are mapped against the locations
+ * as they are now - inventory for warehouses whose location would be created
+ * isn't in the plan.
+ */
+async function handleBuildSyncPlanMessage(messageBody, env) {
+  const { planId, domain, scope } = messageBody;
+  const mode = messageBody.mode || 'full';
+  const includes = section => scope === 'comprehensive' || scope === section;
+
+  try {
+    console.log(`📝 [QUEUE] Building ${scope} sync plan for ${domain} (Plan: ${planId})`);
+    const authData = await getAuthData(env, domain);
+    if (!authData || !authData.unleashed || !authData.shopify) {
+      throw new Error('Invalid authentication data structure');
+    }
+
+    const fieldMapping = await getFieldMapping(env.AUTH_STORE, domain);
+    const data = await pullAllData(domain, env, { incremental: mode === 'incremental', metafieldRules: fieldMapping.metafields });
+    await updateSyncPlan(env.AUTH_STORE, planId, {
+      sync: {
+        mode: data.sync.mode,
+        modifiedSince: data.sync.modifiedSince,
+        startedAt: data.sync.startedAt,
+        complete: data.sync.complete,
+        shopifyTruncated: data.sync.shopifyTruncated
+      }
+    });
+
+    if (includes('locations')) {
+      const locationMappingResults = await mapLocations(data.unleashed.warehouses, data.shopify.locations);
+      await saveSyncPlanSection(env.AUTH_STORE, planId, 'locations', buildEntityPlan(locationMappingResults, data.shopify.locations));
+    }
+
+    if (includes('customers')) {
+      const contactSyncResults = await queueCustomerContactSync(env, authData.shopify.shopDomain, data.unleashed.customers, domain, planId, { planId });
+      if (contactSyncResults.errors.length > 0) {
+        throw new Error(`Could not queue customer contact fetch: ${contactSyncResults.errors.join('; ')}`);
+      }
+      if (contactSyncResults.queued.chunks === 0) {
+        await saveSyncPlanSection(env.AUTH_STORE, planId, 'customers', buildEntityPlan({ toCreate: [], toUpdate: [], errors: [] }));
+      }
+    }
+
+    if (includes('products')) {
+      const productMappingResults = await mapProducts(
+        data.unleashed.products,
+        data.shopify.products,
+        data.shopify.locations,
+        getDefaultWarehouseCode(data.unleashed.warehouses),
+        {
+          incremental: data.sync.mode === 'incremental',
+          allowArchive: data.sync.complete,
+          stockFormula: await getStockFormula(env.AUTH_STORE, domain),
+          warehouseRouting: await getWarehouseRouting(env.AUTH_STORE, domain),
+          fieldMapping,
+          currency: resolveCurrency(await getCurrencySettings(env.AUTH_STORE, domain), data.shopify.shop?.currencyCode),
+          productFilters: await getProductFilters(env.AUTH_STORE, domain)
+        }
+      );
+      // Report the guards too, so the plan shows whether the sync itself would be held
+      const guardCheck = evaluateSyncGuards(await getSyncGuards(env.AUTH_STORE, domain), productMappingResults, data.shopify.products);
+      await saveSyncPlanSection(env.AUTH_STORE, planId, 'products', {
+        ...buildProductPlan(productMappingResults, data.shopify.products),
+        guards: guardCheck
+      });
+    }
+
+    console.log(`✅ [QUEUE] Sync plan ${planId} built for ${domain}`);
+    return { success: true, planId };
+  } catch (error) {
+    console.error(`❌ [QUEUE] Sync plan ${planId} failed for ${domain}:`, error);
+    await updateSyncPlan(env.AUTH_STORE, planId, { status: 'failed', error: error.message }).catch(() => {});
+    return { success: false, planId, error: error.message };
+  }
+}
+
+/**
+ * Handle EXECUTE_SYNC_PLAN
+ * Queues the approved plan's operations, minus its exclusions, under the run the
+ * execute route created. The plan's stamps were checked before this was queued.
+ */
+async function handleExecuteSyncPlanMessage(messageBody, env) {
+  const { planId, syncId, domain } = messageBody;
+  const startTime = Date.now();
+
+  try {
+    // A redelivered message must not queue the plan twice
+    const run = await getSyncRun(env.AUTH_STORE, syncId);
+    if (run && run.status !== 'queued') {
+      console.log(`⏭️ [QUEUE] Plan execution ${syncId} already handled (${run.status})`);
+      return { success: true, skipped: true };
+    }
+
+    const plan = await getSyncPlan(env.AUTH_STORE, planId);
+    if (!plan) {
+      throw new Error(`Sync plan ${planId} not found (expired?)`);
+    }
+    const authData = await getAuthData(env, domain);
+    if (!authData || !authData.unleashed || !authData.shopify) {
+      throw new Error('Invalid authentication data structure');
+    }
+
+    console.log(`🚀 [QUEUE] Executing plan ${planId} for ${domain} (ID: ${syncId})`);
+    await saveSyncRun(env.AUTH_STORE, syncId, { status: 'running', startedAt: new Date().toISOString() });
+    const { operations, excluded } = applyPlanExclusions(plan, plan.exclusions);
+
+    // Products were planned against the existing locations, so nothing here has to
+    // wait for the location mutations
+    const steps = {};
+    if (plan.locations) {
+      const locationResults = await mutateLocationsViaQueue(env, authData.shopify.shopDomain, operations.locations, domain, syncId);
+      steps.locationSync = { status: 'queued_mutations', summary: locationResults.summary };
+    }
+    if (plan.customers) {
+      const customerResults = await mutateCustomersViaQueue(env, authData.shopify.shopDomain, operations.customers, domain, syncId);
+      steps.customerSync = { status: 'queued_mutations', summary: customerResults.summary };
+    }
+    if (plan.products) {
+      const metafieldDefinitions = await provisionMetafieldDefinitions(authData, await getFieldMapping(env.AUTH_STORE, domain));
+      const productResults = await mutateProductsViaQueue(env, authData.shopify, operations.products, domain, syncId);
+      steps.productSync = { status: 'queued_mutations', summary: productResults.summary, metafieldDefinitions };
+    }
+
+    await saveSyncRun(env.AUTH_STORE, syncId, {
+      status: 'dispatched',
+      dispatchedAt: new Date().toISOString(),
+      excluded,
+      steps: { ...steps, postSync: { status: 'waiting' } }
+    });
+    await updateSyncPlan(env.AUTH_STORE, planId, { status: 'executed', executedAt: new Date().toISOString() });
+    await awaitChildren(env, { syncId, domain, mode: plan.mode }, 'SYNC_COMPLETE');
+
+    console.log(`✅ [QUEUE] Plan ${planId} dispatched in ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
+    return { success: true, planId, syncId, excluded };
+  } catch (error) {
+    await updateSyncPlan(env.AUTH_STORE, planId, { status: 'failed', error: error.message }).catch(() => {});
+    return failRun(env, syncId, 'execute', error, startTime);
+  }
+}
+
+export {
+  handleComprehensiveSyncQueueMessage,
+  handleInventorySyncQueueMessage,
+  handleBuildSyncPlanMessage,
+  handleExecuteSyncPlanMessage,
+  handleSyncProductsMessage,
+  handleAwaitChildrenMessage,
+  handleSyncCompleteMessage
+};
@@ -0,0 +1,274 @@
+/**
+ * Sync Plan Handler
+ * `?dryRun=true` on the sync routes queues a BUILD_SYNC_PLAN job instead of the
+ * sync itself; the plan it builds is read back with GET /api/v2/plans/:planId,
+ * narrowed with POST /api/v2/plans/:planId/exclusions and run with
+ * POST /api/v2/plans/:planId/execute (or dropped with POST /api/v2/plans/:planId/discard)
+ */
+
+import { createSyncPlan, getSyncPlan, updateSyncPlan, normalizeExclusions, applyPlanExclusions, clearOpenHeldPlan } from './sync-plans.js';
+import { saveSyncRun } from './sync-runs.js';
+import { fetchShopifyUpdatedAt, fetchShopifyVariantsBySku } from './data_pull.js';
+import { getAuthData, jsonResponse } from './helpers.js';
+
+const MAX_CHANGED_REPORTED = 50;
+const APPROVABLE_STATUSES = ['ready', 'held']; // Built dry runs, and syncs stopped by a safety guard
+
+/**
+ * POST <sync route>?dryRun=true
+ * Queues a plan build for `scope` (comprehensive, locations, customers or products)
+ * and returns the plan ID straight away
+ */
+export async function handleDryRunSync(request, env, scope) {
+  try {
+    // Get domain from request
+    let domain = null;
+    let incremental = false;
+
+    try {
+      const rawBody = await request.text();
+      if (!rawBody) {
+        return jsonResponse({
+          error: 'Empty request body',
+          details: 'Request body is required and must contain a domain.'
+        }, 400);
+      }
+
+      const requestBody = JSON.parse(rawBody);
+      domain = requestBody.domain;
+      incremental = requestBody.incremental === true || requestBody.mode === 'incremental';
+
+      if (!domain) {
+        return jsonResponse({
+          error: 'Domain is required',
+          details: 'The request body must contain a domain field.'
+        }, 400);
+      }
+    } catch (error) {
+      return jsonResponse({
+        error: 'Invalid request body',
+        details: error.message
+      }, 400);
+    }
+
+    // Clean the domain (remove protocol and path)
+    domain = domain.replace(/^https?:\/\//, '').split('/')[0];
+
+    // Validate authentication data exists
+    const authData = await getAuthData(env, domain);
+    if (!authData || !authData.unleashed || !authData.shopify) {
+      throw new Error('Invalid authentication data structure');
+    }
+
+    const plan = await createSyncPlan(env.AUTH_STORE, {
+      domain,
+      scope,
+      mode: incremental ? 'incremental' : 'full'
+    });
+
+    await env.SYNC_QUEUE.send({
+      type: 'BUILD_SYNC_PLAN',
+      planId: plan.planId,
+      domain,
+      scope,
+      mode: plan.mode,
+      timestamp: new Date().toISOString()
+    });
+
+    console.log(`📝 Dry run queued for ${domain} (${scope}) - Plan ID: ${plan.planId}`);
+    return jsonResponse({
+      success: true,
+      dryRun: true,
+      planId: plan.planId,
+      domain,
+      scope,
+      mode: plan.mode,
+      status: plan.status,
+      expiresAt: plan.expiresAt,
+      message: 'Dry run queued - nothing will be changed in Shopify',
+      monitoring: {
+        plan: `/api/v2/plans/${plan.planId}`
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error queuing dry run:', error);
+    return jsonResponse({
+      success: false,
+      error: 'Failed to queue dry run',
+      details: error.message
+    }, 500);
+  }
+}
+
+/**
+ * GET /api/v2/plans/:planId
+ * The plan with a summary per section; `status` is `building` until every section is in
+ */
+export async function handleGetSyncPlan(request, env, planId) {
+  try {
+    const plan = await getSyncPlan(env.AUTH_STORE, decodeURIComponent(planId));
+    if (!plan) {
+      return jsonResponse({
+        error: 'Plan not found',
+        details: `No plan stored under ${planId} (plans are kept for 3 days)`
+      }, 404);
+    }
+    return jsonResponse(plan);
+  } catch (error) {
+    console.error('❌ Error reading sync plan:', error);
+    return jsonResponse({ error: 'Failed to read sync plan', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST /api/v2/plans/:planId/exclusions
+ * Body: { skus: [], customers: [], locations: [] } - replaces the plan's exclusions.
+ * Only a ready or held (not yet executed) plan can be changed.
+ */
+export async function handleSetPlanExclusions(request, env, planId) {
+  try {
+    let exclusions;
+    try {
+      exclusions = normalizeExclusions(JSON.parse(await request.text() || '{}'));
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid request body', details: error.message }, 400);
+    }
+
+    const plan = await getSyncPlan(env.AUTH_STORE, decodeURIComponent(planId));
+    if (!plan) {
+      return jsonResponse({ error: 'Plan not found', details: `No plan stored under ${planId}` }, 404);
+    }
+    if (!APPROVABLE_STATUSES.includes(plan.status)) {
+      return jsonResponse({ error: `Plan is ${plan.status}`, details: 'Exclusions can only be set on a ready or held plan' }, 409);
+    }
+
+    await updateSyncPlan(env.AUTH_STORE, plan.planId, { exclusions });
+    const { excluded } = applyPlanExclusions(plan, exclusions);
+    console.log(`✂️ Plan ${plan.planId} exclusions set:`, excluded);
+    return jsonResponse({ success: true, planId: plan.planId, exclusions, excluded });
+  } catch (error) {
+    console.error('❌ Error setting plan exclusions:', error);
+    return jsonResponse({ error: 'Failed to set plan exclusions', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST /api/v2/plans/:planId/execute
+ * Approves a ready or held plan and queues exactly its operations (minus exclusions). The
+ * plan expires instead if any Shopify record it would change has been updated
+ * since it was planned, or a product it would create already has one of its SKUs.
+ */
+export async function handleExecuteSyncPlan(request, env, planId) {
+  try {
+    const plan = await getSyncPlan(env.AUTH_STORE, decodeURIComponent(planId));
+    if (!plan) {
+      return jsonResponse({ error: 'Plan not found', details: `No plan stored under ${planId}` }, 404);
+    }
+    if (!APPROVABLE_STATUSES.includes(plan.status)) {
+      return jsonResponse({ error: `Plan is ${plan.status}`, details: 'Only a ready or held plan can be executed' }, 409);
+    }
+
+    const { domain } = plan;
+    const authData = await getAuthData(env, domain);
+    if (!authData || !authData.unleashed || !authData.shopify) {
+      throw new Error('Invalid authentication data structure');
+    }
+
+    // Compare the stamps of every record that will be written with the store now
+    const { operations, stamps, excluded } = applyPlanExclusions(plan, plan.exclusions);
+    const baseUrl = `https://${authData.shopify.shopDomain}/admin/api/2025-04`;
+    const headers = { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': authData.shopify.accessToken };
+    const ids = Object.keys(stamps);
+    const current = await fetchShopifyUpdatedAt(baseUrl, headers, ids);
+    const changed = ids
+      .filter(id => !stamps[id] || current.get(id) !== stamps[id])
+      .map(id => ({ id, plannedAt: stamps[id], updatedAt: current.get(id) || null }));
+
+    // A planned create whose SKU has since appeared in Shopify would duplicate it
+    const createSkus = operations.products.toCreate
+      .flatMap(product => (product.variants || []).map(variant => variant.sku))
+      .filter(Boolean);
+    const existingVariants = await fetchShopifyVariantsBySku(baseUrl, headers, createSkus);
+    const existing = Array.from(existingVariants, ([sku, variant]) => ({ sku, ...variant }));
+
+    if (changed.length > 0 || existing.length > 0) {
+      await updateSyncPlan(env.AUTH_STORE, plan.planId, {
+        status: 'expired',
+        expiredAt: new Date().toISOString(),
+        changed: changed.slice(0, MAX_CHANGED_REPORTED),
+        existing: existing.slice(0, MAX_CHANGED_REPORTED)
+      });
+      await clearOpenHeldPlan(env.AUTH_STORE, domain, plan.planId);
+      console.warn(`⌛ Plan ${plan.planId} expired - ${changed.length} Shopify record(s) changed and ${existing.length} planned SKU(s) created since it was planned`);
+      return jsonResponse({
+        error: 'Plan expired',
+        details: `${changed.length} Shopify record(s) changed and ${existing.length} SKU(s) the plan would create were added to Shopify since the plan was generated - run a new dry run`,
+        changed: changed.slice(0, MAX_CHANGED_REPORTED),
+        existing: existing.slice(0, MAX_CHANGED_REPORTED)
+      }, 409);
+    }
+
+    const syncId = `sync_${domain}_${Date.now()}`;
+    await saveSyncRun(env.AUTH_STORE, syncId, {
+      domain,
+      type: 'plan_execution',
+      mode: plan.mode,
+      planId: plan.planId,
+      status: 'queued'
+    });
+    await updateSyncPlan(env.AUTH_STORE, plan.planId, {
+      status: 'executing',
+      approvedAt: new Date().toISOString(),
+      syncId
+    });
+    await clearOpenHeldPlan(env.AUTH_STORE, domain, plan.planId);
+    await env.SYNC_QUEUE.send({
+      type: 'EXECUTE_SYNC_PLAN',
+      planId: plan.planId,
+      syncId,
+      domain,
+      timestamp: new Date().toISOString()
+    });
+
+    console.log(`✅ Plan ${plan.planId} approved for ${domain} - Sync ID: ${syncId}`);
+    return jsonResponse({
+      success: true,
+      planId: plan.planId,
+      syncId,
+      domain,
+      status: 'executing',
+      excluded,
+      monitoring: {
+        checkStatus: `/api/v2/sync-status/${syncId}`
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error executing sync plan:', error);
+    return jsonResponse({ error: 'Failed to execute sync plan', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST /api/v2/plans/:planId/discard
+ * Drops a ready or held plan without running it. Scheduled product syncs that wait
+ * on a held plan start again on the next tick.
+ */
+export async function handleDiscardSyncPlan(request, env, planId) {
+  try {
+    const plan = await getSyncPlan(env.AUTH_STORE, decodeURIComponent(planId));
+    if (!plan) {
+      return jsonResponse({ error: 'Plan not found', details: `No plan stored under ${planId}` }, 404);
+    }
+    if (!APPROVABLE_STATUSES.includes(plan.status)) {
+      return jsonResponse({ error: `Plan is ${plan.status}`, details: 'Only a ready or held plan can be discarded' }, 409);
+    }
+
+    await updateSyncPlan(env.AUTH_STORE, plan.planId, { status: 'discarded', discardedAt: new Date().toISOString() });
+    await clearOpenHeldPlan(env.AUTH_STORE, plan.domain, plan.planId);
+    console.log(`🗑️ Plan ${plan.planId} discarded for ${plan.domain}`);
+    return jsonResponse({ success: true, planId: plan.planId, status: 'discarded' });
+  } catch (error) {
+    console.error('❌ Error discarding sync plan:', error);
+    return jsonResponse({ error: 'Failed to discard sync plan', details: error.message }, 500);
+  }
+}
@@ -0,0 +1,295 @@
+/**
+ * Sync Plans
+ * A dry run stores what a sync would do instead of doing it. The plan header
+ * (`sync_plan:{planId}`) is written once when the dry run is queued; each entity's
+ * section (`sync_plan:{planId}:{section}`) is written by whichever job mapped it -
+ * customers are mapped by the contact jobs, the rest by the plan job - so no two
+ * writers share a key. getSyncPlan puts them back together.
+ *
+ * Every Shopify record a plan would change is stamped with its `updatedAt`; a plan
+ * can only be executed while those stamps still match the store.
+ */
+
+const SYNC_PLAN_PREFIX = 'sync_plan:'; // KV key prefix for plan headers and sections
+const SYNC_PLAN_TTL = 60 * 60 * 24 * 3; // Plans go stale quickly - keep them 3 days
+const OPEN_HELD_PLAN_PREFIX = 'sync_held_plan:'; // KV key prefix for a domain's held plan awaiting a decision
+
+// Sections each dry-run scope produces
+const PLAN_SECTIONS = {
+  comprehensive: ['locations', 'customers', 'products'],
+  locations: ['locations'],
+  customers: ['customers'],
+  products: ['products']
+};
+
+// Helper: KV keys for a plan
+const planKey = planId => `${SYNC_PLAN_PREFIX}${planId}`;
+const sectionKey = (planId, section) => `${SYNC_PLAN_PREFIX}${planId}:${section}`;
+
+async function readJson(kvStore, key) {
+  const raw = await kvStore.get(key);
+  return raw ? JSON.parse(raw) : null;
+}
+
+// Create the plan header for a dry run of `scope`
+async function createSyncPlan(kvStore, { domain, scope, mode = 'full' }) {
+  if (!PLAN_SECTIONS[scope]) {
+    throw new Error(`Unknown plan scope: ${scope}`);
+  }
+  const now = new Date();
+  const plan = {
+    planId: crypto.randomUUID(),
+    domain,
+    scope,
+    mode,
+    status: 'building',
+    sections: PLAN_SECTIONS[scope],
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + SYNC_PLAN_TTL * 1000).toISOString()
+  };
+  await kvStore.put(planKey(plan.planId), JSON.stringify(plan), { expirationTtl: SYNC_PLAN_TTL });
+  return plan;
+}
+
+// Update the plan header (plan job, then the exclusion and execute routes)
+async function updateSyncPlan(kvStore, planId, changes) {
+  const plan = await readJson(kvStore, planKey(planId));
+  if (!plan) throw new Error(`Sync plan ${planId} not found (expired?)`);
+  const updated = { ...plan, ...changes, updatedAt: new Date().toISOString() };
+  await kvStore.put(planKey(planId), JSON.stringify(updated), { expirationTtl: SYNC_PLAN_TTL });
+  return updated;
+}
+
+// Store one entity's part of the plan
+async function saveSyncPlanSection(kvStore, planId, section, data) {
+  await kvStore.put(sectionKey(planId, section), JSON.stringify({
+    ...data,
+    plannedAt: new Date().toISOString()
+  }), { expirationTtl: SYNC_PLAN_TTL });
+}
+
+/**
+ * The full plan: header, a summary per section and the sections themselves.
+ * While building, status turns `ready` once every section is in, `failed` if any
+ * job failed. After that the header holds it: `executing`, `executed`, `expired` or
+ * `discarded`.
+ * Plans written by a tripped safety guard (sync-guards.js) start out `held`.
+ */
+async function getSyncPlan(kvStore, planId) {
+  const plan = await readJson(kvStore, planKey(planId));
+  if (!plan) return null;
+
+  const sections = await Promise.all(plan.sections.map(section => readJson(kvStore, sectionKey(planId, section))));
+  const result = { ...plan, summary: {} };
+  plan.sections.forEach((section, index) => {
+    result[section] = sections[index];
+    result.summary[section] = sections[index]?.summary || null;
+  });
+
+  const failedSection = plan.sections.find((section, index) => sections[index]?.error);
+  if (plan.status === 'building') {
+    result.status = failedSection ? 'failed' : (sections.every(Boolean) ? 'ready' : 'building');
+  }
+  return result;
+}
+
+// The domain's held plan that is still waiting to be executed or discarded (null when
+// there is none). Scheduled product syncs wait on it.
+async function getOpenHeldPlan(kvStore, domain) {
+  const planId = await kvStore.get(`${OPEN_HELD_PLAN_PREFIX}${domain}`);
+  const plan = planId ? await readJson(kvStore, planKey(planId)) : null;
+  return plan?.status === 'held' ? plan : null;
+}
+
+async function setOpenHeldPlan(kvStore, domain, planId) {
+  await kvStore.put(`${OPEN_HELD_PLAN_PREFIX}${domain}`, planId, { expirationTtl: SYNC_PLAN_TTL });
+}
+
+// Forget the domain's held plan once it's executed, expired or discarded - unless a
+// newer plan has been held since
+async function clearOpenHeldPlan(kvStore, domain, planId) {
+  const key = `${OPEN_HELD_PLAN_PREFIX}${domain}`;
+  if (await kvStore.get(key) === planId) {
+    await kvStore.delete(key);
+  }
+}
+
+// Product plan from mapProducts results. shopifyProducts resolves removed variant
+// IDs back to SKUs and supplies the updatedAt stamps.
+function buildProductPlan(mappingResults, shopifyProducts = []) {
+  const shopifyById = new Map(shopifyProducts.map(product => [product.id, product]));
+  const variantRemovals = [];
+  const inventoryDeltas = [];
+  const stamps = {};
+
+  mappingResults.toUpdate.forEach(product => {
+    stamps[product.id] = shopifyById.get(product.id)?.updatedAt || null;
+    if (product.variantsToRemove?.length) {
+      const shopifyVariants = shopifyById.get(product.id)?.variants || [];
+      variantRemovals.push({
+        productId: product.id,
+        title: product.title,
+        variants: product.variantsToRemove.map(id => ({
+          id,
+          sku: shopifyVariants.find(variant => variant.id === id)?.sku || null
+        }))
+      });
+    }
+    (product.inventoryDeltas || []).forEach(delta => {
+      inventoryDeltas.push({ productId: product.id, title: product.title, ...delta });
+    });
+  });
+
+  return {
+    summary: {
+      creates: mappingResults.toCreate.length,
+      updates: mappingResults.toUpdate.length,
+      archives: mappingResults.toArchive.length,
+      variantRemovals: variantRemovals.reduce((sum, removal) => sum + removal.variants.length, 0),
+      inventoryDeltas: inventoryDeltas.length,
+      skipped: mappingResults.skipped.length,
+      errors: mappingResults.errors.length,
+      archiveBlocked: mappingResults.archiveBlocked,
+      currencyBlocked: mappingResults.currencyBlocked || null,
+      unmatchedWarehouses: mappingResults.unmatchedWarehouses || [],
+      excludedWarehouses: mappingResults.excludedWarehouses || [],
+      rejectedCompareAtPrices: mappingResults.rejectedCompareAtPrices || []
+    },
+    creates: mappingResults.toCreate,
+    updates: mappingResults.toUpdate,
+    archives: mappingResults.toArchive.map(product => {
+      const shopifyProduct = shopifyById.get(product.id);
+      stamps[product.id] = shopifyProduct?.updatedAt || null;
+      return { ...product, skus: (shopifyProduct?.variants || []).map(variant => variant.sku).filter(Boolean) };
+    }),
+    variantRemovals,
+    inventoryDeltas,
+    skipped: mappingResults.skipped.map(({ id, title, skus, reason }) => ({ id, title, skus, reason })),
+    errors: mappingResults.errors,
+    stamps
+  };
+}
+
+// Location or customer plan from mapLocations / mapCustomers results, stamped from
+// the Shopify records they were mapped against
+function buildEntityPlan(mappingResults, shopifyRecords = []) {
+  const updatedAtById = new Map(shopifyRecords.map(record => [record.id, record.updatedAt]));
+  const stamps = {};
+  mappingResults.toUpdate.forEach(record => {
+    stamps[record.id] = updatedAtById.get(record.id) || null;
+  });
+
+  return {
+    summary: {
+      creates: mappingResults.toCreate.length,
+      updates: mappingResults.toUpdate.length,
+      errors: mappingResults.errors.length
+    },
+    creates: mappingResults.toCreate,
+    updates: mappingResults.toUpdate,
+    errors: mappingResults.errors,
+    stamps
+  };
+}
+
+// Tidy exclusions from a request: { skus, customers, locations } as string lists
+function normalizeExclusions(exclusions = {}) {
+  const list = value => [...new Set((Array.isArray(value) ? value : []).map(item => String(item).trim()).filter(Boolean))];
+  return {
+    skus: list(exclusions.skus),
+    customers: list(exclusions.customers),
+    locations: list(exclusions.locations)
+  };
+}
+
+/**
+ * The operations a plan would run once its exclusions are taken out, shaped like
+ * mapper results, plus the stamps of the records they touch.
+ * - SKUs exclude every product operation involving the SKU (a product is written
+ *   as a whole, so its other variants are left alone too)
+ * - customers match on Shopify ID, email or Unleashed customer code
+ * - locations match on Shopify ID, warehouse code or name
+ */
+function applyPlanExclusions(plan, exclusions = {}) {
+  const { skus, customers, locations } = normalizeExclusions(exclusions);
+  const excludedSkus = new Set(skus);
+  const excludedCustomers = new Set(customers.map(value => value.toLowerCase()));
+  const excludedLocations = new Set(locations.map(value => value.toLowerCase()));
+  const matches = (set, keys) => keys.filter(Boolean).some(key => set.has(String(key).toLowerCase()));
+
+  const removedSkus = new Map((plan.products?.variantRemovals || []).map(removal => [
+    removal.productId,
+    removal.variants.map(variant => variant.sku)
+  ]));
+  const keepProduct = product => ![
+    ...(product.variants || []).map(variant => variant.sku),
+    ...(product.skus || []),
+    ...(removedSkus.get(product.id) || [])
+  ].some(sku => excludedSkus.has(sku));
+  const keepCustomer = customer => !matches(excludedCustomers, [
+    customer.id,
+    customer.email,
+    (customer.metafields || []).find(metafield => metafield.key === 'customer_code')?.value
+  ]);
+  const keepLocation = location => !matches(excludedLocations, [location.id, location.warehouseCode, location.name]);
+
+  const operations = {
+    locations: {
+      toCreate: (plan.locations?.creates || []).filter(keepLocation),
+      toUpdate: (plan.locations?.updates || []).filter(keepLocation),
+      errors: []
+    },
+    customers: {
+      toCreate: (plan.customers?.creates || []).filter(keepCustomer),
+      toUpdate: (plan.customers?.updates || []).filter(keepCustomer),
+      errors: []
+    },
+    products: {
+      toCreate: (plan.products?.creates || []).filter(keepProduct),
+      toUpdate: (plan.products?.updates || []).filter(keepProduct),
+      toArchive: (plan.products?.archives || []).filter(keepProduct),
+      errors: []
+    }
+  };
+
+  // Only records that will actually be written need to be unchanged
+  const stamps = {};
+  const addStamps = (section, records) => records.forEach(record => {
+    if (record.id) stamps[record.id] = plan[section]?.stamps?.[record.id] || null;
+  });
+  addStamps('locations', operations.locations.toUpdate);
+  addStamps('customers', operations.customers.toUpdate);
+  addStamps('products', [...operations.products.toUpdate, ...operations.products.toArchive]);
+
+  const count = section => Object.values(operations[section]).reduce((sum, records) => sum + records.length, 0);
+  const planned = {
+    locations: (plan.locations?.creates?.length || 0) + (plan.locations?.updates?.length || 0),
+    customers: (plan.customers?.creates?.length || 0) + (plan.customers?.updates?.length || 0),
+    products: (plan.products?.creates?.length || 0) + (plan.products?.updates?.length || 0) + (plan.products?.archives?.length || 0)
+  };
+
+  return {
+    operations,
+    stamps,
+    excluded: {
+      locations: planned.locations - count('locations'),
+      customers: planned.customers - count('customers'),
+      products: planned.products - count('products')
+    }
+  };
+}
+
+export {
+  PLAN_SECTIONS,
+  createSyncPlan,
+  updateSyncPlan,
+  saveSyncPlanSection,
+  getSyncPlan,
+  getOpenHeldPlan,
+  setOpenHeldPlan,
+  clearOpenHeldPlan,
+  buildProductPlan,
+  buildEntityPlan,
+  normalizeExclusions,
+  applyPlanExclusions
+};
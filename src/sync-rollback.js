@@ -0,0 +1,197 @@
+/**
+ * Sync Run Rollback
+ * Puts back the products a run changed, from the snapshots product-snapshots.js took
+ * before each change. Every product is a ROLLBACK_PRODUCT message on PRODUCT_QUEUE,
+ * counted under a rollback run of its own. That run snapshots each product again
+ * before restoring it, so a rollback can itself be rolled back.
+ * - changed products get their title, status, tags, description, prices, metafield
+ *   values, variants and inventory back
+ * - products the run created are archived, not deleted
+ * Metafields that did not exist before the run are left in place.
+ */
+
+import { shopifyGraphQLWithRetry } from './product-mutations.js';
+import { snapshotProduct, getProductSnapshot, listProductSnapshots } from './product-snapshots.js';
+import { saveSyncRun, recordQueuedOperations } from './sync-runs.js';
+import { getAuthData } from './helpers.js';
+
+// Queue the rollback of a finished run. Returns null when the run left no snapshots.
+async function queueSyncRunRollback(env, run) {
+  const authData = await getAuthData(env, run.domain);
+  const snapshots = await listProductSnapshots(env.AUTH_STORE, run.syncId);
+  if (snapshots.length === 0) return null;
+
+  const rollbackSyncId = `rollback_${run.domain}_${Date.now()}`;
+  const now = new Date().toISOString();
+  await saveSyncRun(env.AUTH_STORE, rollbackSyncId, {
+    domain: run.domain,
+    type: 'rollback',
+    rollbackOf: run.syncId,
+    status: 'dispatched',
+    dispatchedAt: now
+  });
+
+  for (const snapshot of snapshots) {
+    await env.PRODUCT_QUEUE.send({
+      type: 'ROLLBACK_PRODUCT',
+      syncId: rollbackSyncId,
+      rollbackOf: run.syncId,
+      originalDomain: run.domain,
+      shopDomain: authData.shopify.shopDomain,
+      snapshotKey: snapshot.key,
+      productId: snapshot.productId,
+      timestamp: now
+    });
+  }
+
+  await recordQueuedOperations(env.AUTH_STORE, { syncId: rollbackSyncId, domain: run.domain, entity: 'products', queued: snapshots.length });
+  await saveSyncRun(env.AUTH_STORE, run.syncId, { rolledBackBy: rollbackSyncId, rolledBackAt: now });
+
+  const created = snapshots.filter(snapshot => snapshot.action === 'created').length;
+  console.log(`⏪ Queued rollback of ${run.syncId}: ${snapshots.length - created} restore(s), ${created} archive(s) - Sync ID: ${rollbackSyncId}`);
+  return { rollbackSyncId, restores: snapshots.length - created, archives: created };
+}
+
+// productSet input that returns a product to its snapshot. Variants still in Shopify
+// keep their IDs, deleted ones are re-created and ones added since are removed -
+// unless the snapshot's variant list is incomplete, in which case variants are not
+// touched at all.
+function buildRestoreInput(product, currentVariantIds) {
+  const input = {
+    id: product.id,
+    title: product.title,
+    status: product.status,
+    tags: product.tags || [],
+    productType: product.productType || '',
+    vendor: product.vendor || '',
+    descriptionHtml: product.descriptionHtml || ''
+  };
+
+  if (product.metafields?.length) {
+    input.metafields = product.metafields.map(({ namespace, key, type, value }) => ({ namespace, key, type, value }));
+  }
+
+  if (product.truncated?.includes('variants')) {
+    console.warn(`⚠️ Snapshot of ${product.title} has an incomplete variant list - restoring product fields only`);
+    return input;
+  }
+
+  const restoreInventory = !product.truncated?.includes('inventoryLevels');
+  input.productOptions = (product.options || []).map(option => ({
+    name: option.name,
+    values: option.optionValues.map(value => ({ name: value.name }))
+  }));
+  input.variants = product.variants.map(variant => {
+    const variantInput = {
+      sku: variant.sku,
+      price: variant.price,
+      compareAtPrice: variant.compareAtPrice || null,
+      inventoryPolicy: variant.inventoryPolicy || 'DENY',
+      inventoryItem: {
+        sku: variant.sku,
+        tracked: variant.inventoryItem?.tracked ?? false
+      },
+      optionValues: (variant.selectedOptions || []).map(option => ({ optionName: option.name, name: option.value }))
+    };
+
+    if (currentVariantIds.has(variant.id)) {
+      variantInput.id = variant.id;
+    }
+
+    const metafields = (variant.metafields || []).filter(mf => mf.namespace && mf.type);
+    if (metafields.length > 0) {
+      variantInput.metafields = metafields.map(({ namespace, key, type, value }) => ({ namespace, key, type, value }));
+    }
+
+    if (restoreInventory && variant.inventoryItem?.tracked) {
+      variantInput.inventoryQuantities = (variant.inventoryItem.inventoryLevels?.nodes || []).map(level => ({
+        locationId: level.location.id,
+        name: 'available',
+        quantity: level.quantities?.[0]?.quantity ?? 0
+      }));
+    }
+
+    return variantInput;
+  });
+
+  return input;
+}
+
+// Process a ROLLBACK_PRODUCT queue message
+async function handleProductRollbackMessage(message, env) {
+  console.log(`⏪ Rolling back product ${message.productId} (sync ${message.rollbackOf})`);
+
+  try {
+    const authData = await getAuthData(env, message.originalDomain);
+    const baseUrl = `https://${message.shopDomain}/admin/api/2025-04`;
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': authData.shopify.accessToken
+    };
+
+    const snapshot = await getProductSnapshot(env.AUTH_STORE, message.snapshotKey);
+    if (!snapshot) {
+      throw new Error(`Snapshot ${message.snapshotKey} not found (snapshots are kept for 7 days)`);
+    }
+
+    // The product as it is now, kept under the rollback run
+    const current = await snapshotProduct(env.AUTH_STORE, {
+      syncId: message.syncId,
+      baseUrl,
+      headers,
+      productId: snapshot.productId
+    });
+
+    let result;
+    if (snapshot.action === 'created') {
+      const { data } = await shopifyGraphQLWithRetry(`${baseUrl}/graphql.json`, headers, {
+        query: `
+          mutation productUpdate($input: ProductInput!) {
+            productUpdate(input: $input) {
+              product { id title status }
+              userErrors { field message }
+            }
+          }
+        `,
+        variables: { input: { id: snapshot.productId, status: 'ARCHIVED' } }
+      });
+      if (data.errors || data.data.productUpdate.userErrors.length > 0) {
+        throw new Error(`Archive failed: ${JSON.stringify(data.errors || data.data.productUpdate.userErrors)}`);
+      }
+      result = data.data.productUpdate.product;
+      console.log(`🗄️ Archived ${result.title} (created by ${message.rollbackOf})`);
+    } else {
+      const currentVariantIds = new Set((current.product?.variants || []).map(variant => variant.id));
+      const { data } = await shopifyGraphQLWithRetry(`${baseUrl}/graphql.json`, headers, {
+        query: `
+          mutation productSet($input: ProductSetInput!) {
+            productSet(input: $input) {
+              product { id title status }
+              userErrors { field message }
+            }
+          }
+        `,
+        variables: { input: buildRestoreInput(snapshot.product, currentVariantIds) }
+      });
+      if (data.errors && data.errors.length) {
+        throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+      }
+      if (data.data?.productSet?.userErrors?.length) {
+        throw new Error(`Product errors: ${JSON.stringify(data.data.productSet.userErrors)}`);
+      }
+      result = data.data.productSet.product;
+      console.log(`✅ Restored ${result.title} to its state before ${message.rollbackOf}`);
+    }
+
+    return { success: true, result };
+  } catch (error) {
+    console.error(`❌ Rollback of product ${message.productId} failed:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+export {
+  queueSyncRunRollback,
+  buildRestoreInput,
+  handleProductRollbackMessage
+};
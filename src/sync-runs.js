@@ -0,0 +1,224 @@
+/**
+ * Sync Runs
+ * A run record per syncId in KV: step states, queued counts, timestamps and errors.
+ * The record is written by whoever dispatches the work (the comprehensive sync job,
+ * or a *ViaQueue function for standalone syncs). Queue consumers run concurrently,
+ * so each message's outcome gets its own key (with the outcome in the key metadata)
+ * instead of a shared counter; getSyncRunStatus adds them up.
+ * Tracking is best effort - a KV error here never fails a sync.
+ */
+
+const SYNC_RUN_PREFIX = 'sync_run:'; // KV key prefix for run records and their operation outcomes
+const SYNC_RUN_INDEX_PREFIX = 'sync_runs:'; // KV key prefix for the per-domain list of recent runs
+const SYNC_RUN_TTL = 60 * 60 * 24 * 7; // Keep runs for a week
+const SYNC_RUN_DATA_TTL = 60 * 60 * 24; // Pulled data parked between steps of a run
+const MAX_RUNS_PER_DOMAIN = 50;
+const MAX_ERRORS_REPORTED = 50;
+
+// Queue message type -> entity the outcome is counted under
+const OPERATION_ENTITIES = {
+  CREATE_PRODUCT: 'products',
+  UPDATE_PRODUCT: 'products',
+  ARCHIVE_PRODUCT: 'products',
+  ROLLBACK_PRODUCT: 'products',
+  RESYNC_PRODUCT_GROUP: 'resync',
+  SET_INVENTORY_QUANTITIES: 'inventory',
+  CREATE_LOCATION: 'locations',
+  UPDATE_LOCATION: 'locations',
+  CREATE_CUSTOMER: 'customers',
+  UPDATE_CUSTOMER: 'customers',
+  FETCH_CUSTOMER_CONTACTS: 'contacts'
+};
+
+// Helper: KV keys for a run
+const runKey = syncId => `${SYNC_RUN_PREFIX}${syncId}`;
+const operationPrefix = syncId => `${SYNC_RUN_PREFIX}${syncId}:op:`;
+const indexKey = domain => `${SYNC_RUN_INDEX_PREFIX}${domain}`;
+const dataKey = syncId => `${SYNC_RUN_PREFIX}${syncId}:data`;
+
+// Read a run record (null when unknown or expired)
+async function getSyncRun(kvStore, syncId) {
+  const raw = await kvStore.get(runKey(syncId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Create or update a run record. `steps` and `queued` are merged per key so each
+ * step can be updated on its own. A new run needs `domain` and is added to that
+ * domain's list of recent runs.
+ */
+async function saveSyncRun(kvStore, syncId, changes) {
+  try {
+    const existing = await getSyncRun(kvStore, syncId);
+    const now = new Date().toISOString();
+    const run = {
+      syncId,
+      type: 'sync',
+      status: 'queued',
+      createdAt: now,
+      ...existing,
+      ...changes,
+      steps: { ...existing?.steps, ...changes.steps },
+      queued: { ...existing?.queued, ...changes.queued },
+      updatedAt: now
+    };
+    await kvStore.put(runKey(syncId), JSON.stringify(run), { expirationTtl: SYNC_RUN_TTL });
+
+    if (!existing && run.domain) {
+      const raw = await kvStore.get(indexKey(run.domain));
+      const runs = raw ? JSON.parse(raw) : [];
+      runs.unshift({ syncId, type: run.type, createdAt: run.createdAt });
+      await kvStore.put(indexKey(run.domain), JSON.stringify(runs.slice(0, MAX_RUNS_PER_DOMAIN)));
+    }
+    return run;
+  } catch (error) {
+    console.warn(`⚠️ Could not save sync run ${syncId}: ${error.message}`);
+    return null;
+  }
+}
+
+// Record how many messages were queued for an entity. Standalone syncs (no run yet)
+// get a run of their own, already dispatched.
+async function recordQueuedOperations(kvStore, { syncId, domain, entity, queued }) {
+  const existing = await getSyncRun(kvStore, syncId).catch(() => null);
+  return saveSyncRun(kvStore, syncId, {
+    ...(existing ? {} : { domain, type: entity, status: 'dispatched' }),
+    queued: { [entity]: (existing?.queued?.[entity] || 0) + queued }
+  });
+}
+
+// Record the outcome of one queue message. Keyed by the queue message id, so a
+// retried message overwrites its earlier failure; a failure that will be retried
+// (`retrying`) still counts as pending.
+async function recordSyncOperation(kvStore, messageBody, messageId, { success, error = null, retrying = false }) {
+  const entity = OPERATION_ENTITIES[messageBody?.type];
+  if (!messageBody?.syncId || !entity) return;
+
+  try {
+    await kvStore.put(`${operationPrefix(messageBody.syncId)}${entity}:${messageId}`, '', {
+      expirationTtl: SYNC_RUN_TTL,
+      metadata: {
+        type: messageBody.type,
+        success,
+        retrying,
+        // KV metadata is capped at 1KB
+        error: error ? String(error).slice(0, 400) : null,
+        at: new Date().toISOString()
+      }
+    });
+  } catch (err) {
+    console.warn(`⚠️ Could not record ${messageBody.type} outcome for sync ${messageBody.syncId}: ${err.message}`);
+  }
+}
+
+/**
+ * Full status of a run: the record plus per-entity queued/succeeded/failed/retrying/
+ * pending counts and the latest errors. Dispatched runs report `processing` until
+ * every queued message has a final outcome.
+ */
+async function getSyncRunStatus(kvStore, syncId) {
+  const run = await getSyncRun(kvStore, syncId);
+  if (!run) return null;
+
+  const operations = {};
+  const errors = [];
+  let cursor;
+  do {
+    const page = await kvStore.list({ prefix: operationPrefix(syncId), cursor });
+    page.keys.forEach(({ name, metadata }) => {
+      const entity = name.slice(operationPrefix(syncId).length).split(':')[0];
+      operations[entity] = operations[entity] || { queued: 0, succeeded: 0, failed: 0, retrying: 0, pending: 0 };
+      if (metadata?.success) {
+        operations[entity].succeeded++;
+      } else if (metadata?.retrying) {
+        operations[entity].retrying++;
+      } else {
+        operations[entity].failed++;
+        errors.push({ entity, type: metadata?.type, error: metadata?.error, at: metadata?.at });
+      }
+    });
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  Object.entries(run.queued || {}).forEach(([entity, queued]) => {
+    operations[entity] = operations[entity] || { queued: 0, succeeded: 0, failed: 0, retrying: 0, pending: 0 };
+    operations[entity].queued = queued;
+  });
+  Object.values(operations).forEach(counts => {
+    counts.pending = Math.max(0, counts.queued - counts.succeeded - counts.failed);
+  });
+
+  const pending = Object.values(operations).reduce((sum, counts) => sum + counts.pending, 0);
+  const failed = Object.values(operations).reduce((sum, counts) => sum + counts.failed, 0);
+  let status = run.status;
+  if (run.status === 'dispatched') {
+    status = pending > 0 ? 'processing' : (failed > 0 ? 'completed_with_errors' : 'completed');
+  }
+
+  errors.sort((a, b) => String(b.at).localeCompare(String(a.at)));
+  return {
+    ...run,
+    status,
+    operations,
+    errors: [...(run.errors || []), ...errors].slice(0, MAX_ERRORS_REPORTED)
+  };
+}
+
+// Most recent runs for a domain (newest first), with their stored status - use
+// getSyncRunStatus for the live progress of a dispatched run
+async function listSyncRuns(kvStore, domain, limit = 20) {
+  const raw = await kvStore.get(indexKey(domain));
+  const runs = raw ? JSON.parse(raw) : [];
+  const records = await Promise.all(runs.slice(0, limit).map(entry => getSyncRun(kvStore, entry.syncId)));
+  return records.filter(Boolean).map(run => ({
+    syncId: run.syncId,
+    type: run.type,
+    mode: run.mode || null,
+    scope: run.scope || null,
+    trigger: run.trigger || null,
+    status: run.status,
+    queued: run.queued,
+    createdAt: run.createdAt,
+    updatedAt: run.updatedAt,
+    dispatchedAt: run.dispatchedAt || null,
+    completedAt: run.completedAt || null
+  }));
+}
+
+// Park a run's pulled data for a later step - it's far too large for a queue message.
+// Returns false when it couldn't be stored (e.g. over the KV value limit).
+async function saveSyncRunData(kvStore, syncId, data) {
+  try {
+    await kvStore.put(dataKey(syncId), JSON.stringify(data), { expirationTtl: SYNC_RUN_DATA_TTL });
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Could not park pulled data for ${syncId}:`, error.message);
+    return false;
+  }
+}
+
+// Read parked data (null when none was stored or it expired)
+async function getSyncRunData(kvStore, syncId) {
+  const raw = await kvStore.get(dataKey(syncId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function deleteSyncRunData(kvStore, syncId) {
+  try {
+    await kvStore.delete(dataKey(syncId));
+  } catch (error) {
+    console.warn(`⚠️ Could not delete parked data for ${syncId}:`, error.message);
+  }
+}
+
+export {
+  getSyncRun,
+  saveSyncRun,
+  saveSyncRunData,
+  getSyncRunData,
+  deleteSyncRunData,
+  recordQueuedOperations,
+  recordSyncOperation,
+  getSyncRunStatus,
+  listSyncRuns
+};
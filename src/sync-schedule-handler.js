@@ -0,0 +1,37 @@
+/**
+ * Sync Schedule Handler
+ * Read and replace a domain's sync schedule (sync-scheduler.js)
+ */
+
+import { normalizeSyncSchedule, getSyncSchedule, saveSyncSchedule, getScheduleState } from './sync-scheduler.js';
+import { settingsRoutes } from './settings-route.js';
+
+const routes = settingsRoutes({
+  key: 'schedule',
+  label: 'sync schedule',
+  invalidError: 'Invalid schedule',
+  get: getSyncSchedule,
+  normalize: normalizeSyncSchedule,
+  save: saveSyncSchedule,
+  read: async (kvStore, domain) => {
+    const [schedule, lastRuns] = await Promise.all([
+      getSyncSchedule(kvStore, domain),
+      getScheduleState(kvStore, domain)
+    ]);
+    return { schedule, lastRuns };
+  },
+  log: ({ domain, saved }) => console.log(`🗓️ Sync schedule updated for ${domain}: ${saved.jobs.length} job(s), ${saved.blackouts.length} blackout(s)`)
+});
+
+/**
+ * GET /api/v2/sync-schedule?domain=example.com
+ * The domain's schedule (null when it has none) and when each job last ran
+ */
+export const handleGetSyncSchedule = routes.handleGet;
+
+/**
+ * POST /api/v2/sync-schedule
+ * Body: { domain, schedule: { enabled, timezone, jobs: [], blackouts: [] } } -
+ * replaces the domain's schedule
+ */
+export const handleSaveSyncSchedule = routes.handleSave;
@@ -0,0 +1,251 @@
+/**
+ * Sync Scheduler
+ * The main worker's cron runs every few minutes and starts the syncs each domain
+ * has scheduled (`sync_schedule:{domain}`). A schedule lists jobs - a sync scope
+ * and mode, run every N minutes or daily at a local time - plus blackout windows
+ * in which nothing is started. When several jobs are due, the first one listed is
+ * queued and the rest wait for a later tick. A domain with a run still in progress
+ * is skipped, so scheduled runs never overlap each other or a manual sync. Jobs that
+ * sync products also wait while a safety guard's held plan is neither executed nor
+ * discarded - each of them would only be held again. The held plan is tracked per
+ * domain (`sync_held_plan:{domain}`, see sync-plans.js).
+ *
+ * When each job was last queued is kept apart from the schedule
+ * (`sync_schedule_state:{domain}`), so saving a schedule doesn't reset it.
+ */
+
+import { queueComprehensiveSync } from './comprehensive-sync-handler.js';
+import { listSyncRuns, getSyncRunStatus } from './sync-runs.js';
+import { getOpenHeldPlan } from './sync-plans.js';
+
+const SYNC_SCHEDULE_PREFIX = 'sync_schedule:'; // KV key prefix for per-domain schedules
+const SCHEDULE_STATE_PREFIX = 'sync_schedule_state:'; // KV key prefix for when each job last ran
+const SCHEDULE_SCOPES = ['comprehensive', 'locations', 'customers', 'products', 'inventory'];
+const SCHEDULE_MODES = ['full', 'incremental'];
+const MIN_INTERVAL_MINUTES = 5; // The cron trigger's own interval
+const CRON_JITTER_MS = 60 * 1000; // Cron ticks drift - count a job due up to a minute early
+const STALE_RUN_MS = 6 * 60 * 60 * 1000; // A run still "in progress" after 6 hours is stuck, not running
+const ACTIVE_RUN_STATUSES = ['queued', 'running', 'waiting_for_locations', 'dispatched'];
+const PRODUCT_SCOPES = ['comprehensive', 'products']; // Scopes a safety guard can hold
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Helper: "HH:MM" -> minutes since midnight
+function parseClockTime(value, field) {
+  const match = String(value || '').match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  if (!match) throw new Error(`${field} must be a time as HH:MM (24-hour)`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Helper: local weekday, date and minutes since midnight in a time zone
+function localClock(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    day: parts.weekday.toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// Validate a schedule from a request - throws with the first problem found
+function normalizeSyncSchedule(input = {}) {
+  const timezone = input.timezone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+
+  const jobs = (Array.isArray(input.jobs) ? input.jobs : []).map((job, index) => {
+    const field = `jobs[${index}]`;
+    const scope = job.scope || 'comprehensive';
+    const mode = job.mode || 'incremental';
+    if (!SCHEDULE_SCOPES.includes(scope)) {
+      throw new Error(`${field}.scope must be one of ${SCHEDULE_SCOPES.join(', ')}`);
+    }
+    if (!SCHEDULE_MODES.includes(mode)) {
+      throw new Error(`${field}.mode must be one of ${SCHEDULE_MODES.join(', ')}`);
+    }
+    if ((job.everyMinutes === undefined) === (job.at === undefined)) {
+      throw new Error(`${field} needs either everyMinutes or at (daily local time)`);
+    }
+
+    const normalized = { name: String(job.name || `${scope}-${mode}`), scope, mode };
+    if (job.at !== undefined) {
+      parseClockTime(job.at, `${field}.at`);
+      normalized.at = job.at;
+    } else {
+      const everyMinutes = Number(job.everyMinutes);
+      if (!Number.isInteger(everyMinutes) || everyMinutes < MIN_INTERVAL_MINUTES) {
+        throw new Error(`${field}.everyMinutes must be a whole number of at least ${MIN_INTERVAL_MINUTES}`);
+      }
+      normalized.everyMinutes = everyMinutes;
+    }
+    return normalized;
+  });
+
+  const names = jobs.map(job => job.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Job names must be unique - "${duplicate}" is used twice (set name on one of them)`);
+  }
+
+  const blackouts = (Array.isArray(input.blackouts) ? input.blackouts : []).map((window, index) => {
+    const field = `blackouts[${index}]`;
+    parseClockTime(window.start, `${field}.start`);
+    parseClockTime(window.end, `${field}.end`);
+    const days = Array.isArray(window.days) ? window.days.map(day => String(day).slice(0, 3).toLowerCase()) : null;
+    if (days && days.some(day => !DAYS.includes(day))) {
+      throw new Error(`${field}.days must be weekday names (mon, tue, ...)`);
+    }
+    return { start: window.start, end: window.end, days };
+  });
+
+  return { enabled: input.enabled !== false, timezone, jobs, blackouts };
+}
+
+async function getSyncSchedule(kvStore, domain) {
+  const raw = await kvStore.get(`${SYNC_SCHEDULE_PREFIX}${domain}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+// Replace a domain's schedule with one from normalizeSyncSchedule
+async function saveSyncSchedule(kvStore, domain, normalized) {
+  const schedule = { ...normalized, updatedAt: new Date().toISOString() };
+  await kvStore.put(`${SYNC_SCHEDULE_PREFIX}${domain}`, JSON.stringify(schedule));
+  return schedule;
+}
+
+async function getScheduleState(kvStore, domain) {
+  const raw = await kvStore.get(`${SCHEDULE_STATE_PREFIX}${domain}`);
+  return raw ? JSON.parse(raw) : {};
+}
+
+// Blackout window containing the local time, if any. A window whose end is before
+// its start runs past midnight; `days` are matched against the current local day.
+function findBlackout(schedule, clock) {
+  return schedule.blackouts.find(window => {
+    if (window.days && !window.days.includes(clock.day)) return false;
+    const start = parseClockTime(window.start, 'start');
+    const end = parseClockTime(window.end, 'end');
+    return start <= end
+      ? clock.minutes >= start && clock.minutes < end
+      : clock.minutes >= start || clock.minutes < end;
+  }) || null;
+}
+
+// Whether a job is due: a daily job once its local time has passed and it hasn't run
+// on that local date, an interval job once everyMinutes have gone by since it last ran
+function isJobDue(job, lastRun, clock, now) {
+  if (job.at !== undefined) {
+    return clock.minutes >= parseClockTime(job.at, 'at') && lastRun?.localDate !== clock.date;
+  }
+  return !lastRun || now.getTime() - Date.parse(lastRun.queuedAt) >= job.everyMinutes * 60 * 1000 - CRON_JITTER_MS;
+}
+
+// The domain's most recent run that hasn't finished yet (null when there is none)
+async function findRunInProgress(kvStore, domain, now) {
+  const runs = await listSyncRuns(kvStore, domain, 10);
+  for (const run of runs) {
+    if (run.completedAt || !ACTIVE_RUN_STATUSES.includes(run.status)) continue;
+    if (now.getTime() - Date.parse(run.createdAt) > STALE_RUN_MS) continue;
+    if (run.status === 'dispatched') {
+      // Dispatched runs are finished once every queued message has an outcome
+      const status = await getSyncRunStatus(kvStore, run.syncId);
+      if (status?.status !== 'processing') continue;
+    }
+    return run;
+  }
+  return null;
+}
+
+// Check one domain's schedule and queue its first due job
+async function runScheduleForDomain(env, domain, now) {
+  const schedule = await getSyncSchedule(env.AUTH_STORE, domain);
+  if (!schedule?.enabled || schedule.jobs.length === 0) {
+    return { domain, skipped: 'disabled' };
+  }
+  if (!await env.AUTH_STORE.get(domain)) {
+    return { domain, skipped: 'no_auth' };
+  }
+
+  const clock = localClock(now, schedule.timezone);
+  const blackout = findBlackout(schedule, clock);
+  if (blackout) {
+    console.log(`🌙 ${domain}: blackout ${blackout.start}-${blackout.end} (${schedule.timezone}) - nothing started`);
+    return { domain, skipped: 'blackout', blackout };
+  }
+
+  const state = await getScheduleState(env.AUTH_STORE, domain);
+  let due = schedule.jobs.filter(job => isJobDue(job, state[job.name], clock, now));
+  if (due.some(job => PRODUCT_SCOPES.includes(job.scope))) {
+    const heldPlan = await getOpenHeldPlan(env.AUTH_STORE, domain);
+    if (heldPlan) {
+      const waiting = due.filter(job => PRODUCT_SCOPES.includes(job.scope));
+      console.log(`🛑 ${domain}: ${waiting.map(job => job.name).join(', ')} wait for held plan ${heldPlan.planId} to be executed or discarded`);
+      due = due.filter(job => !PRODUCT_SCOPES.includes(job.scope));
+      if (due.length === 0) {
+        return { domain, skipped: 'held_plan', planId: heldPlan.planId, due: waiting.map(job => job.name) };
+      }
+    }
+  }
+  if (due.length === 0) {
+    return { domain, due: [] };
+  }
+
+  const active = await findRunInProgress(env.AUTH_STORE, domain, now);
+  if (active) {
+    console.log(`⏭️ ${domain}: ${due.map(job => job.name).join(', ')} due, but run ${active.syncId} is still ${active.status}`);
+    return { domain, skipped: 'run_in_progress', syncId: active.syncId, due: due.map(job => job.name) };
+  }
+
+  const job = due[0];
+  const message = await queueComprehensiveSync(env, { domain, mode: job.mode, scope: job.scope, trigger: 'schedule' });
+  state[job.name] = { queuedAt: now.toISOString(), localDate: clock.date, syncId: message.syncId };
+  await env.AUTH_STORE.put(`${SCHEDULE_STATE_PREFIX}${domain}`, JSON.stringify(state));
+
+  console.log(`⏰ ${domain}: queued scheduled ${job.name} - Sync ID: ${message.syncId}`);
+  return { domain, queued: job.name, syncId: message.syncId, due: due.map(dueJob => dueJob.name) };
+}
+
+// Cron entry point: run the schedule of every domain that has one
+async function runScheduledSyncs(env, now = new Date()) {
+  const domains = [];
+  let cursor;
+  do {
+    const page = await env.AUTH_STORE.list({ prefix: SYNC_SCHEDULE_PREFIX, cursor });
+    page.keys.forEach(key => domains.push(key.name.slice(SYNC_SCHEDULE_PREFIX.length)));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  console.log(`⏰ Scheduled syncs: ${domains.length} domain(s) with a schedule`);
+
+  const summary = [];
+  for (const domain of domains) {
+    try {
+      summary.push(await runScheduleForDomain(env, domain, now));
+    } catch (error) {
+      console.error(`🚨 Scheduled sync failed for ${domain}:`, error);
+      summary.push({ domain, error: error.message });
+    }
+  }
+  return summary;
+}
+
+export {
+  normalizeSyncSchedule,
+  localClock,
+  findBlackout,
+  isJobDue,
+  getSyncSchedule,
+  saveSyncSchedule,
+  getScheduleState,
+  runScheduledSyncs
+};
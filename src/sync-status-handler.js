@@ -0,0 +1,110 @@
+/**
+ * Sync Status Handler
+ * Endpoints over the run records kept by sync-runs.js - read-only, apart from
+ * rolling a finished run back
+ */
+
+import { getSyncRunStatus, listSyncRuns } from './sync-runs.js';
+import { queueSyncRunRollback } from './sync-rollback.js';
+import { jsonResponse } from './helpers.js';
+
+// Run states after which nothing more is written, so a rollback can't race the run
+const FINISHED_STATUSES = ['completed', 'completed_with_errors', 'timed_out', 'held', 'failed'];
+
+/**
+ * GET /api/v2/sync-status/:syncId
+ * Step states, per-entity queued/succeeded/failed/pending counts, errors and timestamps
+ */
+export async function handleSyncStatus(request, env, syncId) {
+  try {
+    const run = await getSyncRunStatus(env.AUTH_STORE, decodeURIComponent(syncId));
+    if (!run) {
+      return jsonResponse({
+        error: 'Sync run not found',
+        details: `No run recorded for ${syncId} (runs are kept for 7 days)`
+      }, 404);
+    }
+    return jsonResponse(run);
+  } catch (error) {
+    console.error('❌ Error reading sync status:', error);
+    return jsonResponse({ error: 'Failed to read sync status', details: error.message }, 500);
+  }
+}
+
+/**
+ * GET /api/v2/sync-runs?domain=example.com&limit=20
+ * Recent runs for a domain, newest first
+ */
+export async function handleSyncRuns(request, env) {
+  try {
+    const url = new URL(request.url);
+    let domain = url.searchParams.get('domain');
+    if (!domain) {
+      return jsonResponse({
+        error: 'Domain is required',
+        details: 'Pass the domain as a query parameter: ?domain=example.com'
+      }, 400);
+    }
+
+    // Clean the domain (remove protocol and path)
+    domain = domain.replace(/^https?:\/\//, '').split('/')[0];
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 20, 1), 50);
+
+    const runs = await listSyncRuns(env.AUTH_STORE, domain, limit);
+    return jsonResponse({ domain, runs });
+  } catch (error) {
+    console.error('❌ Error listing sync runs:', error);
+    return jsonResponse({ error: 'Failed to list sync runs', details: error.message }, 500);
+  }
+}
+
+/**
+ * POST /api/v2/sync-runs/:syncId/rollback
+ * Restores every product the run changed to its pre-run snapshot and archives the
+ * products it created. The rollback runs as a sync run of its own.
+ */
+export async function handleSyncRunRollback(request, env, syncId) {
+  try {
+    const run = await getSyncRunStatus(env.AUTH_STORE, decodeURIComponent(syncId));
+    if (!run) {
+      return jsonResponse({
+        error: 'Sync run not found',
+        details: `No run recorded for ${syncId} (runs are kept for 7 days)`
+      }, 404);
+    }
+    if (run.rolledBackBy) {
+      return jsonResponse({
+        error: 'Sync run already rolled back',
+        details: `Rolled back by ${run.rolledBackBy} at ${run.rolledBackAt}`
+      }, 409);
+    }
+    if (!FINISHED_STATUSES.includes(run.status)) {
+      return jsonResponse({
+        error: `Sync run is ${run.status}`,
+        details: 'Only a finished run can be rolled back'
+      }, 409);
+    }
+
+    const rollback = await queueSyncRunRollback(env, run);
+    if (!rollback) {
+      return jsonResponse({
+        error: 'Nothing to roll back',
+        details: `Run ${run.syncId} has no product snapshots (it changed no products, or they have expired)`
+      }, 409);
+    }
+
+    return jsonResponse({
+      success: true,
+      rollbackOf: run.syncId,
+      syncId: rollback.rollbackSyncId,
+      restores: rollback.restores,
+      archives: rollback.archives,
+      monitoring: {
+        checkStatus: `/api/v2/sync-status/${rollback.rollbackSyncId}`
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error rolling back sync run:', error);
+    return jsonResponse({ error: 'Failed to roll back sync run', details: error.message }, 500);
+  }
+}
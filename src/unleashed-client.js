@@ -0,0 +1,160 @@
+/**
+ * Unleashed API Client
+ * Signs every request and retries transient failures (429 / 5xx / timeouts) with
+ * back-off, pacing requests per tenant so parallel fetches don't trip rate limits.
+ * Writes are only retried on 429 unless the caller marks them idempotent.
+ */
+
+const UNLEASHED_API_BASE = 'https://api.unleashedsoftware.com';
+const DEFAULT_TIMEOUT_MS = 30000; // Abort a single attempt after 30s
+const MIN_REQUEST_INTERVAL_MS = 100; // Minimum gap between requests for the same tenant
+
+// Per-tenant pacing state (apiId -> earliest time the next request may start).
+// Lives for the Worker isolate, which is the scope our rate limiting matters in.
+const nextRequestAt = new Map();
+
+// Helper: Generate HMAC-SHA256 signature for Unleashed API authentication
+async function generateUnleashedSignature(queryString, apiKey) {
+  const encoder = new TextEncoder();
+  const keyBuffer = encoder.encode(apiKey);
+  const dataBuffer = encoder.encode(queryString);
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    keyBuffer,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', cryptoKey, dataBuffer);
+  const base64Signature = btoa(String.fromCharCode(...new Uint8Array(signature)));
+  return base64Signature;
+}
+
+// Helper: Create headers for Unleashed API requests
+async function createUnleashedHeaders(endpoint, apiKey, apiId) {
+  const url = new URL(endpoint);
+  const queryString = url.search ? url.search.substring(1) : '';
+  const signature = await generateUnleashedSignature(queryString, apiKey);
+  return {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json',
+    'api-auth-id': apiId,
+    'api-auth-signature': signature,
+    'Client-Type': 'kilr/unleashedshopify'
+  };
+}
+
+// Accept either a full URL or a path relative to the Unleashed API root
+function resolveUnleashedUrl(endpoint) {
+  if (/^https?:\/\//.test(endpoint)) return endpoint;
+  return `${UNLEASHED_API_BASE}/${endpoint.replace(/^\/+/, '')}`;
+}
+
+// Wait for this tenant's next request slot
+async function paceTenant(apiId) {
+  const now = Date.now();
+  const slot = Math.max(now, nextRequestAt.get(apiId) || 0);
+  nextRequestAt.set(apiId, slot + MIN_REQUEST_INTERVAL_MS);
+  if (slot > now) {
+    await new Promise(r => setTimeout(r, slot - now));
+  }
+}
+
+// Retry-After may be delta-seconds or an HTTP date
+function parseRetryAfter(headerValue) {
+  if (!headerValue) return null;
+  const seconds = Number(headerValue);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(headerValue);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Signed request to Unleashed with retry. Resolves with the final Response (which
+ * may still be a non-retryable 4xx); throws once retries are exhausted.
+ * A timed-out or 5xx write may already have been applied, so non-GET requests are
+ * retried on 429 only - pass `idempotent: true` when a repeat is harmless (e.g. the
+ * body carries a Guid the caller set).
+ */
+async function unleashedFetch(endpoint, authData, {
+  method = 'GET',
+  body = undefined,
+  headers = {},
+  idempotent = method === 'GET',
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000
+} = {}) {
+  const url = resolveUnleashedUrl(endpoint);
+  let attempt = 0;
+
+  while (true) {
+    await paceTenant(authData.apiId);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let response = null;
+    let failure = null;
+
+    try {
+      response = await fetch(url, {
+        method,
+        headers: { ...await createUnleashedHeaders(url, authData.apiKey, authData.apiId), ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      failure = error.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : error.message;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const retryable = failure !== null || response.status === 429 || response.status >= 500;
+    if (!retryable) {
+      return response;
+    }
+
+    const reason = failure || `HTTP ${response.status}`;
+    if (!idempotent && response?.status !== 429) {
+      throw new Error(`Unleashed ${method} ${new URL(url).pathname} failed (${reason}) - not retried, it may have been applied`);
+    }
+    if (attempt >= maxRetries) {
+      throw new Error(`Unleashed ${method} ${new URL(url).pathname} failed after ${maxRetries} retries: ${reason}`);
+    }
+
+    let waitMs = Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
+    if (response && response.status === 429) {
+      const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+      if (retryAfter !== null) waitMs = Math.min(Math.max(retryAfter, waitMs), maxDelayMs);
+      // Push the whole tenant back, not just this request
+      nextRequestAt.set(authData.apiId, Math.max(nextRequestAt.get(authData.apiId) || 0, Date.now() + waitMs));
+    }
+
+    console.warn(`⚠️ Unleashed ${reason} on ${new URL(url).pathname} – retrying in ${waitMs}ms (attempt ${attempt + 1}/${maxRetries})`);
+    await new Promise(r => setTimeout(r, waitMs));
+    attempt++;
+  }
+}
+
+/**
+ * Signed request that returns the parsed JSON body, throwing on a non-OK response.
+ * The thrown error carries the HTTP status as `error.status`.
+ */
+async function unleashedRequest(endpoint, authData, options = {}) {
+  const response = await unleashedFetch(endpoint, authData, options);
+  if (!response.ok) {
+    const error = new Error(`${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+export {
+  UNLEASHED_API_BASE,
+  generateUnleashedSignature,
+  createUnleashedHeaders,
+  unleashedFetch,
+  unleashedRequest
+};
@@ -0,0 +1,112 @@
+/**
+ * Unleashed Webhook Handler
+ * Receives Unleashed webhook notifications (product updated, stock changed), verifies
+ * the signature and queues a targeted resync of the affected product group
+ */
+
+import { queueProductResync } from './product-resync.js';
+import { jsonResponse, verifyHmacSignature } from './helpers.js';
+
+// Event types that can change what Shopify shows for a product
+const RESYNC_EVENT_PATTERN = /^(product|stockonhand|stock)\./i;
+
+// Pull the product reference out of a notification. Product events carry the product
+// itself, stock events carry it under Product; some only carry the Guid.
+function getProductReference(notification) {
+  const data = notification.data || notification.Data || {};
+  const product = data.Product || data.product || data;
+  return {
+    productCode: product.ProductCode || product.productCode || null,
+    productGuid: product.Guid || product.guid || data.ProductGuid || data.productGuid || null
+  };
+}
+
+/**
+ * Handler for Unleashed webhook notifications.
+ * The tenant is taken from ?domain= (the KV auth key). The body may hold one
+ * notification or an array of them; each product/stock event queues a
+ * RESYNC_PRODUCT_GROUP message on PRODUCT_QUEUE. Other events are acknowledged
+ * and ignored.
+ */
+export async function handleUnleashedWebhook(request, env) {
+  try {
+    const rawBody = await request.text();
+    const url = new URL(request.url);
+    let domain = url.searchParams.get('domain');
+
+    if (!domain) {
+      return jsonResponse({
+        error: 'Domain is required',
+        details: 'Pass ?domain= on the webhook URL registered in Unleashed.'
+      }, 400);
+    }
+
+    // Clean the domain (remove protocol and path)
+    domain = domain.replace(/^https?:\/\//, '').split('/')[0];
+
+    // Rejected outright - a 500 would only have Unleashed retry a tenant that doesn't exist
+    const authString = await env.AUTH_STORE.get(domain);
+    if (!authString) {
+      console.warn(`🚫 Rejected Unleashed webhook: unknown domain ${domain}`);
+      return jsonResponse({ error: 'Unknown domain', details: `No authentication data found for domain: ${domain}` }, 404);
+    }
+    const authData = JSON.parse(authString);
+    if (!authData.unleashed || !authData.shopify) {
+      throw new Error('Invalid authentication data structure');
+    }
+
+    const secret = authData.unleashed.webhookSecret || env.UNLEASHED_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('No Unleashed webhook secret configured for this domain');
+    }
+
+    const verified = await verifyHmacSignature(rawBody, request.headers.get('X-Unleashed-Signature'), secret);
+    if (!verified) {
+      console.warn(`🚫 Rejected Unleashed webhook for ${domain}: signature verification failed`);
+      return jsonResponse({ error: 'Invalid webhook signature' }, 401);
+    }
+
+    const payload = JSON.parse(rawBody);
+    const notifications = Array.isArray(payload) ? payload : [payload];
+    console.log(`🔔 Received ${notifications.length} Unleashed notification(s) for ${domain}`);
+
+    const results = { queued: [], ignored: [] };
+    const seen = new Set();
+
+    for (const notification of notifications) {
+      const event = notification.eventType || notification.EventType || notification.event || null;
+      const { productCode, productGuid } = getProductReference(notification);
+
+      if (!event || !RESYNC_EVENT_PATTERN.test(event)) {
+        results.ignored.push({ event, reason: 'unsupported_event' });
+        continue;
+      }
+      if (!productCode && !productGuid) {
+        results.ignored.push({ event, reason: 'no_product_reference' });
+        continue;
+      }
+
+      // Several notifications for one product in a delivery need only one resync
+      const key = productCode || productGuid;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const syncId = await queueProductResync(env, {
+        originalDomain: domain,
+        shopDomain: authData.shopify.shopDomain,
+        productCode,
+        productGuid,
+        event
+      });
+      results.queued.push({ event, productCode, productGuid, syncId });
+    }
+
+    console.log(`✅ Unleashed webhook: ${results.queued.length} resync(s) queued, ${results.ignored.length} ignored`);
+    return jsonResponse({ success: true, ...results });
+  } catch (error) {
+    console.error('🚨 Unleashed webhook error:', error);
+    return jsonResponse({
+      error: error.message || 'Internal server error'
+    }, 500);
+  }
+}
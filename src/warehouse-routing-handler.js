@@ -0,0 +1,43 @@
+/**
+ * Warehouse Routing Handler
+ * Read and replace a domain's warehouse routing table (warehouse-routing.js)
+ */
+
+import { getWarehouseRouting, normalizeWarehouseRouting, saveWarehouseRouting } from './warehouse-routing.js';
+import { fetchShopifyLocations } from './data_pull.js';
+import { settingsRoutes } from './settings-route.js';
+
+const routes = settingsRoutes({
+  key: 'routing',
+  label: 'warehouse routing',
+  invalidError: 'Invalid warehouse routing',
+  get: getWarehouseRouting,
+  normalize: normalizeWarehouseRouting,
+  save: saveWarehouseRouting,
+  // A route to a location that doesn't exist would drop the warehouse's stock
+  check: async (normalized, shopify) => {
+    const locations = await fetchShopifyLocations(shopify.baseUrl, shopify.headers);
+    const locationIds = new Set(locations.map(location => location.id));
+    const unknown = Object.entries(normalized.routes)
+      .filter(([, route]) => route.locationId && !locationIds.has(route.locationId))
+      .map(([warehouseCode, route]) => `${warehouseCode} → ${route.locationId}`);
+    if (unknown.length > 0) {
+      return { error: 'Unknown Shopify location', details: `No such location for: ${unknown.join(', ')}` };
+    }
+    return null;
+  },
+  log: ({ domain, saved }) => console.log(`🏭 Warehouse routing updated for ${domain}:`, saved.routes)
+});
+
+/**
+ * GET /api/v2/warehouse-routing?domain=example.com
+ * The domain's routing table (no routes when none is set)
+ */
+export const handleGetWarehouseRouting = routes.handleGet;
+
+/**
+ * POST /api/v2/warehouse-routing
+ * Body: { domain, routing: { routes: { WAREHOUSE: { locationId } | { exclude: true } } } }
+ * - replaces the domain's table; every routed location must exist in Shopify
+ */
+export const handleSaveWarehouseRouting = routes.handleSave;
@@ -0,0 +1,102 @@
+/**
+ * Warehouse Routing
+ * Per-domain table saying where each Unleashed warehouse's stock goes in Shopify
+ * (`warehouse_routing:{domain}`). A route sends a warehouse to a location - several
+ * warehouses routed to one location are added up - or excludes it (quarantine,
+ * returns). Warehouses without a route go to the location whose
+ * `custom.warehouse_code` matches. Anything else is reported as unmatched and its
+ * stock is left out; it is never redirected to another location.
+ *
+ *   { "routes": { "RETURNS": { "exclude": true }, "SYD2": { "locationId": "gid://shopify/Location/123" } } }
+ */
+
+const WAREHOUSE_ROUTING_PREFIX = 'warehouse_routing:'; // KV key prefix for per-domain routing tables
+
+const DEFAULT_WAREHOUSE_ROUTING = { routes: {} };
+
+// Helper: numeric or GID location ID -> GID
+function toLocationGid(locationId) {
+  const id = String(locationId);
+  return id.startsWith('gid://') ? id : `gid://shopify/Location/${id}`;
+}
+
+// Validate a routing table from a request - throws with the first problem found
+function normalizeWarehouseRouting(input = {}) {
+  const routes = {};
+  Object.entries(input.routes || {}).forEach(([warehouseCode, route]) => {
+    if (route?.exclude === true) {
+      routes[warehouseCode] = { exclude: true };
+    } else if (route?.locationId && /^(gid:\/\/shopify\/Location\/)?\d+$/.test(String(route.locationId))) {
+      routes[warehouseCode] = { locationId: toLocationGid(route.locationId) };
+    } else {
+      throw new Error(`routes.${warehouseCode} needs a Shopify locationId or "exclude": true`);
+    }
+  });
+  return { routes };
+}
+
+async function getWarehouseRouting(kvStore, domain) {
+  const raw = await kvStore.get(`${WAREHOUSE_ROUTING_PREFIX}${domain}`);
+  return raw ? JSON.parse(raw) : DEFAULT_WAREHOUSE_ROUTING;
+}
+
+// Replace a domain's table with one from normalizeWarehouseRouting
+async function saveWarehouseRouting(kvStore, domain, normalized) {
+  const routing = { ...normalized, updatedAt: new Date().toISOString() };
+  await kvStore.put(`${WAREHOUSE_ROUTING_PREFIX}${domain}`, JSON.stringify(routing));
+  return routing;
+}
+
+/**
+ * Resolve warehouse codes against the current Shopify locations. `route(code)`
+ * returns the location, or null when the warehouse is excluded or unmatched;
+ * `report()` lists the warehouses that were skipped along the way.
+ */
+function createWarehouseRouter(routing = DEFAULT_WAREHOUSE_ROUTING, shopifyLocations = []) {
+  const locationsById = new Map(shopifyLocations.map(location => [location.id, location]));
+  const locationsByCode = new Map();
+  shopifyLocations.forEach(location => {
+    const warehouseCode = location.metafields?.['custom.warehouse_code'];
+    if (warehouseCode && !locationsByCode.has(warehouseCode)) locationsByCode.set(warehouseCode, location);
+  });
+
+  const unmatched = new Set();
+  const excluded = new Set();
+  const missingLocations = new Set();
+
+  const route = warehouseCode => {
+    const rule = routing.routes?.[warehouseCode];
+    if (rule?.exclude) {
+      excluded.add(warehouseCode);
+      return null;
+    }
+    if (rule?.locationId) {
+      const location = locationsById.get(rule.locationId);
+      if (!location) missingLocations.add(warehouseCode);
+      return location || null;
+    }
+    const location = locationsByCode.get(warehouseCode);
+    if (!location) unmatched.add(warehouseCode);
+    return location || null;
+  };
+
+  // Warehouses routed to a location that no longer exists count as unmatched too
+  const report = () => ({
+    unmatchedWarehouses: [...unmatched, ...missingLocations],
+    excludedWarehouses: [...excluded],
+    missingLocations: [...missingLocations].map(warehouseCode => ({
+      warehouseCode,
+      locationId: routing.routes[warehouseCode].locationId
+    }))
+  });
+
+  return { route, report };
+}
+
+export {
+  DEFAULT_WAREHOUSE_ROUTING,
+  normalizeWarehouseRouting,
+  getWarehouseRouting,
+  saveWarehouseRouting,
+  createWarehouseRouter
+};
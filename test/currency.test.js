@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCurrencySettings, resolveCurrency, convertPrice } from '../src/currency.js';
+
+test('without a base currency prices are taken to be in the shop currency', () => {
+  assert.deepEqual(resolveCurrency(undefined, 'NZD'), { currencyCode: 'NZD', baseCurrency: 'NZD', rate: 1, error: null });
+});
+
+test('a base currency matching the shop needs no rate', () => {
+  const settings = normalizeCurrencySettings({ baseCurrency: 'aud' });
+
+  assert.deepEqual(resolveCurrency(settings, 'AUD'), { currencyCode: 'AUD', baseCurrency: 'AUD', rate: 1, error: null });
+});
+
+test('a different shop currency uses the configured rate', () => {
+  const settings = normalizeCurrencySettings({ baseCurrency: 'AUD', rates: { nzd: '1.09' } });
+
+  assert.deepEqual(resolveCurrency(settings, 'NZD'), { currencyCode: 'NZD', baseCurrency: 'AUD', rate: 1.09, error: null });
+});
+
+test('a different shop currency without a rate is an error', () => {
+  const currency = resolveCurrency(normalizeCurrencySettings({ baseCurrency: 'AUD', rates: { USD: 0.66 } }), 'NZD');
+
+  assert.equal(currency.rate, 1);
+  assert.match(currency.error, /No AUD → NZD rate configured/);
+});
+
+test('falls back to the base currency when the shop currency is unknown', () => {
+  assert.deepEqual(
+    resolveCurrency(normalizeCurrencySettings({ baseCurrency: 'AUD' }), null),
+    { currencyCode: 'AUD', baseCurrency: 'AUD', rate: 1, error: null }
+  );
+});
+
+test('convertPrice converts and rounds to cents', () => {
+  const currency = { rate: 1.09 };
+
+  assert.equal(convertPrice(10, currency), 10.9);
+  assert.equal(convertPrice('19.99', currency), 21.79);
+  assert.equal(convertPrice('19.99', { rate: 1 }), '19.99');
+  assert.equal(convertPrice('19.99', null), '19.99');
+});
+
+test('convertPrice passes missing and non-numeric prices through', () => {
+  const currency = { rate: 1.09 };
+
+  assert.equal(convertPrice(null, currency), null);
+  assert.equal(convertPrice(undefined, currency), undefined);
+  assert.equal(convertPrice('', currency), '');
+  assert.equal(convertPrice('n/a', currency), 'n/a');
+});
+
+test('normalizeCurrencySettings rejects bad codes and rates', () => {
+  assert.throws(() => normalizeCurrencySettings({ baseCurrency: 'dollars' }), /3-letter currency code/);
+  assert.throws(() => normalizeCurrencySettings({ rates: { EURO: 1 } }), /rates\.EURO/);
+  assert.throws(() => normalizeCurrencySettings({ rates: { USD: 0 } }), /positive number/);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FIELD_MAPPING, mapFields, normalizeFieldMapping, getFieldMapping, saveFieldMapping } from '../src/field-mapping.js';
+
+const product = {
+  ProductCode: 'W-1',
+  ProductDescription: '  Blue widget  ',
+  ProductBrand: { BrandName: 'Acme' },
+  ProductGroup: { GroupName: 'Widgets' },
+  ProductSubGroup: { GroupName: 'Small, Blue' },
+  DefaultSellPrice: 12.5,
+  AttributeSet: { Attributes: [{ Name: 'Colour', Value: 'blue' }] }
+};
+
+// In-memory stand-in for the AUTH_STORE KV namespace
+function memoryStore() {
+  const values = new Map();
+  return {
+    values,
+    get: async key => values.get(key) ?? null,
+    put: async (key, value) => { values.set(key, value); }
+  };
+}
+
+test('the default mapping fills fields the way the mappers always have', () => {
+  const fields = mapFields(DEFAULT_FIELD_MAPPING, 'product', product);
+
+  assert.deepEqual(fields, {
+    title: 'Blue widget',
+    description: '  Blue widget  ',
+    vendor: 'Acme',
+    product_type: 'Widgets',
+    tags: ['Small, Blue', 'Widgets']
+  });
+  assert.equal(mapFields(DEFAULT_FIELD_MAPPING, 'variant', product).compare_at_price, undefined);
+});
+
+test('takes the first source with a value and falls back when none has one', () => {
+  const mapping = normalizeFieldMapping({
+    product: {
+      title: { source: ['attribute:Short Name', 'ProductCode'] },
+      vendor: { source: 'Supplier.SupplierName', fallback: 'Sold by {{ProductBrand.BrandName}}' }
+    }
+  });
+  const fields = mapFields(mapping, 'product', product);
+
+  assert.equal(fields.title, 'W-1');
+  assert.equal(fields.vendor, 'Sold by Acme');
+});
+
+test('applies transforms in order', () => {
+  const mapping = normalizeFieldMapping({
+    product: {
+      title: {
+        source: 'attribute:Colour',
+        transforms: ['title', { lookup: { Blue: 'Navy' } }, { template: '{{value}} ({{ProductCode}})' }]
+      },
+      product_type: { source: 'ProductGroup.GroupName', transforms: ['upper', { lookup: { GADGETS: 'Gadget' } }] }
+    }
+  });
+  const fields = mapFields(mapping, 'product', product);
+
+  assert.equal(fields.title, 'Navy (W-1)');
+  assert.equal(fields.product_type, 'WIDGETS');
+});
+
+test('list rules collect and split every source', () => {
+  const mapping = normalizeFieldMapping({
+    product: { tags: { source: ['ProductSubGroup.GroupName', 'attribute:Colour'], list: true, split: ',', transforms: ['trim', 'lower'] } }
+  });
+
+  assert.deepEqual(mapFields(mapping, 'product', product).tags, ['small', 'blue', 'blue']);
+});
+
+test('normalizeFieldMapping keeps defaults for unconfigured fields and rejects bad rules', () => {
+  const mapping = normalizeFieldMapping({ variant: { compare_at_price: { source: 'attribute:RRP' } } });
+
+  assert.deepEqual(mapping.product, DEFAULT_FIELD_MAPPING.product);
+  assert.deepEqual(mapping.variant.compare_at_price, { source: 'attribute:RRP' });
+  assert.deepEqual(mapping.metafields, []);
+  assert.throws(() => normalizeFieldMapping({ order: {} }), /Unknown section: order/);
+  assert.throws(() => normalizeFieldMapping({ product: { sku: { source: 'ProductCode' } } }), /Unknown product field: sku/);
+  assert.throws(() => normalizeFieldMapping({ product: { title: { source: '' } } }), /product\.title\.source/);
+  assert.throws(() => normalizeFieldMapping({ product: { title: { source: 'ProductCode', transforms: ['reverse'] } } }), /transforms\[0\]/);
+});
+
+test('saveFieldMapping stores only the configured rules', async () => {
+  const kvStore = memoryStore();
+  const input = { product: { vendor: { source: 'Supplier.SupplierName' } } };
+  await saveFieldMapping(kvStore, 'example.com', normalizeFieldMapping(input), input);
+
+  assert.deepEqual(JSON.parse(kvStore.values.get('field_mapping:example.com')), {
+    product: { vendor: { source: 'Supplier.SupplierName' } }
+  });
+  const mapping = await getFieldMapping(kvStore, 'example.com');
+  assert.deepEqual(mapping.product.title, DEFAULT_FIELD_MAPPING.product.title);
+  assert.deepEqual(mapping.product.vendor, { source: 'Supplier.SupplierName' });
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapInventoryChanges } from '../src/inventory-sync.js';
+
+const MAIN = 'gid://shopify/Location/1';
+const STORE = 'gid://shopify/Location/2';
+
+const locations = [
+  { id: MAIN, name: 'Main', metafields: { 'custom.warehouse_code': 'MAIN' } },
+  { id: STORE, name: 'Store', metafields: { 'custom.warehouse_code': 'STORE' } }
+];
+
+function item(sku, levels, overrides = {}) {
+  return { sku, inventoryItemId: `gid://shopify/InventoryItem/${sku}`, tracked: true, levels, ...overrides };
+}
+
+test('sets only the levels that differ, with the level they were read at', () => {
+  const results = mapInventoryChanges(
+    [
+      { ProductCode: 'A', WarehouseCode: 'MAIN', AvailableQty: 5 },
+      { ProductCode: 'A', WarehouseCode: 'STORE', AvailableQty: 3 }
+    ],
+    [item('A', { [MAIN]: 5, [STORE]: 1 })],
+    locations
+  );
+
+  assert.equal(results.unchanged, 1);
+  assert.deepEqual(results.toSet, [
+    { sku: 'A', inventoryItemId: 'gid://shopify/InventoryItem/A', locationId: STORE, quantity: 3, compareQuantity: 1 }
+  ]);
+});
+
+test('adds up warehouses routed to the same location and leaves out excluded ones', () => {
+  const results = mapInventoryChanges(
+    [
+      { ProductCode: 'A', WarehouseCode: 'MAIN', AvailableQty: 5 },
+      { ProductCode: 'A', WarehouseCode: 'SYD2', AvailableQty: 2 },
+      { ProductCode: 'A', WarehouseCode: 'RETURNS', AvailableQty: 9 }
+    ],
+    [item('A', { [MAIN]: 0 })],
+    locations,
+    null,
+    { warehouseRouting: { routes: { SYD2: { locationId: MAIN }, RETURNS: { exclude: true } } } }
+  );
+
+  assert.equal(results.toSet.length, 1);
+  assert.equal(results.toSet[0].quantity, 7);
+  assert.deepEqual(results.excludedWarehouses, ['RETURNS']);
+});
+
+test('applies the stock formula to each row', () => {
+  const results = mapInventoryChanges(
+    [{ ProductCode: 'A', WarehouseCode: 'MAIN', AvailableQty: 1, QtyOnHand: 10, AllocatedQty: 4 }],
+    [item('A', { [MAIN]: 0 })],
+    locations,
+    null,
+    { stockFormula: { base: 'on_hand_minus_allocated', bufferPercent: 0, bufferUnits: 1, safetyStock: {}, clampNegative: true } }
+  );
+
+  assert.equal(results.toSet[0].quantity, 5);
+});
+
+test('uses the default warehouse for rows without a warehouse code', () => {
+  const results = mapInventoryChanges(
+    [{ ProductCode: 'A', WarehouseCode: ' ', AvailableQty: 4 }],
+    [item('A', { [MAIN]: 0 })],
+    locations,
+    'MAIN'
+  );
+
+  assert.equal(results.toSet[0].locationId, MAIN);
+});
+
+test('reports what it could not sync', () => {
+  const results = mapInventoryChanges(
+    [
+      { ProductCode: 'GONE', WarehouseCode: 'MAIN', AvailableQty: 1 },
+      { ProductCode: 'LOOSE', WarehouseCode: 'MAIN', AvailableQty: 1 },
+      { ProductCode: 'NEW', WarehouseCode: 'STORE', AvailableQty: 1 },
+      { ProductCode: 'A', WarehouseCode: 'PERTH', AvailableQty: 1 }
+    ],
+    [
+      item('LOOSE', { [MAIN]: 0 }, { tracked: false }),
+      item('NEW', { [MAIN]: 0 }),
+      item('A', { [MAIN]: 0 })
+    ],
+    locations
+  );
+
+  assert.deepEqual(results.toSet, []);
+  assert.deepEqual(results.unknownSkus, ['GONE']);
+  assert.equal(results.untracked, 1);
+  assert.equal(results.notStocked, 1);
+  assert.deepEqual(results.unmatchedWarehouses, ['PERTH']);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeProductFilters, productFilterReason } from '../src/product-filters.js';
+
+const coffee = {
+  ProductCode: 'COF-250',
+  ProductGroup: { GroupName: 'Coffee' },
+  ProductSubGroup: { GroupName: 'Beans' },
+  ProductBrand: { BrandName: 'Roastery' },
+  AttributeSet: { Attributes: [{ Name: 'Publish to Web', Value: 'Yes' }] }
+};
+
+test('no filters keep every product', () => {
+  assert.equal(productFilterReason(coffee), null);
+});
+
+test('include needs every criterion to match one of its values', () => {
+  const filters = normalizeProductFilters({
+    include: { productGroups: [' coffee ', 'Tea'], attributes: { 'Publish to Web': ['yes'] } }
+  });
+
+  assert.equal(productFilterReason(coffee, filters), null);
+  assert.equal(productFilterReason({ ...coffee, ProductGroup: { GroupName: 'Cups' } }, filters), 'include.productGroups');
+  assert.equal(productFilterReason({ ...coffee, AttributeSet: null }, filters), 'include.attributes');
+});
+
+test('any matching exclude criterion leaves the product out, ahead of include', () => {
+  const filters = normalizeProductFilters({
+    include: { productGroups: ['Tea'] },
+    exclude: { brands: ['ROASTERY'], skuPatterns: ['^sample-'], obsolete: true }
+  });
+
+  assert.equal(productFilterReason(coffee, filters), 'exclude.brands');
+  assert.equal(productFilterReason({ ...coffee, ProductBrand: null, ProductCode: 'SAMPLE-1' }, filters), 'exclude.skuPatterns');
+  assert.equal(productFilterReason({ ...coffee, ProductBrand: null, Obsolete: true }, filters), 'exclude.obsolete');
+  assert.equal(productFilterReason({ ...coffee, ProductBrand: null }, filters), 'include.productGroups');
+});
+
+test('normalizeProductFilters drops empty criteria and defaults onExcluded to leave', () => {
+  assert.deepEqual(
+    normalizeProductFilters({ include: { brands: [] }, exclude: { obsolete: false } }),
+    { include: {}, exclude: {}, onExcluded: 'leave' }
+  );
+});
+
+test('normalizeProductFilters rejects unknown filters and bad values', () => {
+  assert.throws(() => normalizeProductFilters({ include: { colours: ['Red'] } }), /Unknown filter include\.colours/);
+  assert.throws(() => normalizeProductFilters({ include: { obsolete: true } }), /Unknown filter include\.obsolete/);
+  assert.throws(() => normalizeProductFilters({ exclude: { skuPatterns: ['('] } }), /invalid pattern/);
+  assert.throws(() => normalizeProductFilters({ exclude: { brands: 'Internal' } }), /list of names/);
+  assert.throws(() => normalizeProductFilters({ onExcluded: 'delete' }), /onExcluded must be one of/);
+});
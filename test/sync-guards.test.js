@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SYNC_GUARDS, normalizeSyncGuards, evaluateSyncGuards } from '../src/sync-guards.js';
+
+const shopifyProducts = [
+  { status: 'ACTIVE', variants: [{}, {}] },
+  { status: 'ACTIVE', variants: [{}] },
+  { status: 'DRAFT', variants: [{}] },
+  { status: 'ARCHIVED', variants: [{}] }
+];
+
+function mappingResults({ archives = 0, variantsToRemove = 0, priceChanges = 0 } = {}) {
+  return {
+    toArchive: Array.from({ length: archives }, () => ({})),
+    toUpdate: [{
+      variantsToRemove: Array.from({ length: variantsToRemove }, () => ({})),
+      priceChanges: Array.from({ length: priceChanges }, () => ({}))
+    }]
+  };
+}
+
+test('measures archives against non-archived products and the rest against all variants', () => {
+  const { checks, tripped } = evaluateSyncGuards(
+    DEFAULT_SYNC_GUARDS,
+    mappingResults({ archives: 0, variantsToRemove: 0, priceChanges: 1 }),
+    shopifyProducts
+  );
+
+  assert.deepEqual(checks.archives, { count: 0, of: 3, percent: 0, maxCount: null, maxPercent: 5 });
+  assert.deepEqual(checks.priceChanges, { count: 1, of: 5, percent: 20, maxCount: null, maxPercent: null });
+  assert.deepEqual(tripped, []);
+});
+
+test('trips a guard whose share is over maxPercent', () => {
+  const { tripped } = evaluateSyncGuards(DEFAULT_SYNC_GUARDS, mappingResults({ archives: 1 }), shopifyProducts);
+
+  assert.deepEqual(tripped, [{ guard: 'archives', limit: 'maxPercent', value: 33.3, max: 5 }]);
+});
+
+test('reports maxCount ahead of maxPercent', () => {
+  const guards = normalizeSyncGuards({ variantDeletions: { maxCount: 1, maxPercent: 10 } });
+  const { tripped } = evaluateSyncGuards(guards, mappingResults({ variantsToRemove: 2 }), shopifyProducts);
+
+  assert.deepEqual(tripped, [{ guard: 'variantDeletions', limit: 'maxCount', value: 2, max: 1 }]);
+});
+
+test('measures against the shop totals when given', () => {
+  const { checks, tripped } = evaluateSyncGuards(
+    DEFAULT_SYNC_GUARDS,
+    mappingResults({ archives: 1 }),
+    shopifyProducts.slice(0, 1),
+    { activeProducts: 200, variants: 600 }
+  );
+
+  assert.equal(checks.archives.of, 200);
+  assert.equal(checks.archives.percent, 0.5);
+  assert.equal(checks.variantDeletions.of, 600);
+  assert.deepEqual(tripped, []);
+});
+
+test('normalizeSyncGuards fills defaults, keeps null and rejects bad limits', () => {
+  const guards = normalizeSyncGuards({ archives: { maxPercent: null }, priceChanges: { maxCount: '200' } });
+
+  assert.deepEqual(guards.archives, { maxCount: null, maxPercent: null });
+  assert.deepEqual(guards.variantDeletions, DEFAULT_SYNC_GUARDS.variantDeletions);
+  assert.deepEqual(guards.priceChanges, { maxCount: 200, maxPercent: null });
+  assert.throws(() => normalizeSyncGuards({ deletes: {} }), /Unknown guard/);
+  assert.throws(() => normalizeSyncGuards({ archives: { maxCount: -1 } }), /non-negative/);
+});
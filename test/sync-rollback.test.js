@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRestoreInput } from '../src/sync-rollback.js';
+
+function snapshot(overrides = {}) {
+  return {
+    id: 'gid://shopify/Product/1',
+    title: 'Widget',
+    status: 'ACTIVE',
+    tags: ['blue'],
+    productType: 'Widgets',
+    vendor: 'Acme',
+    descriptionHtml: '<p>A widget</p>',
+    metafields: [{ id: 'gid://shopify/Metafield/9', namespace: 'unleashed', key: 'brand', type: 'single_line_text_field', value: 'Acme' }],
+    options: [{ name: 'Size', optionValues: [{ name: 'S' }, { name: 'L' }] }],
+    variants: [
+      {
+        id: 'gid://shopify/ProductVariant/10',
+        sku: 'W-S',
+        price: '10.00',
+        compareAtPrice: '12.00',
+        inventoryPolicy: 'CONTINUE',
+        selectedOptions: [{ name: 'Size', value: 'S' }],
+        inventoryItem: {
+          tracked: true,
+          inventoryLevels: { nodes: [{ location: { id: 'gid://shopify/Location/5' }, quantities: [{ quantity: 7 }] }] }
+        }
+      },
+      {
+        id: 'gid://shopify/ProductVariant/11',
+        sku: 'W-L',
+        price: '11.00',
+        selectedOptions: [{ name: 'Size', value: 'L' }],
+        inventoryItem: { tracked: false }
+      }
+    ],
+    ...overrides
+  };
+}
+
+test('restores the product fields and metafield values', () => {
+  const input = buildRestoreInput(snapshot(), new Set());
+
+  assert.equal(input.id, 'gid://shopify/Product/1');
+  assert.equal(input.title, 'Widget');
+  assert.deepEqual(input.tags, ['blue']);
+  assert.deepEqual(input.metafields, [{ namespace: 'unleashed', key: 'brand', type: 'single_line_text_field', value: 'Acme' }]);
+  assert.deepEqual(input.productOptions, [{ name: 'Size', values: [{ name: 'S' }, { name: 'L' }] }]);
+});
+
+test('keeps the IDs of variants still in Shopify and re-creates deleted ones', () => {
+  const input = buildRestoreInput(snapshot(), new Set(['gid://shopify/ProductVariant/10']));
+
+  assert.equal(input.variants.length, 2);
+  assert.equal(input.variants[0].id, 'gid://shopify/ProductVariant/10');
+  assert.equal(input.variants[1].id, undefined);
+  assert.deepEqual(input.variants[1].optionValues, [{ optionName: 'Size', name: 'L' }]);
+  assert.equal(input.variants[1].compareAtPrice, null);
+  assert.equal(input.variants[1].inventoryPolicy, 'DENY');
+});
+
+test('restores inventory of tracked variants only', () => {
+  const input = buildRestoreInput(snapshot(), new Set());
+
+  assert.deepEqual(input.variants[0].inventoryQuantities, [
+    { locationId: 'gid://shopify/Location/5', name: 'available', quantity: 7 }
+  ]);
+  assert.equal(input.variants[1].inventoryQuantities, undefined);
+});
+
+test('leaves inventory alone when the snapshot has incomplete inventory levels', () => {
+  const input = buildRestoreInput(snapshot({ truncated: ['inventoryLevels'] }), new Set());
+
+  assert.equal(input.variants.length, 2);
+  assert.equal(input.variants[0].inventoryQuantities, undefined);
+});
+
+test('leaves variants alone when the snapshot has an incomplete variant list', () => {
+  const input = buildRestoreInput(snapshot({ truncated: ['variants'] }), new Set());
+
+  assert.equal(input.title, 'Widget');
+  assert.equal(input.variants, undefined);
+  assert.equal(input.productOptions, undefined);
+});
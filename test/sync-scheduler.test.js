@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSyncSchedule, localClock, findBlackout, isJobDue } from '../src/sync-scheduler.js';
+
+test('localClock reads the day, date and minutes in the schedule time zone', () => {
+  const clock = localClock(new Date('2026-03-01T23:30:00Z'), 'Pacific/Auckland');
+
+  assert.deepEqual(clock, { day: 'mon', date: '2026-03-02', minutes: 12 * 60 + 30 });
+});
+
+test('findBlackout matches windows by local time and day', () => {
+  const schedule = normalizeSyncSchedule({
+    blackouts: [{ start: '09:00', end: '17:00', days: ['Saturday', 'sun'] }]
+  });
+
+  assert.equal(findBlackout(schedule, { day: 'sat', minutes: 9 * 60 }), schedule.blackouts[0]);
+  assert.equal(findBlackout(schedule, { day: 'sat', minutes: 17 * 60 }), null);
+  assert.equal(findBlackout(schedule, { day: 'mon', minutes: 12 * 60 }), null);
+});
+
+test('findBlackout handles windows that run past midnight', () => {
+  const schedule = normalizeSyncSchedule({ blackouts: [{ start: '22:00', end: '06:00' }] });
+
+  assert.ok(findBlackout(schedule, { day: 'tue', minutes: 23 * 60 }));
+  assert.ok(findBlackout(schedule, { day: 'wed', minutes: 5 * 60 + 59 }));
+  assert.equal(findBlackout(schedule, { day: 'wed', minutes: 6 * 60 }), null);
+});
+
+test('isJobDue runs an interval job once everyMinutes have passed, allowing for cron drift', () => {
+  const job = { everyMinutes: 60 };
+  const now = new Date('2026-03-02T12:00:00Z');
+  const clock = localClock(now, 'UTC');
+
+  assert.equal(isJobDue(job, null, clock, now), true);
+  assert.equal(isJobDue(job, { queuedAt: '2026-03-02T11:00:30Z' }, clock, now), true);
+  assert.equal(isJobDue(job, { queuedAt: '2026-03-02T11:10:00Z' }, clock, now), false);
+});
+
+test('isJobDue runs a daily job once per local date after its time', () => {
+  const job = { at: '02:00' };
+  const clock = { day: 'mon', date: '2026-03-02', minutes: 2 * 60 + 5 };
+  const now = new Date();
+
+  assert.equal(isJobDue(job, null, { ...clock, minutes: 60 }, now), false);
+  assert.equal(isJobDue(job, null, clock, now), true);
+  assert.equal(isJobDue(job, { localDate: '2026-03-01' }, clock, now), true);
+  assert.equal(isJobDue(job, { localDate: '2026-03-02' }, clock, now), false);
+});
+
+test('normalizeSyncSchedule rejects jobs without exactly one timing and duplicate names', () => {
+  assert.throws(() => normalizeSyncSchedule({ jobs: [{ scope: 'products' }] }), /everyMinutes or at/);
+  assert.throws(() => normalizeSyncSchedule({ jobs: [{ everyMinutes: 2 }] }), /at least 5/);
+  assert.throws(
+    () => normalizeSyncSchedule({ jobs: [{ everyMinutes: 60 }, { at: '01:00' }] }),
+    /"comprehensive-incremental" is used twice/
+  );
+});